@@ -39,9 +39,330 @@ export const Associations = (function () {
   // used with disassociate().
   const kAllKeys = Symbol.for('association.key.allKeys')
 
-  // Symbol used for storage map storage.
+  /**
+   * Symbol once used to attach storage maps to their carriers. Carriers are
+   * now mapped to their storages without being modified, so nothing reads
+   * it; it is still exported so that code importing it keeps loading.
+   *
+   * @deprecated use getStorageMap() to find the storage of a carrier
+   */
   const kStorageMapKey = Symbol.for('association.storage.map')
 
+  // Symbol used for explicit resource management (`using` declarations),
+  // falling back to a registered symbol where Symbol.dispose is missing.
+  const kDispose = Symbol.dispose ?? Symbol.for('Symbol.dispose')
+
+  // Symbol through which Node's util.inspect() and console.log() format
+  // objects; registered, so defining it requires no import of node:util.
+  const kInspect = Symbol.for('nodejs.util.inspect.custom')
+
+  // Maps storage carriers, any object passed as `options.storage`, to the
+  // AssociationStorage holding their associations.
+  const carriers = new WeakMap()
+
+  // Computed subkeys, per AssociationStorage. Each storage maps a subkey to
+  // the definition created for it by defineComputed().
+  const computedDefinitions = new WeakMap()
+
+  // Subkey schemas, per AssociationStorage, as `{ subkeys, strict }` where
+  // subkeys maps each subkey declared through defineSubkey() to its
+  // definition and strict refuses the use of undeclared subkeys.
+  const schemas = new WeakMap()
+
+  // Carry-forward settings, per AssociationStorage, as `{ lineage, copy }`
+  // where lineage maps a source to the one it replaced; see carryForward().
+  const lineages = new WeakMap()
+
+  // The private subkeys created by createKey(); a WeakSet rather than an
+  // instanceof check so that keys cannot be forged
+  const privateKeys = new WeakSet()
+
+  // The computed subkeys being evaluated, innermost last, as
+  // `{ definition, source }` entries; used to detect cycles.
+  const evaluating = []
+
+  // Carries the transactions a call runs in across `await`, so that writes
+  // are attributed to the transaction whose code made them; undefined where
+  // the engine provides no AsyncLocalStorage. See transaction().
+  const transactionScope = (() => {
+    const { AsyncLocalStorage } = globalThis.AsyncLocalStorage
+      ? globalThis
+      : globalThis.process?.getBuiltinModule?.('node:async_hooks') ?? {}
+
+    return AsyncLocalStorage ? new AsyncLocalStorage() : undefined
+  })()
+
+  // Whether the running engine permits non-registered symbols as WeakMap
+  // keys and WeakRef targets (ES2023).
+  const kWeakSymbols = (() => {
+    try { return Boolean(new WeakRef(Symbol('probe'))) }
+    catch { return false }
+  })()
+
+  /**
+   * Determines whether a value can be held weakly; that is, whether it may be
+   * used as a WeakMap key or a WeakRef target. Objects and functions always
+   * qualify. Symbols qualify when the engine supports it and the symbol was
+   * not created through `Symbol.for()`, since registered symbols live forever.
+   *
+   * Sources for which this returns true are held weakly by the storage map;
+   * all others are held strongly and must be disassociated manually.
+   *
+   * @param {*} value the value to test
+   * @returns {boolean} true if the value can be held weakly
+   */
+  function canBeHeldWeakly(value) {
+    const type = typeof value
+
+    if (value !== null && (type === 'object' || type === 'function'))
+      return true
+
+    return (
+      type === 'symbol' &&
+      kWeakSymbols &&
+      Symbol.keyFor(value) === undefined
+    )
+  }
+
+  // Identities of the objects and symbols that are part of derived keys, see
+  // derivedKey(); symbols that cannot be held weakly are numbered in a Map
+  const objectIds = { weak: new WeakMap(), strong: new Map(), next: 0 }
+
+  // The keying strategies accepted by the `keyBy` option, besides functions
+  const kKeyStrategies = ['tuple', 'structural']
+
+  /**
+   * Encodes one part of a derived key as a string. Primitives are encoded by
+   * value; objects, functions and non-registered symbols by identity, and
+   * are added to `owners`. Arrays are encoded element by element when
+   * `structural` is false; with it, only frozen arrays and frozen plain
+   * objects are encoded by their contents, recursively.
+   *
+   * @private
+   * @param {*} part the value to encode
+   * @param {Array<*>} owners collects the values encoded by identity
+   * @param {boolean} structural whether to encode frozen plain data by value
+   * @param {Set<Object>} [seen] the containers being encoded, to stop cycles
+   * @returns {string} the encoded part
+   */
+  function encodeKeyPart(part, owners, structural, seen = new Set()) {
+    switch (typeof part) {
+      case 'string':
+        return `s${JSON.stringify(part)}`
+
+      case 'number':
+        // SameValueZero, like Map keys: -0 equals 0
+        return `n${part === 0 ? 0 : part}`
+
+      case 'bigint':
+        return `b${part}`
+
+      case 'boolean':
+        return part ? 't' : 'f'
+
+      case 'undefined':
+        return 'u'
+
+      case 'symbol':
+        if (Symbol.keyFor(part) !== undefined)
+          return `y${JSON.stringify(Symbol.keyFor(part))}`
+    }
+
+    if (part === null)
+      return 'N'
+
+    const byValue = !seen.has(part) && (structural
+      ? isFrozenPlainData(part)
+      : Array.isArray(part))
+
+    if (byValue) {
+      seen.add(part)
+
+      const encoded = Array.isArray(part)
+        ? `[${part.map(item => encodeKeyPart(item, owners, structural, seen)).join(',')}]`
+        : `{${Object.keys(part).sort().map(name =>
+            `${JSON.stringify(name)}:${encodeKeyPart(part[name], owners, structural, seen)}`
+          ).join(',')}}`
+
+      seen.delete(part)
+
+      return encoded
+    }
+
+    const ids = canBeHeldWeakly(part) ? objectIds.weak : objectIds.strong
+    let id = ids.get(part)
+
+    if (id === undefined) {
+      id = objectIds.next++
+      ids.set(part, id)
+    }
+
+    if (canBeHeldWeakly(part))
+      owners.push(part)
+
+    return `o${id}`
+  }
+
+  /**
+   * Creates a WeakRef-like reference to a source stored under a derived key
+   * that contains objects. The reference holds the source and those objects
+   * weakly; when the source itself has been collected but the objects have
+   * not, it recreates an equivalent source from them, so that the entry can
+   * still be enumerated and reported to observers.
+   *
+   * @private
+   * @param {Object} source the array or frozen plain data
+   * @param {boolean} structural whether frozen plain data is encoded by value
+   * @returns {{deref: Function}} the reference
+   */
+  function rebuildingRef(source, structural) {
+    const kGone = rebuildingRef
+
+    // The closures are created by these factories rather than in skeleton(),
+    // where they would share a context holding `part` strongly
+    const strongPart = value => () => value
+    const weakPart = ref => () => ref.deref() ?? kGone
+    const containerPart = (isArray, prototype, parts) => () => {
+      const rebuilt = isArray ? [] : Object.create(prototype)
+
+      for (const [name, build] of parts) {
+        const value = build()
+
+        if (value === kGone)
+          return kGone
+
+        rebuilt[name] = value
+      }
+
+      return Object.freeze(rebuilt)
+    }
+
+    const skeleton = (part, seen) => {
+      const byValue = !seen.has(part) && (structural
+        ? isFrozenPlainData(part)
+        : Array.isArray(part))
+
+      if (!byValue)
+        return canBeHeldWeakly(part) ? weakPart(new WeakRef(part)) : strongPart(part)
+
+      seen.add(part)
+
+      const parts = Object.keys(part).map(name => [name, skeleton(part[name], seen)])
+
+      seen.delete(part)
+
+      return containerPart(Array.isArray(part), Object.getPrototypeOf(part), parts)
+    }
+
+    const rebuild = skeleton(source, new Set())
+    let ref = new WeakRef(source)
+
+    return {
+      deref() {
+        let current = ref.deref()
+
+        if (current === undefined) {
+          current = rebuild()
+
+          if (current === kGone)
+            return undefined
+
+          ref = new WeakRef(current)
+        }
+
+        return current
+      }
+    }
+  }
+
+  /**
+   * Tests whether a value is a frozen array, or a frozen object whose
+   * prototype is Object.prototype or null.
+   *
+   * @private
+   * @param {*} value the value to test
+   * @returns {boolean} true if the value is frozen plain data
+   */
+  function isFrozenPlainData(value) {
+    if (typeof value !== 'object' || value === null || !Object.isFrozen(value))
+      return false
+
+    const prototype = Object.getPrototypeOf(value)
+
+    return (
+      Array.isArray(value) ||
+      prototype === Object.prototype ||
+      prototype === null
+    )
+  }
+
+  /**
+   * Derives the key a source is stored under in a storage with a `keyBy`
+   * option, see createStorage().
+   *
+   * @private
+   * @param {*} source the source
+   * @param {Function|string} keyBy the keying strategy
+   * @returns {{key: string, owners: Array<*>}|undefined} the derived key and
+   * the values whose collection removes it, or undefined if the source is
+   * stored by identity
+   * @throws {TypeError} if a keyBy function returns an unsupported key
+   */
+  function derivedKey(source, keyBy) {
+    if (typeof source !== 'object' || source === null)
+      return undefined
+
+    const owners = []
+
+    if (keyBy === 'tuple') {
+      return Array.isArray(source)
+        ? { key: encodeKeyPart(source, owners, false), owners }
+        : undefined
+    }
+
+    if (keyBy === 'structural') {
+      return isFrozenPlainData(source)
+        ? { key: encodeKeyPart(source, owners, true), owners }
+        : undefined
+    }
+
+    const key = keyBy(source)
+
+    if (key === undefined || Object.is(key, source))
+      return undefined
+
+    if (typeof key === 'object' && key !== null && !Array.isArray(key))
+      throw new TypeError(`keyBy must return a primitive, an array or undefined`)
+
+    const encoded = encodeKeyPart(key, owners, false)
+
+    // The key is derived from the source, so the source owns the entry
+    return { key: encoded, owners: [source] }
+  }
+
+  /**
+   * Tests whether a subkey is a private key created by createKey(). Tools
+   * that reach into the raw wrappers of a storage use it to leave private
+   * entries out of what they report.
+   *
+   * @param {*} subkey the subkey to test
+   * @returns {boolean} true if the subkey is private
+   */
+  function isPrivateKey(subkey) {
+    return privateKeys.has(subkey)
+  }
+
+  /**
+   * Copies an associations map without the entries under private keys.
+   *
+   * @private
+   * @param {Map} associations the associations of a wrapper
+   * @returns {Map} the public associations
+   */
+  function publicAssociations(associations) {
+    return new Map([...associations].filter(([subkey]) => !isPrivateKey(subkey)))
+  }
+
   /**
    * Internal class that handles wrapping of source values used as association
    * keys. For primitive sources, stores them directly without cleanup
@@ -51,16 +372,17 @@ export const Associations = (function () {
    * The SourceWrapper class is a critical part of the association system's
    * memory management strategy. It handles two distinct cases:
    *
-   * 1. Primitive sources (strings, numbers, etc.) are stored directly since
-   *    they don't participate in garbage collection. Their associations must
-   *    be manually cleaned up using disassociate().
+   * 1. Primitive sources (strings, numbers, registered symbols, etc.) are
+   *    stored directly since they don't participate in garbage collection.
+   *    Their associations must be manually cleaned up using disassociate().
    *
-   * 2. Object sources are stored using WeakRef, allowing automatic cleanup of
-   *    their associations when the source object is garbage collected.
+   * 2. Object, function and non-registered symbol sources are stored using
+   *    WeakRef, allowing automatic cleanup of their associations when the
+   *    source is garbage collected.
    *
-   * The class uses FinalizationRegistry for object sources to clean up
-   * associated values when the source object is garbage collected, preventing
-   * memory leaks in the association system itself.
+   * A wrapper never holds its weak source strongly. Cleanup of collected
+   * sources is driven by the {@link AssociationStorage} that owns the
+   * wrapper.
    *
    * @private
    */
@@ -75,25 +397,38 @@ export const Associations = (function () {
      *    object is garbage collected.
      */
     constructor(source) {
-      this.isPrimitive = !(source && typeof source === 'object');
+      this.isPrimitive = !canBeHeldWeakly(source);
       this.associations = new Map();
 
-      // future: wrap map.get/set in a HOF to allow ability to register
-      // get and set listener hooks, filtered by key, for other systems
-      // to react to.
+      // Observers registered through observe(). Each entry is a
+      // `{ subkey, listener }` pair where a subkey of kAllKeys matches every
+      // change. Writes that should be observable go through write(), erase()
+      // and eraseAll() rather than directly through the associations map.
+      this.listeners = new Set();
+
+      // Expiration records of subkeys associated with a `ttl` or `expiresAt`
+      // option, keyed by subkey. See expirationOf() for their shape.
+      this.expirations = new Map();
+
+      // The AssociationStorage holding this wrapper, through which change
+      // events are dispatched and transactional writes are journaled.
+      this.owner = undefined;
+
+      // The outermost transaction that last wrote each subkey, while that
+      // transaction is open; see remember().
+      this.writers = undefined;
+
+      // When the wrapper was created and, in storages with trackOrigins
+      // enabled, a map of each subkey to the origin of the associate() call
+      // that last wrote it; see captureOrigin().
+      this.createdAt = Date.now();
+      this.origins = undefined;
 
       if (this.isPrimitive)
         this.value = source;
 
-      else {
+      else
         this.ref = new WeakRef(source);
-        this.registry = new FinalizationRegistry(() => {
-          // When source object is collected, clear all its associations
-          this.associations.clear();
-          this.ref = undefined;
-        });
-        this.registry.register(source, Symbol('cleanup'));
-      }
     }
 
     /**
@@ -109,75 +444,2219 @@ export const Associations = (function () {
       if (this.isPrimitive)
         return this.value
 
-      return this.ref?.deref();
+      return this.ref?.deref();
+    }
+
+    /**
+     * Holds the source strongly from now on, as if it were a primitive. Used
+     * for sources stored under a derived key that is never collected, such
+     * as a tuple of primitives.
+     */
+    retain() {
+      if (this.isPrimitive)
+        return
+
+      this.value = this.get()
+      this.ref = undefined
+      this.isPrimitive = true
+    }
+
+    /**
+     * Stores a value under a subkey and notifies observers. Writing the value
+     * that is already stored is not considered a change and is not reported.
+     *
+     * @param {*} subkey the subkey to store the value under
+     * @param {*} value the value to store
+     * @param {string} [reason] the reason reported to observers; defaults to
+     * 'set' for new subkeys and 'replace' for existing ones
+     * @returns {*} the stored value
+     */
+    write(subkey, value, reason) {
+      const existed = this.associations.has(subkey)
+      const oldValue = this.associations.get(subkey)
+
+      this.remember(subkey, true)
+      this.associations.set(subkey, value)
+
+      if (!existed || !Object.is(oldValue, value)) {
+        this.notify({
+          reason: reason ?? (existed ? 'replace' : 'set'),
+          subkey,
+          oldValue,
+          newValue: value,
+        })
+      }
+
+      return value
+    }
+
+    /**
+     * Removes the value stored under a subkey and notifies observers.
+     *
+     * @param {*} subkey the subkey to remove
+     * @param {string} [reason='delete'] the reason reported to observers
+     * @returns {boolean} true if a value was removed
+     */
+    erase(subkey, reason = 'delete') {
+      if (!this.associations.has(subkey))
+        return false
+
+      const oldValue = this.associations.get(subkey)
+
+      this.remember(subkey, true)
+      this.associations.delete(subkey)
+      this.expirations.delete(subkey)
+      this.origins?.delete(subkey)
+      this.notify({ reason, subkey, oldValue, newValue: undefined })
+
+      return true
+    }
+
+    /**
+     * Removes every stored subkey except private keys, notifying observers
+     * once per subkey.
+     *
+     * @param {string} [reason='clear'] the reason reported to observers
+     * @returns {boolean} true if anything was removed
+     */
+    eraseAll(reason = 'clear') {
+      const subkeys = [...this.associations.keys()].filter(key => !isPrivateKey(key))
+
+      for (const subkey of subkeys)
+        this.erase(subkey, reason)
+
+      return subkeys.length > 0
+    }
+
+    /**
+     * Sets or clears the expiration of a subkey.
+     *
+     * @param {*} subkey the subkey whose expiration to set
+     * @param {Object} [expiration] the expiration record as created by
+     * expirationOf(); when undefined, the subkey no longer expires
+     */
+    expire(subkey, expiration) {
+      this.remember(subkey)
+
+      if (expiration)
+        this.expirations.set(subkey, expiration)
+
+      else
+        this.expirations.delete(subkey)
+    }
+
+    /**
+     * Checks whether a subkey is present and unexpired. Expired subkeys are
+     * erased, reporting 'expired' to observers. When `refresh` is true and the
+     * subkey uses sliding expiration, its expiration is pushed back by its
+     * ttl.
+     *
+     * @param {*} subkey the subkey to check
+     * @param {Function} [clock] the clock to use instead of the one the
+     * subkey was associated with
+     * @param {boolean} [refresh=false] whether this check counts as a read
+     * @returns {boolean} true if a value is present under the subkey
+     */
+    touch(subkey, clock, refresh = false) {
+      const expiration = this.expirations.get(subkey)
+
+      if (expiration) {
+        const now = (clock ?? expiration.clock)()
+
+        if (now >= expiration.expiresAt) {
+          this.erase(subkey, 'expired')
+          return false
+        }
+
+        if (refresh && expiration.sliding) {
+          this.remember(subkey)
+          expiration.expiresAt = now + expiration.ttl
+        }
+      }
+
+      return this.associations.has(subkey)
+    }
+
+    /**
+     * Erases every expired subkey, reporting 'expired' to observers.
+     *
+     * @param {Function} [clock] the clock to use instead of the ones the
+     * subkeys were associated with
+     * @returns {number} the number of subkeys that were erased
+     */
+    purge(clock) {
+      let purged = 0
+
+      for (const subkey of [...this.expirations.keys()]) {
+        if (!this.touch(subkey, clock))
+          purged++
+      }
+
+      return purged
+    }
+
+    /**
+     * Registers a listener for changes to a subkey, or to every subkey when
+     * the subkey is kAllKeys.
+     *
+     * @param {*} subkey the subkey to observe
+     * @param {Function} listener invoked with each change event
+     * @returns {Function} a function that removes the listener again and
+     * returns true if it was still registered
+     */
+    observe(subkey, listener) {
+      const entry = { subkey, listener }
+
+      this.listeners.add(entry)
+
+      return () => this.listeners.delete(entry)
+    }
+
+    /**
+     * Delivers a change event to every matching listener. The event is
+     * augmented with the source, if it can still be dereferenced. A listener
+     * that throws does not prevent delivery to the remaining listeners; the
+     * error is rethrown asynchronously instead.
+     *
+     * @param {Object} event the change event to deliver
+     */
+    notify(event) {
+      event = { source: this.get(), ...event }
+
+      if (this.owner)
+        this.owner.dispatch(this, event)
+
+      else
+        notifyListeners(this.listeners, event)
+    }
+
+    /**
+     * Records the current state of a subkey in the journal of the owning
+     * storage's active transaction, if any, so that it can be rolled back.
+     * Rolling back leaves the subkey alone if code outside the transaction
+     * has changed its value since.
+     *
+     * @param {*} subkey the subkey about to be modified
+     * @param {boolean} [modifies=false] whether its value is about to
+     * change, rather than only its expiration
+     */
+    remember(subkey, modifies = false) {
+      const context = this.owner?.context
+
+      if (!context) {
+        if (modifies)
+          this.writers?.delete(subkey)
+
+        return
+      }
+
+      const { root } = context
+      const writer = this.writers?.get(subkey)
+      const existed = this.associations.has(subkey)
+      const value = this.associations.get(subkey)
+      const expiration = this.expirations.get(subkey)
+      const copy = expiration && { ...expiration }
+
+      this.writers ??= new Map()
+      this.writers.set(subkey, root)
+      root.touched.add(this)
+
+      context.journal.push(() => {
+        if (this.writers.get(subkey) !== root)
+          return
+
+        if (writer?.open)
+          this.writers.set(subkey, writer)
+
+        else
+          this.writers.delete(subkey)
+
+        if (existed)
+          this.associations.set(subkey, value)
+
+        else
+          this.associations.delete(subkey)
+
+        if (copy)
+          this.expirations.set(subkey, copy)
+
+        else
+          this.expirations.delete(subkey)
+      })
+    }
+
+    /**
+     * Formats the wrapper for Node's util.inspect() and console.log(),
+     * showing how its source is held and what is associated with it.
+     *
+     * @param {number} depth the remaining depth to format
+     * @param {Object} options the options of util.inspect()
+     * @param {Function} inspect util.inspect() itself
+     * @returns {string} the formatted wrapper
+     */
+    [kInspect](depth, options, inspect) {
+      const source = this.get()
+      const held = this.isPrimitive
+        ? 'strong'
+        : source === undefined ? 'collected' : 'weak'
+
+      if (depth < 0 || typeof inspect !== 'function')
+        return `SourceWrapper <${held}>`
+
+      const nested = { ...options, depth: options.depth === null ? null : options.depth - 1 }
+      const associations = publicAssociations(this.associations)
+
+      return `SourceWrapper <${held}> ${inspect(source, nested)} ${inspect(associations, nested)}`
+    }
+  }
+
+  /**
+   * Delivers a change event to every listener entry in the supplied set whose
+   * subkey matches the event. Entries observing kAllKeys match every event,
+   * and events for kAllKeys (such as a collected source) match every entry.
+   *
+   * @private
+   * @param {Set<{subkey: *, listener: Function}>} listeners the listener
+   * entries to consider
+   * @param {Object} event the change event to deliver
+   */
+  function notifyListeners(listeners, event) {
+    for (const { subkey, listener } of [...listeners]) {
+      if (
+        subkey !== kAllKeys &&
+        event.subkey !== kAllKeys &&
+        subkey !== event.subkey
+      ) {
+        continue
+      }
+
+      // Changes to private keys only reach those observing the key itself
+      if (subkey !== event.subkey && isPrivateKey(event.subkey))
+        continue
+
+      try {
+        listener(event)
+      }
+      catch (error) {
+        queueMicrotask(() => { throw error })
+      }
+    }
+  }
+
+  /**
+   * A scope of associations. Every association lives in exactly one storage:
+   * either one passed directly as `options.storage`, or the one mapped to
+   * the carrier object passed in its place (globalThis by default). Carriers
+   * are mapped to their storages in a WeakMap, so any object can be used as
+   * carrier, including frozen objects and proxies, without being modified.
+   *
+   * Storages can be introspected through `size` and `sources()`, emptied
+   * with `clear()` and torn down with `dispose()`, which also supports
+   * `using` declarations through `Symbol.dispose`. Nested scopes are created
+   * with `child()`; disposing a storage disposes its children as well.
+   *
+   * Internally, a storage is a Map-like container of SourceWrappers, keyed
+   * by source. It keeps two backends so that it never strongly holds a
+   * source that could otherwise be garbage collected:
+   *
+   * 1. A WeakMap for sources that can be held weakly (objects, functions and
+   *    non-registered symbols). Once such a source is collected, its wrapper
+   *    and every value associated with it become unreachable as well.
+   *
+   * 2. A Map for primitive sources, which never get collected and therefore
+   *    have to be removed with disassociate().
+   *
+   * Because WeakMaps cannot be iterated, weakly held wrappers are also kept in
+   * an index of WeakRefs. A FinalizationRegistry prunes that index once a
+   * source is collected and tells the wrapper's observers about it; until
+   * then, iteration simply skips any wrapper whose source no longer
+   * dereferences.
+   *
+   * The Map-like members, `get()`, `set()`, `delete()`, `entries()`,
+   * `values()`, `forEach()` and iteration, hand out raw SourceWrappers. They
+   * are internal to this module and its companion modules: writes through
+   * them skip validation and observers, and reads bypass expiration and
+   * private keys. Use the association functions, `size` and `sources()`
+   * instead.
+   *
+   * @example
+   * // A scope for the lifetime of a request
+   * {
+   *   using storage = new AssociationStorage()
+   *
+   *   associate(user, request, 'user', { storage })
+   *   handle(request, storage)
+   * } // every association in storage is released here
+   */
+  class AssociationStorage {
+    #weak = new WeakMap()
+    #strong = new Map()
+    #keyed = new Map()
+    #index = new Set()
+    #records = new WeakMap()
+    #registry = new FinalizationRegistry(record => this.#collect(record))
+    #children = new Set()
+    #disposed = false
+    #listeners = new Set()
+    #open = []
+    #replaying = false
+    #finalized = 0
+
+    /**
+     * Creates a new, empty storage.
+     *
+     * @param {Object} [options={}] - Configuration options
+     * @param {AssociationStorage} [options.parent] - The storage this one is
+     * nested in; prefer `parent.child()` to supplying this directly
+     * @param {Function|string} [options.keyBy] - How sources are keyed; see
+     * createStorage(). Defaults to the parent's strategy.
+     * @param {boolean} [options.trackOrigins] - Whether associate() records
+     * where it was called from; see createStorage(). Defaults to the
+     * parent's setting.
+     */
+    constructor({
+      parent = undefined,
+      keyBy = parent?.keyBy,
+      trackOrigins = parent?.trackOrigins ?? false
+    } = {}) {
+      if (parent !== undefined && !(parent instanceof AssociationStorage))
+        throw new TypeError(`A storage's parent must be an AssociationStorage`)
+
+      if (
+        keyBy !== undefined &&
+        typeof keyBy !== 'function' &&
+        !kKeyStrategies.includes(keyBy)
+      ) {
+        throw new TypeError(
+          `keyBy must be a function, 'tuple' or 'structural', got '${String(keyBy)}'`
+        )
+      }
+
+      /**
+       * The storage this one is nested in, if any.
+       *
+       * @type {AssociationStorage|undefined}
+       */
+      this.parent = parent
+
+      /**
+       * How sources are keyed, if not by identity; see createStorage().
+       *
+       * @type {Function|string|undefined}
+       */
+      this.keyBy = keyBy
+
+      /**
+       * Whether associate() records the stack trace of each call in the
+       * `origins` of the wrapper it writes to. Can be switched at any time.
+       *
+       * @type {boolean}
+       */
+      this.trackOrigins = Boolean(trackOrigins)
+
+      parent?.#adopt(this)
+    }
+
+    /**
+     * Whether dispose() has been called on this storage.
+     *
+     * @type {boolean}
+     */
+    get disposed() {
+      return this.#disposed
+    }
+
+    /**
+     * Lists the live sources that have associations, or observers, in this
+     * storage. Collected sources are skipped.
+     *
+     * @returns {Array<*>} the sources
+     */
+    sources() {
+      return [...this.keys()]
+    }
+
+    /**
+     * Lists the live child storages created through child().
+     *
+     * @returns {Array<AssociationStorage>} the children
+     */
+    children() {
+      return [...this.#children]
+        .map(ref => ref.deref())
+        .filter(child => child && !child.disposed)
+    }
+
+    /**
+     * Creates a storage nested in this one. The child is disposed along with
+     * this storage.
+     *
+     * @param {Object} [options={}] - Options passed to createStorage(), such
+     * as limits for a bounded child storage
+     * @returns {AssociationStorage} the new child storage
+     */
+    child(options = {}) {
+      return createStorage({ ...options, parent: this })
+    }
+
+    /**
+     * Releases every association in this storage and in its children, and
+     * detaches it from its parent. A disposed storage can no longer be used;
+     * passing it as `options.storage` throws. Carriers mapped to a disposed
+     * storage receive a fresh one on their next use.
+     */
+    dispose() {
+      if (this.#disposed)
+        return
+
+      for (const child of this.children())
+        child.dispose()
+
+      this.clear()
+      this.#disposed = true
+      this.parent?.#release(this)
+    }
+
+    [kDispose]() {
+      this.dispose()
+    }
+
+    /**
+     * Registers a child storage.
+     *
+     * @param {AssociationStorage} child the child to register
+     */
+    #adopt(child) {
+      if (this.#disposed)
+        throw new Error(`Cannot create a child of a disposed storage`)
+
+      this.#children.add(new WeakRef(child))
+    }
+
+    /**
+     * Unregisters a child storage, pruning children that were collected.
+     *
+     * @param {AssociationStorage} child the child to unregister
+     */
+    #release(child) {
+      for (const ref of this.#children) {
+        const candidate = ref.deref()
+
+        if (!candidate || candidate === child)
+          this.#children.delete(ref)
+      }
+    }
+
+    /**
+     * The number of sources with live associations in this map. Sources that
+     * were collected but not yet finalized are not counted.
+     *
+     * @type {number}
+     */
+    get size() {
+      let size = this.#strong.size
+
+      for (const wrapper of this.#keyed.values()) {
+        if (wrapper.get() !== undefined || wrapper.isPrimitive)
+          size++
+      }
+
+      for (const { ref } of this.#index) {
+        if (ref.deref()?.get() !== undefined)
+          size++
+      }
+
+      return size
+    }
+
+    /**
+     * The number of weakly held sources that were garbage collected while
+     * they had associations or observers in this storage; that is, of
+     * wrappers whose get() returns undefined, whether or not their
+     * finalization has run yet.
+     *
+     * @type {number}
+     */
+    get collected() {
+      let pending = 0
+
+      for (const wrapper of this.#keyed.values()) {
+        if (!wrapper.isPrimitive && wrapper.get() === undefined)
+          pending++
+      }
+
+      for (const { ref } of this.#index) {
+        if (ref.deref()?.get() === undefined)
+          pending++
+      }
+
+      return this.#finalized + pending
+    }
+
+    /**
+     * Retrieves the wrapper stored for the supplied source.
+     *
+     * @private
+     * @param {*} source the source whose wrapper should be returned
+     * @returns {SourceWrapper|undefined} the wrapper or undefined if none
+     */
+    get(source) {
+      const derived = this.keyBy && derivedKey(source, this.keyBy)
+
+      if (derived)
+        return this.#keyed.get(derived.key)
+
+      return canBeHeldWeakly(source)
+        ? this.#weak.get(source)
+        : this.#strong.get(source)
+    }
+
+    /**
+     * Determines whether a wrapper is stored for the supplied source.
+     *
+     * @param {*} source the source to look for
+     * @returns {boolean} true if a wrapper is stored for the source
+     */
+    has(source) {
+      return this.get(source) !== undefined
+    }
+
+    /**
+     * Stores a wrapper for the supplied source, replacing any previous one.
+     *
+     * @private
+     * @param {*} source the source to store the wrapper for
+     * @param {SourceWrapper} wrapper the wrapper to store
+     * @returns {AssociationStorage} this storage, for chaining like
+     * Map.prototype.set
+     */
+    set(source, wrapper) {
+      const journal = this.journal
+
+      if (journal) {
+        const previous = this.get(source)
+
+        // Keep the wrapper if it was replaced since, or if code outside the
+        // transaction left associations or observers on it
+        journal.push(() => {
+          if (this.get(source) !== wrapper)
+            return
+
+          if (previous)
+            this.set(source, previous)
+
+          else if (!wrapper.associations.size && !wrapper.listeners.size)
+            this.delete(source)
+        })
+      }
+
+      wrapper.owner = this
+
+      const derived = this.keyBy && derivedKey(source, this.keyBy)
+
+      if (derived) {
+        this.#forget(this.#keyed.get(derived.key))
+        this.#keyed.set(derived.key, wrapper)
+
+        if (!derived.owners.length) {
+          wrapper.retain()
+          return this
+        }
+
+        // A tuple or structure must not keep the objects it contains alive
+        if (!derived.owners.includes(source) && !wrapper.isPrimitive)
+          wrapper.ref = rebuildingRef(source, this.keyBy === 'structural')
+
+        // Not indexed, since #keyed holds the wrapper, but collecting any
+        // owner removes the entry
+        const record = {
+          ref: new WeakRef(wrapper),
+          listeners: wrapper.listeners,
+          key: derived.key,
+        }
+
+        this.#records.set(wrapper, record)
+
+        for (const owner of derived.owners)
+          this.#registry.register(owner, record, wrapper)
+
+        return this
+      }
+
+      if (!canBeHeldWeakly(source)) {
+        this.#strong.set(source, wrapper)
+        return this
+      }
+
+      this.#forget(this.#weak.get(source))
+
+      // The record outlives the wrapper so that observers can still be told
+      // about the collection. It must never reference the source itself.
+      const record = {
+        ref: new WeakRef(wrapper),
+        listeners: wrapper.listeners,
+      }
+
+      this.#weak.set(source, wrapper)
+      this.#records.set(wrapper, record)
+      this.#index.add(record)
+      this.#registry.register(source, record, wrapper)
+
+      return this
+    }
+
+    /**
+     * Removes the wrapper stored for the supplied source.
+     *
+     * @private
+     * @param {*} source the source whose wrapper should be removed
+     * @returns {boolean} true if a wrapper was removed
+     */
+    delete(source) {
+      const journal = this.journal
+      const previous = journal && this.get(source)
+
+      if (previous)
+        journal.push(() => this.has(source) || this.set(source, previous))
+
+      const derived = this.keyBy && derivedKey(source, this.keyBy)
+
+      if (derived) {
+        this.#forget(this.#keyed.get(derived.key))
+        return this.#keyed.delete(derived.key)
+      }
+
+      if (!canBeHeldWeakly(source))
+        return this.#strong.delete(source)
+
+      const wrapper = this.#weak.get(source)
+
+      if (!wrapper)
+        return false
+
+      this.#forget(wrapper)
+
+      return this.#weak.delete(source)
+    }
+
+    /**
+     * Removes every wrapper from both backends. Clearing is neither reported
+     * to observers nor undone when a transaction is rolled back.
+     */
+    clear() {
+      for (const { ref } of this.#index) {
+        const wrapper = ref.deref()
+
+        if (wrapper)
+          this.#registry.unregister(wrapper)
+      }
+
+      for (const wrapper of this.#keyed.values())
+        this.#registry.unregister(wrapper)
+
+      this.#weak = new WeakMap()
+      this.#index.clear()
+      this.#strong.clear()
+      this.#keyed.clear()
+    }
+
+    /**
+     * Iterates over `[source, wrapper]` pairs, skipping collected sources.
+     *
+     * @private
+     * @yields {[*, SourceWrapper]} each live source and its wrapper
+     */
+    *entries() {
+      yield* this.#strong.entries()
+
+      for (const wrapper of [...this.#keyed.values()]) {
+        const source = wrapper.get()
+
+        if (source !== undefined || wrapper.isPrimitive)
+          yield [source, wrapper]
+      }
+
+      for (const { ref } of this.#index) {
+        const wrapper = ref.deref()
+        const source = wrapper?.get()
+
+        if (source !== undefined)
+          yield [source, wrapper]
+      }
+    }
+
+    /**
+     * Iterates over live sources.
+     *
+     * @yields {*} each live source
+     */
+    *keys() {
+      for (const [source] of this.entries())
+        yield source
+    }
+
+    /**
+     * Iterates over wrappers of live sources.
+     *
+     * @private
+     * @yields {SourceWrapper} each wrapper
+     */
+    *values() {
+      for (const [, wrapper] of this.entries())
+        yield wrapper
+    }
+
+    /**
+     * Invokes a callback for each live source, in the manner of
+     * Map.prototype.forEach.
+     *
+     * @private
+     * @param {Function} callback receives `(wrapper, source, map)`
+     * @param {*} [thisArg] the `this` value for the callback
+     */
+    forEach(callback, thisArg) {
+      for (const [source, wrapper] of this.entries())
+        callback.call(thisArg, wrapper, source, this)
+    }
+
+    [Symbol.iterator]() {
+      return this.entries()
+    }
+
+    /**
+     * Formats the storage for Node's util.inspect() and console.log(),
+     * showing the associations of every live source.
+     *
+     * @param {number} depth the remaining depth to format
+     * @param {Object} options the options of util.inspect()
+     * @param {Function} inspect util.inspect() itself
+     * @returns {string} the formatted storage
+     */
+    [kInspect](depth, options, inspect) {
+      const label = `${this.constructor.name} <${this.size} sources>`
+
+      if (depth < 0 || typeof inspect !== 'function')
+        return label
+
+      const nested = { ...options, depth: options.depth === null ? null : options.depth - 1 }
+      const entries = new Map([...this.entries()].map(([source, wrapper]) =>
+        [source, publicAssociations(wrapper.associations)]
+      ))
+
+      return `${label} ${inspect(entries, nested)}`
+    }
+
+    /**
+     * Called after a subkey of a source was successfully read or written.
+     * The base implementation does nothing; subclasses use it to track usage.
+     *
+     * @param {*} source the source that was accessed
+     * @param {SourceWrapper} wrapper the wrapper of the source
+     * @param {*} subkey the accessed subkey, or kAllKeys for bulk writes
+     * @param {string} access either 'read' or 'write'
+     */
+    record(source, wrapper, subkey, access) {}
+
+    /**
+     * Called when associate(), associated(), disassociate(), observe() or
+     * entriesOf() finds no wrapper for a source, before giving up on it. The
+     * base implementation does nothing; subclasses may associate values with
+     * the source now, for example from a persistent backend, and the lookup
+     * then finds them.
+     *
+     * @param {*} source the source that was not found
+     */
+    miss(source) {}
+
+    /**
+     * Observes every change in this storage. Unlike observe(), the listener
+     * receives an array of change events: a single event for each change
+     * made outside of a transaction, and every coalesced change of a
+     * transaction at once when it commits.
+     *
+     * @param {Function} listener invoked with each batch of change events
+     * @returns {Function} a function that stops observing; it returns true if
+     * the listener was still registered
+     *
+     * @example
+     * storage.observe(changes => {
+     *   for (const { source, subkey, newValue } of changes)
+     *     sync(source, subkey, newValue)
+     * })
+     */
+    observe(listener) {
+      if (typeof listener !== 'function')
+        throw new TypeError(`observe() requires a listener function`)
+
+      const entry = { listener }
+
+      this.#listeners.add(entry)
+
+      return () => this.#listeners.delete(entry)
+    }
+
+    /**
+     * The innermost open transaction of this storage that the running code
+     * belongs to, if any. Where AsyncLocalStorage is available, that is the
+     * transaction whose function, or a continuation of it, is running;
+     * elsewhere, the transaction that began last.
+     *
+     * @private
+     * @type {Object|undefined}
+     */
+    get context() {
+      if (this.#replaying)
+        return undefined
+
+      if (!transactionScope)
+        return this.#open.at(-1)
+
+      for (let context = transactionScope.getStore(); context; context = context.outer) {
+        if (context.storage === this && context.open)
+          return context
+      }
+
+      return undefined
+    }
+
+    /**
+     * The undo journal of the current transaction, if any. Modifications
+     * push a function onto it that reverts them.
+     *
+     * @private
+     * @type {Array<Function>|undefined}
+     */
+    get journal() {
+      return this.context?.journal
+    }
+
+    /**
+     * Delivers a change event of one of this storage's wrappers, or defers it
+     * until the current transaction commits.
+     *
+     * @private
+     * @param {SourceWrapper} wrapper the wrapper that changed
+     * @param {Object} event the change event
+     */
+    dispatch(wrapper, event) {
+      const context = event.reason !== 'collected' && this.context
+
+      if (context)
+        context.pending.push({ wrapper, event })
+
+      else
+        this.#deliver([{ wrapper, event }])
+    }
+
+    /**
+     * Starts a transaction, nested in the current one, if any. The returned
+     * context owns the journal and the deferred change events of the
+     * transaction.
+     *
+     * @private
+     * @returns {Object} the context of the new transaction
+     */
+    begin() {
+      const parent = this.context
+      const context = {
+        storage: this,
+        outer: transactionScope?.getStore(),
+        parent,
+        root: undefined,
+        journal: [],
+        pending: [],
+        touched: undefined,
+        open: true,
+        async: false,
+      }
+
+      context.root = parent?.root ?? context
+      context.root.touched ??= new Set()
+      this.#open.push(context)
+
+      return context
+    }
+
+    /**
+     * Marks a transaction as asynchronous, once its function has returned a
+     * promise.
+     *
+     * @private
+     * @param {Object} context the context returned by begin()
+     * @throws {Error} if another asynchronous transaction is open on this
+     * storage and the engine lacks AsyncLocalStorage, without which their
+     * writes cannot be told apart
+     */
+    suspend(context) {
+      if (!transactionScope && this.#open.some(other => other.async)) {
+        throw new Error(
+          `Asynchronous transactions on a storage cannot overlap without AsyncLocalStorage`
+        )
+      }
+
+      context.async = true
+    }
+
+    /**
+     * Marks the current state of a transaction so it can later be rolled
+     * back to.
+     *
+     * @private
+     * @param {Object} context the context returned by begin()
+     * @returns {Object} the savepoint
+     */
+    savepoint(context) {
+      if (!context.open)
+        throw new Error(`Savepoints require an open transaction`)
+
+      return {
+        context,
+        journal: context.journal.length,
+        pending: context.pending.length,
+      }
+    }
+
+    /**
+     * Reverts every modification a transaction made since a savepoint and
+     * discards the change events it deferred since.
+     *
+     * @private
+     * @param {Object} savepoint a savepoint of an open transaction
+     */
+    rollbackTo(savepoint) {
+      const { context } = savepoint
+
+      if (!context?.open || savepoint.journal > context.journal.length)
+        throw new Error(`Cannot roll back to a savepoint that is no longer active`)
+
+      this.#replaying = true
+
+      try {
+        while (context.journal.length > savepoint.journal)
+          context.journal.pop()()
+      }
+      finally {
+        this.#replaying = false
+      }
+
+      context.pending.length = savepoint.pending
+    }
+
+    /**
+     * Ends a transaction started by begin(). Nested transactions still open
+     * end along with it, sharing its outcome. A committed nested transaction
+     * hands its journal and change events to its parent; a committed
+     * outermost one delivers its coalesced change events. Ending a
+     * transaction twice does nothing.
+     *
+     * @private
+     * @param {Object} context the context returned by begin()
+     * @param {boolean} commit false to roll the transaction back
+     */
+    end(context, commit) {
+      if (!context.open)
+        return
+
+      const { pending } = context
+      const nested = this.#open.filter(other => {
+        for (let parent = other.parent; parent; parent = parent.parent) {
+          if (parent === context)
+            return true
+        }
+
+        return false
+      })
+
+      try {
+        for (const child of nested.reverse())
+          this.#close(child)
+
+        if (!commit)
+          this.rollbackTo({ context, journal: 0, pending: 0 })
+      }
+      finally {
+        this.#close(context)
+      }
+
+      if (commit && !context.parent)
+        this.#deliver(coalesce(pending))
+    }
+
+    /**
+     * Closes a transaction, handing its journal and change events to its
+     * parent, if any. Closing an outermost transaction releases the marks it
+     * left on the subkeys it wrote.
+     *
+     * @param {Object} context the transaction to close
+     */
+    #close(context) {
+      const { parent, journal, pending, touched } = context
+
+      context.open = false
+      context.journal = []
+      context.pending = []
+      context.touched = undefined
+      this.#open.splice(this.#open.indexOf(context), 1)
+
+      if (parent) {
+        parent.journal.push(...journal)
+        parent.pending.push(...pending)
+        return
+      }
+
+      for (const wrapper of touched) {
+        for (const [subkey, writer] of wrapper.writers) {
+          if (writer === context)
+            wrapper.writers.delete(subkey)
+        }
+      }
+    }
+
+    /**
+     * Delivers change events to the observers of their wrappers and then, as
+     * a single batch, to the observers of this storage.
+     *
+     * @param {Array<{wrapper: SourceWrapper, event: Object}>} changes the
+     * changes to deliver
+     */
+    #deliver(changes) {
+      if (!changes.length)
+        return
+
+      for (const { wrapper, event } of changes)
+        notifyListeners(wrapper.listeners, event)
+
+      const batch = changes
+        .map(({ event }) => event)
+        .filter(({ subkey }) => !isPrivateKey(subkey))
+
+      if (!batch.length)
+        return
+
+      for (const { listener } of [...this.#listeners]) {
+        try {
+          listener(batch)
+        }
+        catch (error) {
+          queueMicrotask(() => { throw error })
+        }
+      }
+    }
+
+    /**
+     * Drops the index entry and finalization registration of a wrapper.
+     *
+     * @param {SourceWrapper|undefined} wrapper the wrapper to forget
+     */
+    #forget(wrapper) {
+      if (!wrapper)
+        return
+
+      this.#index.delete(this.#records.get(wrapper))
+      this.#records.delete(wrapper)
+      this.#registry.unregister(wrapper)
+    }
+
+    /**
+     * Finalization callback for a collected source. Removes its record from
+     * the index and reports the collection to any remaining observers.
+     *
+     * @param {{ref: WeakRef, listeners: Set}} record the finalized record
+     */
+    #collect(record) {
+      if (record.key !== undefined) {
+        const wrapper = record.ref.deref()
+
+        // The entry may have been replaced, or removed by another owner
+        if (!wrapper || this.#keyed.get(record.key) !== wrapper)
+          return
+
+        this.#keyed.delete(record.key)
+        this.#registry.unregister(wrapper)
+      }
+
+      this.#index.delete(record)
+      this.#finalized++
+
+      this.#deliver([{
+        wrapper: { listeners: record.listeners },
+        event: {
+          reason: 'collected',
+          source: undefined,
+          subkey: kAllKeys,
+          oldValue: undefined,
+          newValue: undefined,
+        }
+      }])
+    }
+  }
+
+  // Reasons of change events after which the subkey no longer exists
+  const kRemovalReasons = ['delete', 'clear', 'expired', 'evicted']
+
+  /**
+   * Coalesces the change events of a transaction so that each subkey of each
+   * wrapper is reported at most once, describing its net change from before
+   * the transaction to after it. Subkeys that end up as they started are
+   * not reported at all.
+   *
+   * @private
+   * @param {Array<{wrapper: SourceWrapper, event: Object}>} changes the
+   * changes in the order they happened
+   * @returns {Array<{wrapper: SourceWrapper, event: Object}>} the coalesced
+   * changes, in the order their subkeys were first changed
+   */
+  function coalesce(changes) {
+    const groups = new Map()
+
+    for (const change of changes) {
+      let subkeys = groups.get(change.wrapper)
+
+      if (!subkeys) {
+        subkeys = new Map()
+        groups.set(change.wrapper, subkeys)
+      }
+
+      const group = subkeys.get(change.event.subkey)
+
+      if (group)
+        group.push(change)
+
+      else
+        subkeys.set(change.event.subkey, [change])
+    }
+
+    const coalesced = []
+
+    for (const subkeys of groups.values()) {
+      for (const group of subkeys.values()) {
+        const first = group[0].event
+        const last = group[group.length - 1].event
+
+        if (group.length === 1) {
+          coalesced.push(group[0])
+          continue
+        }
+
+        const existedBefore = first.reason !== 'set'
+        const existsAfter = !kRemovalReasons.includes(last.reason)
+
+        if (!existedBefore && !existsAfter)
+          continue
+
+        if (existedBefore && existsAfter && Object.is(first.oldValue, last.newValue))
+          continue
+
+        coalesced.push({
+          wrapper: group[0].wrapper,
+          event: {
+            ...last,
+            reason: !existedBefore ? 'set' : existsAfter ? 'replace' : last.reason,
+            oldValue: first.oldValue,
+          }
+        })
+      }
+    }
+
+    return coalesced
+  }
+
+  /**
+   * A storage that bounds the number of associations it keeps, as created
+   * through createStorage(). Two limits are enforced after every write:
+   *
+   * - `maxEntries` bounds the number of primitive sources. Weakly held
+   *   sources do not count; they are released by garbage collection instead.
+   * - `maxSubkeysPerSource` bounds the number of subkeys of any one source.
+   *
+   * When a limit is exceeded, the source or subkey chosen by the eviction
+   * policy is disassociated. The source or subkey that was just written is
+   * never chosen. Observers see an 'evicted' event for every removed subkey
+   * and the `onEvict` callback is invoked for each of them.
+   *
+   * @private
+   */
+  class BoundedStorage extends AssociationStorage {
+    #usage = new Map()
+    #subkeyUsage = new WeakMap()
+
+    /**
+     * Creates a new bounded storage.
+     *
+     * @param {Object} options see createStorage()
+     */
+    constructor({
+      maxEntries = Infinity,
+      maxSubkeysPerSource = Infinity,
+      policy = 'lru',
+      onEvict = undefined,
+      parent = undefined,
+      keyBy = parent?.keyBy,
+      trackOrigins = parent?.trackOrigins
+    } = {}) {
+      super({ parent, keyBy, trackOrigins })
+
+      for (const [name, limit] of Object.entries({ maxEntries, maxSubkeysPerSource })) {
+        if (!(limit === Infinity || (Number.isInteger(limit) && limit > 0)))
+          throw new TypeError(`${name} must be a positive integer, got '${String(limit)}'`)
+      }
+
+      if (!['lru', 'lfu', 'fifo'].includes(policy))
+        throw new TypeError(`Unknown eviction policy '${String(policy)}'`)
+
+      if (onEvict !== undefined && typeof onEvict !== 'function')
+        throw new TypeError(`onEvict must be a function`)
+
+      Object.assign(this, { maxEntries, maxSubkeysPerSource, policy, onEvict })
+    }
+
+    delete(source) {
+      this.#usage.delete(this.get(source)?.get() ?? source)
+      return super.delete(source)
+    }
+
+    clear() {
+      this.#usage.clear()
+      this.#subkeyUsage = new WeakMap()
+      super.clear()
+    }
+
+    record(source, wrapper, subkey, access) {
+      // The wrapper's source rather than the one passed in, which may be an
+      // equal tuple for storages with a keyBy strategy
+      if (wrapper.isPrimitive)
+        this.#use(this.#usage, wrapper.get(), access)
+
+      if (subkey === kAllKeys)
+        return
+
+      let usage = this.#subkeyUsage.get(wrapper)
+
+      if (!usage) {
+        usage = new Map()
+        this.#subkeyUsage.set(wrapper, usage)
+      }
+
+      this.#use(usage, subkey, access)
+
+      if (access !== 'write')
+        return
+
+      // Usage may still list subkeys that were removed by other means
+      while (wrapper.associations.size > this.maxSubkeysPerSource) {
+        const victim = this.#victim(usage, subkey, key => wrapper.associations.has(key))
+
+        if (!victim)
+          break
+
+        usage.delete(victim.key)
+        this.#evict(wrapper, victim.key)
+      }
+
+      while (this.#usage.size > this.maxEntries) {
+        const victim = this.#victim(this.#usage, source)
+
+        if (!victim)
+          break
+
+        const evicted = this.get(victim.key)
+
+        this.#usage.delete(victim.key)
+        this.#evict(evicted, kAllKeys)
+
+        if (!evicted.listeners.size)
+          super.delete(victim.key)
+      }
+    }
+
+    /**
+     * Updates the usage statistics of a key.
+     *
+     * @param {Map} usage the statistics to update
+     * @param {*} key the source or subkey that was accessed
+     * @param {string} access either 'read' or 'write'
+     */
+    #use(usage, key, access) {
+      const stats = usage.get(key) ?? { hits: 0 }
+
+      stats.hits++
+
+      // Map order is the eviction order for 'lru' and 'fifo'
+      if (this.policy === 'lru' || !usage.has(key)) {
+        usage.delete(key)
+        usage.set(key, stats)
+      }
+    }
+
+    /**
+     * Chooses the key to evict according to the policy.
+     *
+     * @param {Map} usage the statistics to choose from
+     * @param {*} exclude the key that must not be chosen
+     * @param {Function} [isLive] filters out stale keys
+     * @returns {{key: *}} the chosen key
+     */
+    #victim(usage, exclude, isLive = () => true) {
+      let victim
+
+      for (const [key, stats] of usage) {
+        if (key === exclude || !isLive(key)) {
+          if (key !== exclude)
+            usage.delete(key)
+
+          continue
+        }
+
+        if (this.policy !== 'lfu')
+          return { key }
+
+        if (!victim || stats.hits < victim.hits)
+          victim = { key, hits: stats.hits }
+      }
+
+      return victim
+    }
+
+    /**
+     * Disassociates a subkey, or all subkeys, of a wrapper on eviction.
+     *
+     * @param {SourceWrapper} wrapper the wrapper to evict from
+     * @param {*} subkey the subkey to evict, or kAllKeys
+     */
+    #evict(wrapper, subkey) {
+      const source = wrapper.get()
+      const evicted = subkey === kAllKeys
+        ? [...wrapper.associations.entries()]
+        : [[subkey, wrapper.associations.get(subkey)]]
+
+      for (const [key, value] of evicted) {
+        wrapper.erase(key, 'evicted')
+
+        try {
+          this.onEvict?.({ source, subkey: key, value })
+        }
+        catch (error) {
+          queueMicrotask(() => { throw error })
+        }
+      }
+    }
+  }
+
+  /**
+   * Internal function to create or retrieve the storage for associations.
+   * When supplied with an AssociationStorage, it is returned as is. Any other
+   * object is treated as a storage carrier and mapped to a storage of its
+   * own, which is created on first use.
+   *
+   * The storage system is designed to be flexible:
+   * - By default, it uses globalThis as the storage carrier
+   * - Custom storage objects can be provided to scope associations
+   * - Storages are created lazily only when needed
+   * - Carriers are never modified, so frozen and sealed objects or proxies
+   *   work as well as any other object
+   *
+   * @param {Object} storage The AssociationStorage or carrier object
+   * @param {boolean} create Whether to create the storage if it doesn't exist
+   * @returns {AssociationStorage|undefined} The storage or undefined if not
+   * found
+   * @throws {Error} if the storage is not an object, or has been disposed
+   */
+  function getStorageMap(storage = globalThis, create = true) {
+    if (
+      storage === null ||
+      (typeof storage !== 'object' && typeof storage !== 'function')
+    ) {
+      throw new Error(`Cannot use '${String(storage)}' as storage carrier.`)
+    }
+
+    if (storage instanceof AssociationStorage) {
+      if (storage.disposed)
+        throw new Error(`Cannot use a disposed storage.`)
+
+      return storage
+    }
+
+    const existing = carriers.get(storage)
+
+    if ((existing && !existing.disposed) || !create)
+      return existing?.disposed ? undefined : existing
+
+    // Create new storage if it doesn't exist
+    const created = new AssociationStorage()
+
+    carriers.set(storage, created)
+
+    return created
+  }
+
+  /**
+   * This function removes the storage mapped to the supplied carrier, so
+   * that the carrier starts out with an empty storage on its next use. The
+   * removed storage itself is left intact.
+   *
+   * @param {Object} storage The carrier whose storage should be removed
+   * @returns {AssociationStorage|undefined} the storage that was removed if
+   * one exists, undefined otherwise
+   */
+  function removeStorageMap(storage = globalThis) {
+    if (
+      storage === null ||
+      (typeof storage !== 'object' && typeof storage !== 'function')
+    ) {
+      throw new Error(`Cannot use '${String(storage)}' as storage carrier.`)
+    }
+
+    const removed = carriers.get(storage)
+
+    carriers.delete(storage)
+
+    return removed
+  }
+
+  /**
+   * Maps a carrier to the supplied storage, replacing any storage it was
+   * mapped to before. This lets objects that are used as carriers, such as
+   * components passing `{ storage: this }`, take part in a hierarchy of
+   * storages.
+   *
+   * @param {Object} carrier the object to use as carrier
+   * @param {AssociationStorage} storage the storage to map it to
+   * @returns {AssociationStorage} the supplied storage
+   *
+   * @example
+   * // A component whose associations inherit from those of its app
+   * class Component {
+   *   constructor(app) {
+   *     attachStorage(this, getStorageMap(app).child())
+   *   }
+   *
+   *   get theme() {
+   *     return associated(this, 'theme', { storage: this, inherit: true })
+   *   }
+   * }
+   */
+  function attachStorage(carrier, storage) {
+    if (
+      carrier === null ||
+      (typeof carrier !== 'object' && typeof carrier !== 'function') ||
+      carrier instanceof AssociationStorage
+    ) {
+      throw new Error(`Cannot use '${String(carrier)}' as storage carrier.`)
+    }
+
+    if (!(storage instanceof AssociationStorage) || storage.disposed)
+      throw new TypeError(`Carriers can only be attached to a live AssociationStorage`)
+
+    carriers.set(carrier, storage)
+
+    return storage
+  }
+
+  /**
+   * Creates a new AssociationStorage. Pass it as the `storage` option of
+   * associate(), associated(), disassociate() and association() to keep
+   * associations in it.
+   *
+   * Supplying any limit creates a bounded storage. Primitive sources are
+   * never garbage collected, so a storage keyed by request ids, cache keys
+   * and the like grows without bound unless every entry is disassociated.
+   * A bounded storage instead evicts the least valuable entries once a limit
+   * is exceeded:
+   *
+   * - `'lru'` evicts whatever was read or written least recently
+   * - `'lfu'` evicts whatever was read or written least often, the oldest
+   *   first among equals
+   * - `'fifo'` evicts whatever was first associated earliest
+   *
+   * Eviction counts as disassociation: observers receive an 'evicted' event
+   * for each removed subkey, and the `onEvict` callback is invoked with a
+   * `{ source, subkey, value }` object for each of them.
+   *
+   * Sources are keyed by identity unless a `keyBy` strategy is given, in
+   * which case equal sources share their associations, still with O(1)
+   * lookups:
+   *
+   * - a function receives each object source and returns the key it is
+   *   stored under, such as its id, an array of parts, or undefined to key
+   *   the source by identity
+   * - `'tuple'` keys arrays by their elements, so that
+   *   `associate(v, ['user', 42])` can be read with an equal array
+   * - `'structural'` keys frozen arrays and frozen plain objects by their
+   *   contents, recursively
+   *
+   * Primitives in keys compare like Map keys and objects by identity. An
+   * entry whose key involves objects is removed once the source that
+   * created it (for keyBy functions) or any object in its key is garbage
+   * collected; keys of primitives alone are held like primitive sources.
+   *
+   * @param {Object} [options={}] - Configuration options
+   * @param {AssociationStorage} [options.parent] - The storage to nest the
+   * new storage in
+   * @param {Function|string} [options.keyBy] - A function deriving keys from
+   * object sources, `'tuple'` or `'structural'`; defaults to the parent's
+   * @param {boolean} [options.trackOrigins=false] - Whether associate()
+   * records its stack trace per subkey, so that leaked entries can be traced
+   * back to the code that created them; defaults to the parent's. Capturing
+   * stack traces is slow, so enable this only while debugging.
+   * @param {number} [options.maxEntries=Infinity] - The maximum number of
+   * primitive sources. Weakly held sources are released by garbage
+   * collection and do not count towards this limit.
+   * @param {number} [options.maxSubkeysPerSource=Infinity] - The maximum
+   * number of subkeys associated with any one source
+   * @param {string} [options.policy='lru'] - One of 'lru', 'lfu' or 'fifo'
+   * @param {Function} [options.onEvict] - Invoked for each evicted subkey
+   * @returns {AssociationStorage} the new storage
+   *
+   * @example
+   * // Keep at most 1000 cached responses, dropping the least recently used
+   * const cache = createStorage({ maxEntries: 1000 })
+   *
+   * associate(response, requestId, 'response', { storage: cache })
+   * associated(requestId, 'response', { storage: cache })
+   */
+  function createStorage(options = {}) {
+    const bounded = ['maxEntries', 'maxSubkeysPerSource', 'policy', 'onEvict']
+      .some(option => options?.[option] !== undefined)
+
+    return bounded
+      ? new BoundedStorage(options)
+      : new AssociationStorage(options)
+  }
+
+  /**
+   * Lists the storages consulted by an inheriting lookup: the supplied
+   * storage, its ancestors from nearest to farthest and finally the storage
+   * of globalThis, if it exists and is not part of the chain already.
+   *
+   * @private
+   * @param {AssociationStorage} [storageMap] the storage to start from
+   * @returns {Array<AssociationStorage>} the chain of storages
+   */
+  function storageChain(storageMap) {
+    const chain = []
+
+    for (let scope = storageMap; scope; scope = scope.parent)
+      chain.push(scope)
+
+    const globalStorage = getStorageMap(globalThis, false)
+
+    if (globalStorage && !chain.includes(globalStorage))
+      chain.push(globalStorage)
+
+    return chain
+  }
+
+  /**
+   * Finds the storage an inheriting write or disassociation applies to: the
+   * nearest storage in the chain that currently holds the subkey for the
+   * source, or for `kAllKeys` any subkey at all. When none does, the
+   * supplied storage itself is returned.
+   *
+   * @private
+   * @param {AssociationStorage} [storageMap] the storage to start from
+   * @param {*} source the source being written or disassociated
+   * @param {*} subkey the subkey being written or disassociated
+   * @param {Function} [clock] the clock used for expiration checks
+   * @returns {AssociationStorage|undefined} the storage to operate on
+   */
+  function owningStorage(storageMap, source, subkey, clock) {
+    for (const scope of storageChain(storageMap)) {
+      const wrapper = lookupWrapper(scope, source)
+
+      if (!wrapper)
+        continue
+
+      if (subkey !== kAllKeys && wrapper.touch(subkey, clock))
+        return scope
+
+      if (subkey === kAllKeys && (wrapper.purge(clock), wrapper.associations.size))
+        return scope
+    }
+
+    return storageMap
+  }
+
+  /**
+   * Retrieves the wrapper of a source, giving the storage a chance to supply
+   * a missing one through its miss() hook, and carrying the associations of
+   * its nearest predecessor forward when the storage has a lineage
+   * registered through carryForward() and the source has no associations
+   * of its own yet.
+   *
+   * @private
+   * @param {AssociationStorage} storageMap the storage to look in
+   * @param {*} source the source whose wrapper to retrieve
+   * @returns {SourceWrapper|undefined} the wrapper, if any
+   */
+  function lookupWrapper(storageMap, source) {
+    let wrapper = storageMap.get(source)
+
+    if (!wrapper) {
+      storageMap.miss(source)
+      wrapper = storageMap.get(source)
+    }
+
+    const carry = lineages.get(storageMap)
+
+    if (!carry || wrapper?.associations.size || !canBeHeldWeakly(source))
+      return wrapper
+
+    const seen = new Set([source])
+
+    for (
+      let ancestor = carry.lineage(source);
+      ancestor != null && !seen.has(ancestor);
+      ancestor = carry.lineage(ancestor)
+    ) {
+      seen.add(ancestor)
+
+      const options = { storage: storageMap, merge: true, copy: carry.copy }
+
+      if (storageMap.has(ancestor) && retarget(ancestor, source, options))
+        return storageMap.get(source)
+    }
+
+    return wrapper
+  }
+
+  /**
+   * Creates the expiration record for an association from the `ttl`,
+   * `expiresAt`, `sliding` and `clock` options of associate().
+   *
+   * @private
+   * @param {Object} [options] the options passed to associate()
+   * @returns {{expiresAt: number, ttl: number|undefined, sliding: boolean,
+   * clock: Function}|undefined} the expiration record, or undefined if the
+   * association does not expire
+   */
+  function expirationOf(options) {
+    const { ttl, expiresAt, sliding = false, clock = Date.now } = options ?? {}
+
+    if (ttl === undefined && expiresAt === undefined)
+      return undefined
+
+    if (ttl !== undefined && !(typeof ttl === 'number' && ttl >= 0))
+      throw new TypeError(`ttl must be a non-negative number, got '${String(ttl)}'`)
+
+    if (expiresAt !== undefined && typeof expiresAt !== 'number')
+      throw new TypeError(`expiresAt must be a number, got '${String(expiresAt)}'`)
+
+    if (sliding && ttl === undefined)
+      throw new TypeError(`Sliding expiration requires a ttl`)
+
+    if (typeof clock !== 'function')
+      throw new TypeError(`clock must be a function returning milliseconds`)
+
+    return {
+      expiresAt: expiresAt ?? clock() + ttl,
+      ttl,
+      sliding: Boolean(sliding),
+      clock,
+    }
+  }
+
+  /**
+   * Finds the computed definition of a subkey in the first of a list of
+   * storages that defines one.
+   *
+   * @private
+   * @param {Array<AssociationStorage>} scopes the storages to search
+   * @param {*} subkey the subkey
+   * @returns {Object|undefined} the definition, if the subkey is computed
+   */
+  function computedFor(scopes, subkey) {
+    for (const scope of scopes) {
+      const definition = computedDefinitions.get(scope)?.get(subkey)
+
+      if (definition)
+        return definition
+    }
+
+    return undefined
+  }
+
+  /**
+   * Evaluates a computed subkey for a source, reusing the cached result as
+   * long as every association it read still holds the same value. Results
+   * are cached per storage read from, and only for sources that can be held
+   * weakly; nothing would ever release those of primitive sources.
+   *
+   * @private
+   * @param {Object} definition the definition created by defineComputed()
+   * @param {*} source the source to evaluate the subkey for
+   * @param {AssociationStorage} scope the storage the subkey is read from,
+   * which dependencies are read from as well
+   * @param {Object} [options={}] - the `clock` and `inherit` options passed
+   * to associated()
+   * @returns {*} the computed value
+   * @throws {Error} if evaluating the subkey requires its own value
+   */
+  function evaluate(definition, source, scope, { clock, inherit = false } = {}) {
+    const start = evaluating.findIndex(entry =>
+      entry.definition === definition && Object.is(entry.source, source)
+    )
+
+    if (start !== -1) {
+      const path = [...evaluating.slice(start), { definition }]
+        .map(({ definition }) => `'${String(definition.subkey)}'`)
+
+      throw new Error(`Circular computed association: ${path.join(' -> ')}`)
+    }
+
+    const options = { storage: scope, clock, inherit }
+    let cache
+
+    if (canBeHeldWeakly(source)) {
+      cache = definition.results.get(scope)
+
+      if (!cache) {
+        cache = new WeakMap()
+        definition.results.set(scope, cache)
+      }
+    }
+
+    const cached = cache?.get(source)
+
+    const current = ({ ref, weak, subkey, value }) => {
+      const dependency = ref.deref()
+
+      return !(weak && dependency === undefined) &&
+        Object.is(associated(dependency, subkey, options), value)
+    }
+
+    if (cached?.dependencies.every(current))
+      return cached.value
+
+    const dependencies = []
+    const get = (dependency, subkey = kDefaultKey) => {
+      const value = associated(dependency, subkey, options)
+
+      const weak = canBeHeldWeakly(dependency)
+
+      dependencies.push({
+        ref: weak ? new WeakRef(dependency) : { deref: () => dependency },
+        weak,
+        subkey,
+        value,
+      })
+
+      return value
+    }
+
+    let value
+
+    evaluating.push({ definition, source })
+
+    try {
+      value = definition.compute(source, get)
+    }
+    finally {
+      evaluating.pop()
+    }
+
+    cache?.set(source, { value, dependencies })
+
+    return value
+  }
+
+  /**
+   * Defines a subkey whose value is derived from other associations rather
+   * than stored. Reading the subkey through associated() calls `compute`
+   * with the source and a `get(source, subkey)` function that reads
+   * associations from the storage being queried, through its parents as
+   * well when associated() was called with `inherit`. The result is cached
+   * per object source and recomputed only once one of the associations read
+   * through `get` holds a different value, so `compute` must derive its
+   * result from those reads alone. Results for primitive sources are not
+   * cached, since nothing would release them.
+   *
+   * Computed subkeys cannot be written with associate(), and, holding no
+   * stored value, are not reported to observers or included in queries such
+   * as entriesOf(). A computed subkey that depends on itself, directly or
+   * through other computed subkeys, throws an error when read.
+   *
+   * @param {*} subkey the subkey to compute
+   * @param {Function} compute receives `(source, get)` and returns the value
+   * @param {Object} [options={}] - Configuration options
+   * @param {Object} [options.storage=globalThis] - The AssociationStorage or
+   * carrier to define the subkey in
+   * @returns {Function} a function that removes the definition again
+   * @throws {TypeError} if compute is not a function or subkey is kAllKeys
+   * @throws {Error} if the subkey is already computed in the storage
+   *
+   * @example
+   * defineComputed('displayName', (person, get) =>
+   *   `${get(person, 'firstName')} ${get(person, 'lastName')}`
+   * )
+   *
+   * associate('Ada', person, 'firstName')
+   * associate('Lovelace', person, 'lastName')
+   *
+   * associated(person, 'displayName') // 'Ada Lovelace'
+   */
+  function defineComputed(subkey, compute, options = {}) {
+    if (typeof compute !== 'function')
+      throw new TypeError(`defineComputed() requires a compute function`)
+
+    if (subkey === kAllKeys)
+      throw new TypeError(`kAllKeys cannot be a computed subkey`)
+
+    const storageMap = getStorageMap(options?.storage ?? globalThis)
+    let definitions = computedDefinitions.get(storageMap)
+
+    if (!definitions) {
+      definitions = new Map()
+      computedDefinitions.set(storageMap, definitions)
+    }
+
+    if (definitions.has(subkey))
+      throw new Error(`Subkey '${String(subkey)}' is already computed in this storage`)
+
+    const definition = {
+      subkey,
+      compute,
+      storageMap,
+      results: new WeakMap(),
+    }
+
+    definitions.set(subkey, definition)
+
+    return () => definitions.get(subkey) === definition && definitions.delete(subkey)
+  }
+
+  /**
+   * A private subkey. Only code holding the key can read or write the
+   * associations stored under it: the key is the subkey itself, and it is
+   * left out of everything that enumerates subkeys, namely subkeysOf(),
+   * entriesOf(), findAll() without a subkey, observers of all subkeys,
+   * storage observers and snapshots. Operations on all subkeys, such as
+   * `disassociate(source)` or associate() with kAllKeys, leave private keys
+   * alone.
+   *
+   * The key can be passed as subkey to every function, or used through its
+   * methods. Create keys with createKey(). The protection covers the
+   * association functions; it does not hide entries from code that reaches
+   * into the raw wrappers of an AssociationStorage.
+   */
+  class AssociationKey {
+    /**
+     * @param {string} [description] describes the key for debugging
+     */
+    constructor(description) {
+      this.description = description === undefined ? undefined : String(description)
+
+      privateKeys.add(this)
+      Object.freeze(this)
+    }
+
+    /**
+     * Reads the value associated with a source under this key.
+     *
+     * @param {*} source the source
+     * @param {Object} [options] the options of associated()
+     * @returns {*} the associated value
+     */
+    get(source, options) {
+      return associated(source, this, options)
+    }
+
+    /**
+     * Associates a value with a source under this key.
+     *
+     * @param {*} value the value
+     * @param {*} source the source
+     * @param {Object} [options] the options of associate()
+     * @returns {*} the value
+     */
+    set(value, source, options) {
+      return associate(value, source, this, options)
+    }
+
+    /**
+     * Tests whether a value is associated with a source under this key.
+     *
+     * @param {*} source the source
+     * @param {Object} [options] the options of associated()
+     * @returns {boolean} true if a value is associated, even undefined
+     */
+    has(source, options) {
+      const storageMap = getStorageMap(options?.storage ?? globalThis, false)
+
+      return Boolean(storageMap && lookupWrapper(storageMap, source)?.touch(this, options?.clock))
+    }
+
+    /**
+     * Removes the value associated with a source under this key.
+     *
+     * @param {*} source the source
+     * @param {Object} [options] the options of disassociate()
+     * @returns {boolean} true if a value was removed
+     */
+    delete(source, options) {
+      return disassociate(source, this, options)
+    }
+
+    /**
+     * Observes the changes to this key on a source.
+     *
+     * @param {*} source the source
+     * @param {Function} listener the listener, see observe()
+     * @param {Object} [options] the options of observe()
+     * @returns {Function} a function that stops observing
+     */
+    observe(source, listener, options) {
+      return observe(source, this, listener, options)
+    }
+
+    toString() {
+      return `AssociationKey(${this.description ?? ''})`
+    }
+  }
+
+  /**
+   * Creates a private subkey: a capability that is required to read, write
+   * or observe the associations stored under it. Library code can use it to
+   * attach state to objects it shares with other code without that code
+   * being able to find or tamper with the state.
+   *
+   * @param {string} [description] describes the key for debugging
+   * @returns {AssociationKey} the new key
+   *
+   * @example
+   * const kState = createKey('my-library state')
+   *
+   * kState.set({ mounted: true }, element)
+   * kState.get(element)  // { mounted: true }
+   * subkeysOf(element)   // [] - other code cannot see the entry
+   * disassociate(element) // leaves the entry in place
+   */
+  function createKey(description) {
+    return new AssociationKey(description)
+  }
+
+  /**
+   * Returns the schema of a storage, creating an empty one if needed.
+   *
+   * @private
+   * @param {AssociationStorage} storageMap the storage
+   * @returns {{subkeys: Map, strict: boolean}} the schema
+   */
+  function schemaOf(storageMap) {
+    let schema = schemas.get(storageMap)
+
+    if (!schema) {
+      schema = { subkeys: new Map(), strict: false }
+      schemas.set(storageMap, schema)
+    }
+
+    return schema
+  }
+
+  /**
+   * Falls back on the default of associated() for a null or undefined value.
+   * A stored null is kept when there is no default to fall back on.
+   *
+   * @private
+   * @param {*} value the associated value
+   * @param {*} defaultValue the default
+   * @returns {*} the value, or the default in its place
+   */
+  function orDefault(value, defaultValue) {
+    return value ?? defaultValue ?? value
+  }
+
+  /**
+   * Finds the declaration of a subkey in the first of a list of storages
+   * that declares it.
+   *
+   * @private
+   * @param {Array<AssociationStorage>} scopes the storages to search
+   * @param {*} subkey the subkey
+   * @returns {Object|undefined} the definition, if the subkey is declared
+   */
+  function declarationFor(scopes, subkey) {
+    for (const scope of scopes) {
+      const definition = schemas.get(scope)?.subkeys.get(subkey)
+
+      if (definition)
+        return definition
+    }
+
+    return undefined
+  }
+
+  /**
+   * Throws if a storage is strict and a subkey is neither declared nor
+   * computed in any of the given storages.
+   *
+   * @private
+   * @param {AssociationStorage|undefined} storageMap the storage used
+   * @param {Array<AssociationStorage>} scopes the storages to search
+   * @param {*} subkey the subkey
+   * @throws {TypeError} if the subkey is undeclared in a strict storage
+   */
+  function checkDeclared(storageMap, scopes, subkey) {
+    if (
+      subkey === kAllKeys ||
+      !schemas.get(storageMap)?.strict ||
+      declarationFor(scopes, subkey) ||
+      computedFor(scopes, subkey)
+    ) {
+      return
+    }
+
+    throw new TypeError(
+      `Subkey '${String(subkey)}' is not declared; declare it with defineSubkey()`
+    )
+  }
+
+  /**
+   * Throws if a value may not be written under a subkey according to the
+   * storage's declaration of the subkey.
+   *
+   * @private
+   * @param {AssociationStorage} storageMap the storage written to
+   * @param {SourceWrapper|undefined} wrapper the wrapper of the source
+   * @param {*} source the source written to
+   * @param {*} subkey the subkey written
+   * @param {*} value the value to write
+   * @throws {TypeError} if the subkey is undeclared in a strict storage, is
+   * readonly and already holds a value, or rejects the value
+   */
+  function checkWrite(storageMap, wrapper, source, subkey, value) {
+    checkDeclared(storageMap, [storageMap], subkey)
+
+    const definition = declarationFor([storageMap], subkey)
+
+    if (!definition)
+      return
+
+    const name = definition.description
+      ? `'${String(subkey)}' (${definition.description})`
+      : `'${String(subkey)}'`
+
+    if (definition.readonly && wrapper?.associations.has(subkey))
+      throw new TypeError(`Subkey ${name} is readonly and already has a value`)
+
+    const result = definition.validate?.(value, { source, subkey }) ?? true
+
+    if (result !== true) {
+      throw new TypeError(
+        typeof result === 'string'
+          ? `Invalid value for subkey ${name}: ${result}`
+          : `Invalid value for subkey ${name}`
+      )
     }
   }
 
   /**
-   * Internal function to create or retrieve the storage map for associations.
-   * This function manages the creation and retrieval of storage maps, which are
-   * attached to objects as non-enumerable properties to keep them hidden from
-   * normal object iteration.
+   * Declares a subkey in a storage. Declared subkeys are checked whenever
+   * associate() writes them: `validate` may reject the value, and a
+   * `readonly` subkey cannot be overwritten once it holds a value, though it
+   * can still be disassociated. associated() falls back on the declared
+   * `default` when no `defaultValue` is passed. See setStrictSubkeys() to
+   * refuse undeclared subkeys altogether.
    *
-   * The storage system is designed to be flexible:
-   * - By default, it uses globalThis as the storage location
-   * - Custom storage objects can be provided to scope associations
-   * - Storage maps are created lazily only when needed
-   * - Maps are stored as non-enumerable properties to avoid polluting object
-   *    iteration
+   * @param {*} name the subkey to declare
+   * @param {Object} [options={}] - Configuration options
+   * @param {Function} [options.validate] - Receives the value and
+   * `{ source, subkey }` for every write, and returns true to accept it, or
+   * false or a message describing the problem to reject it
+   * @param {*} [options.default] - The value associated() returns for
+   * sources without a value under the subkey
+   * @param {boolean} [options.readonly=false] - Whether values, once
+   * written, may not be replaced
+   * @param {string} [options.description] - Describes the subkey; included
+   * in error messages
+   * @param {Object} [options.storage=globalThis] - The AssociationStorage or
+   * carrier to declare the subkey in
+   * @returns {Function} a function that removes the declaration again
+   * @throws {TypeError} if validate is not a function or name is kAllKeys
+   * @throws {Error} if the subkey is already declared in the storage
    *
-   * @private
-   * @param {Object} storage The object to store the map on
-   * @param {boolean} create Whether to create the map if it doesn't exist
-   * @returns {Map|undefined} The storage map or undefined if not found
+   * @example
+   * defineSubkey('age', {
+   *   validate: value => Number.isInteger(value) || 'expected an integer',
+   *   default: 0,
+   *   description: 'age in years'
+   * })
+   *
+   * associated(person, 'age') // 0
+   * associate('ten', person, 'age')
+   * // TypeError: Invalid value for subkey 'age' (age in years): expected an
+   * // integer
    */
-  function getStorageMap(storage = globalThis, create = true) {
-    if (typeof storage !== 'object' || !(storage instanceof Object))
-      throw new Error(`Cannot use '${String(storage)}' as storage carrier.`)
+  function defineSubkey(name, options = {}) {
+    const {
+      validate = undefined,
+      default: defaultValue = undefined,
+      readonly = false,
+      description = undefined,
+      storage = globalThis,
+    } = options
+
+    if (validate !== undefined && typeof validate !== 'function')
+      throw new TypeError(`validate must be a function`)
+
+    if (name === kAllKeys)
+      throw new TypeError(`kAllKeys cannot be declared`)
+
+    const { subkeys } = schemaOf(getStorageMap(storage))
 
-    if (storage[kStorageMapKey] || !create)
-      return storage[kStorageMapKey]
-
-    // Create new storage map if it doesn't exist
-    const storageMap = new Map()
-
-    // Store the map on the supplied storage object. This method prevents
-    // pollution to the iteration map (i.e. dot completion and when viewing
-    // in node REPLs and other such environments).
-    //
-    // Moreover, it negates the need to create and manage properties on the
-    // supplied object. When that object is not globalThis|global|window, this
-    // approach reduces overhead on the supplied object.
-    Object.defineProperty(storage, kStorageMapKey, {
-      value: storageMap,    // The value to store
-      configurable: true,   // Allows replacing/removing the stored property
-      enumerable: false,    // Prevents this property from being iterable
-      writable: true        // Allows the overwriting of the property value
+    if (subkeys.has(name))
+      throw new Error(`Subkey '${String(name)}' is already declared in this storage`)
+
+    const definition = Object.freeze({
+      name,
+      validate,
+      default: defaultValue,
+      readonly: Boolean(readonly),
+      description,
     })
 
-    return storageMap
+    subkeys.set(name, definition)
+
+    return () => subkeys.get(name) === definition && subkeys.delete(name)
   }
 
   /**
-   * This function removes any previously allocated storage map from the
-   * supplied `storage` object upon which it is stored. This is an internal
-   * method.
+   * Returns the declaration of a subkey made with defineSubkey().
    *
-   * @private
-   * @param {Object} storage The object to store the map on
-   * @returns {Map|undefined} the map to be removed if one exists, undefined
-   * otherwise
+   * @param {*} name the subkey
+   * @param {Object} [options={}] - Configuration options
+   * @param {Object} [options.storage=globalThis] - The AssociationStorage or
+   * carrier the subkey was declared in
+   * @returns {{name: *, validate: Function|undefined, default: *,
+   * readonly: boolean, description: string|undefined}|undefined} the frozen
+   * declaration, or undefined if the subkey is not declared
    */
-  function removeStorageMap(storage = globalThis) {
-    if (typeof storage !== 'object' || !(storage instanceof Object))
-      throw new Error(`Cannot use '${String(storage)}' as storage carrier.`)
-
-    const mapToRemove = getStorageMap(storage, false)
+  function getSubkeyDefinition(name, options = {}) {
+    const storageMap = getStorageMap(options?.storage ?? globalThis, false)
 
-    if (Reflect.has(storage, kStorageMapKey))
-      delete storage[kStorageMapKey]
+    return declarationFor([storageMap].filter(Boolean), name)
+  }
 
-    return mapToRemove
+  /**
+   * Makes a storage strict, or lenient again. A strict storage refuses to
+   * read or write subkeys that were neither declared with defineSubkey() nor
+   * defined with defineComputed(), throwing a TypeError instead, which
+   * catches misspelled subkeys where they are used.
+   *
+   * @param {boolean} [enabled=true] whether undeclared subkeys are refused
+   * @param {Object} [options={}] - Configuration options
+   * @param {Object} [options.storage=globalThis] - The AssociationStorage or
+   * carrier to configure
+   *
+   * @example
+   * const storage = createStorage()
+   *
+   * defineSubkey('title', { storage })
+   * setStrictSubkeys(true, { storage })
+   *
+   * associate('Draft', doc, 'titel', { storage }) // TypeError
+   */
+  function setStrictSubkeys(enabled = true, options = {}) {
+    schemaOf(getStorageMap(options?.storage ?? globalThis)).strict = Boolean(enabled)
   }
 
   /**
@@ -215,6 +2694,23 @@ export const Associations = (function () {
    * @param {string|symbol} [options.subkey=kDefaultKey] - Subkey for the
    * association, allowing multiple values to be associated with the same
    * object.
+   * @param {number} [options.ttl] - Time to live in milliseconds. Once it has
+   * passed, the association is treated as absent and removed when next
+   * encountered. Particularly useful for primitive sources, whose
+   * associations are otherwise never released.
+   * @param {number} [options.expiresAt] - Absolute expiration time, in the
+   * milliseconds of `options.clock`; takes precedence over `ttl` for the
+   * first expiration
+   * @param {boolean} [options.sliding=false] - When true, every read through
+   * associated() pushes the expiration back by `ttl`
+   * @param {Function} [options.clock=Date.now] - Returns the current time in
+   * milliseconds. Remembered with the association, so that a fake clock can
+   * be injected to test expiration without real timers.
+   * @param {boolean} [options.inherit=false] - Writes are local to the
+   * supplied storage by default, shadowing inherited values. When true, the
+   * value is instead written to the nearest storage in the chain of parent
+   * storages, ending with globalThis, that already holds the subkey for
+   * this source; see associated().
    * @returns {*} The original value
    *
    * @example
@@ -236,18 +2732,46 @@ export const Associations = (function () {
    *     associate(metadata, targetObj, { storage: this })
    *   }
    * }
+   *
+   * @example
+   * // Cache a response for a request id for five minutes, refreshed on use
+   * associate(response, requestId, 'response', { ttl: 300_000, sliding: true })
    */
   function associate(value, withSource, subkey, options = {}) {
     subkey = subkey ?? options?.subkey ?? kDefaultKey
 
-    const { storage = globalThis } = options
-    const storageMap = getStorageMap(storage)
+    const { storage = globalThis, inherit = false } = options
+    const expiration = expirationOf(options)
+    let storageMap = getStorageMap(storage)
 
     if (!storageMap)
       throw new Error(`No storage map within which to store associated values`)
 
+    if (inherit)
+      storageMap = owningStorage(storageMap, withSource, subkey, options?.clock)
+
+    if (computedFor([storageMap], subkey)) {
+      throw new TypeError(
+        `Cannot associate a value with the computed subkey '${String(subkey)}'`
+      )
+    }
+
     // Create or get the associations map for this object
-    let wrapper = storageMap.get(withSource)
+    let wrapper = lookupWrapper(storageMap, withSource)
+
+    // Expired values are absent, so overwriting one counts as a new 'set'
+    if (subkey === kAllKeys)
+      wrapper?.purge(options?.clock)
+
+    else
+      wrapper?.touch(subkey, options?.clock)
+
+    const subkeys = subkey === kAllKeys
+      ? [...wrapper?.associations.keys() ?? []].filter(key => !isPrivateKey(key))
+      : [subkey]
+
+    for (const key of subkeys)
+      checkWrite(storageMap, wrapper, withSource, key, value)
 
     if (!wrapper) {
       wrapper = new SourceWrapper(withSource)
@@ -255,17 +2779,57 @@ export const Associations = (function () {
     }
 
     if (subkey === kAllKeys) {
-      for (const key of wrapper.associations.keys()) {
-        wrapper.associations.set(key, value)
+      for (const key of subkeys) {
+        wrapper.write(key, value, 'bulk')
+        wrapper.expire(key, expiration && { ...expiration })
       }
     }
 
-    else
-      wrapper.associations.set(subkey, value)
+    else {
+      wrapper.write(subkey, value)
+      wrapper.expire(subkey, expiration)
+    }
+
+    if (storageMap.trackOrigins) {
+      const origin = captureOrigin()
+
+      wrapper.origins ??= new Map()
+
+      for (const key of subkeys)
+        wrapper.origins.set(key, origin)
+    }
+
+    storageMap.record(withSource, wrapper, subkey, 'write')
 
     return value
   }
 
+  /**
+   * Records where associate() was called from, for storages that track
+   * origins.
+   *
+   * @private
+   * @returns {{stack: string, time: number}} the stack trace of the call,
+   * without the frames of this module, and when it happened
+   */
+  function captureOrigin() {
+    const trace = {}
+
+    if (Error.captureStackTrace)
+      Error.captureStackTrace(trace, associate)
+
+    else
+      trace.stack = new Error().stack
+
+    const stack = String(trace.stack ?? '')
+      .split('\n')
+      .slice(1)
+      .map(line => line.trim())
+      .join('\n')
+
+    return { stack, time: Date.now() }
+  }
+
   /**
    * Retrieves a value associated with an object. This function provides flexible
    * ways to look up associations, including direct lookup, comparator-based
@@ -282,6 +2846,10 @@ export const Associations = (function () {
    * - Implementing lookup by object properties rather than object identity
    * - Handling cases where the original object reference may not be available
    *
+   * A comparator visits every source in the storage. For frequent lookups of
+   * recreated objects, a storage with a `keyBy` strategy (see
+   * createStorage()) finds them in constant time instead.
+   *
    * Memory safety:
    * - Returns undefined for garbage collected objects
    * - Doesn't prevent garbage collection of referenced objects
@@ -295,10 +2863,20 @@ export const Associations = (function () {
    * @param {string|symbol} [options.subkey=kDefaultKey] - Subkey for the
    *    association, used to retrieve specific associations when multiple exist.
    * @param {*} [options.defaultValue=undefined] - Value to return if no
-   *    association exists or if the associated object has been garbage collected.
+   *    association exists, if the associated value is null or undefined, or
+   *    if the associated object has been garbage collected.
    * @param {Function} [options.comparator=null] - Optional function to find
    *    matching object. Receives each stored object as an argument and should
    *    return true for a match.
+   * @param {Function} [options.clock] - Returns the current time in
+   *    milliseconds, overriding the clock the association was created with.
+   *    Expired associations are removed and the defaultValue is returned;
+   *    associations with sliding expiration have it pushed back.
+   * @param {boolean} [options.inherit=false] - When true, and the subkey is
+   *    not associated with the object in the supplied storage, the storage's
+   *    parent is consulted, then its parent and so on, and finally the
+   *    storage of globalThis. Much like a prototype chain, the nearest
+   *    storage holding the subkey wins.
    * @returns {*} The associated value, defaultValue if none exists, or undefined
    *    if the associated object has been garbage collected
    *
@@ -340,37 +2918,72 @@ export const Associations = (function () {
 
     const {
       storage = globalThis,
-      defaultValue = undefined,
-      comparator = null
+      comparator = null,
+      clock = undefined,
+      inherit = false
     } = options
 
     const storageMap = getStorageMap(storage, false)
+    const scopes = inherit
+      ? storageChain(storageMap)
+      : [storageMap].filter(Boolean)
+    const definition = computedFor(scopes, subkey)
 
-    if (!storageMap)
-      return defaultValue
+    // Computed subkeys read their dependencies from the storage queried
+    const computedIn = storageMap ?? definition?.storageMap
+
+    checkDeclared(storageMap, scopes, subkey)
+
+    // An explicit defaultValue, even undefined, wins over a declared default
+    const defaultValue = options && 'defaultValue' in options
+      ? options.defaultValue
+      : declarationFor(scopes, subkey)?.default
 
     // If comparator is provided, search for matching object
     if (comparator) {
-      for (const [obj, associations] of storageMap.entries()) {
-        if (comparator(obj)) {
-          const wrapper = associations.get(subkey);
-          const value = wrapper?.get?.();
+      for (const scope of scopes) {
+        for (const [source, wrapper] of scope.entries()) {
+          if (definition && comparator(source)) {
+            const value = evaluate(definition, source, computedIn, options)
+
+            return orDefault(value, defaultValue)
+          }
+
+          if (comparator(source) && wrapper.touch(subkey, clock, true)) {
+            const value = wrapper.associations.get(subkey)
 
-          if (value !== undefined)
-            return value
+            scope.record(source, wrapper, subkey, 'read')
+
+            if (value !== undefined)
+              return value
+          }
         }
       }
 
       return defaultValue
     }
 
-    // Direct lookup
-    const objectAssociations = storageMap.get(withObject)
+    if (definition) {
+      const value = evaluate(definition, withObject, computedIn, options)
 
-    if (!objectAssociations)
-      return defaultValue
+      return orDefault(value, defaultValue)
+    }
 
-    return objectAssociations.associations.get(subkey) ?? defaultValue
+    // Direct lookup, the nearest scope holding the subkey wins
+    for (const scope of scopes) {
+      const objectAssociations = lookupWrapper(scope, withObject)
+
+      if (!objectAssociations?.touch(subkey, clock, true))
+        continue
+
+      const value = objectAssociations.associations.get(subkey)
+
+      scope.record(withObject, objectAssociations, subkey, 'read')
+
+      return orDefault(value, defaultValue)
+    }
+
+    return defaultValue
   }
 
   /**
@@ -389,7 +3002,8 @@ export const Associations = (function () {
    *
    * When to use:
    * - During cleanup operations
-   * - When implementing undo/redo functionality
+   * - When implementing undo/redo functionality; createHistory() in
+   *   history.mjs records these changes for you
    * - When an object's associations are no longer valid
    * - To free memory explicitly rather than waiting for garbage collection
    *
@@ -406,6 +3020,13 @@ export const Associations = (function () {
    * @param {string|symbol} [subkey=kAllKeys] - Specific subkey to remove. If
    * `kAllKeys` is provided, the default, the all associations for the object
    * are removed.
+   * @param {Object} [options={}] - Configuration options
+   * @param {Object} [options.storage=globalThis] - Where the associations are
+   * stored
+   * @param {boolean} [options.inherit=false] - Disassociation is local to the
+   * supplied storage by default. When true, it applies to the nearest
+   * storage in the chain of parent storages, ending with globalThis, that
+   * holds the subkey for the object; see associated().
    * @returns {boolean} True if an association was removed, false if no
    * matching association was found.
    *
@@ -433,22 +3054,188 @@ export const Associations = (function () {
    */
   function disassociate(withObject, subkey = kAllKeys, options = {}) {
     const storageObj = options?.storage ?? globalThis
-    const storageMap = getStorageMap(storageObj, false)
+    let storageMap = getStorageMap(storageObj, false)
+
+    if (options?.inherit)
+      storageMap = owningStorage(storageMap, withObject, subkey, options?.clock)
 
     if (!storageMap)
       return false
 
-    const objectAssociations = storageMap.get(withObject)
+    const objectAssociations = lookupWrapper(storageMap, withObject)
 
     if (!objectAssociations)
       return false
 
-    // Remove specific subkey if provided and not null/undefined
-    if (subkey !== kAllKeys)
-      return objectAssociations.associations.delete(subkey)
+    // Remove specific subkey if provided and not null/undefined. Expired
+    // values are already absent, so removing one is reported as no match.
+    if (subkey !== kAllKeys) {
+      return (
+        objectAssociations.touch(subkey, options?.clock) &&
+        objectAssociations.erase(subkey)
+      )
+    }
+
+    objectAssociations.purge(options?.clock)
+
+    // Remove all associations but private ones. Wrappers that are still
+    // being observed stay in place, empty, so their observers keep
+    // receiving future changes.
+    objectAssociations.eraseAll()
+
+    if (!objectAssociations.listeners.size && !objectAssociations.associations.size)
+      storageMap.delete(withObject)
+
+    return true
+  }
+
+  /**
+   * Moves the associations of one source to another, for when an object is
+   * replaced by a new one, as with immutable updates, and its associations
+   * should follow. Every public subkey is moved along with its expiration.
+   * Private keys belong to whoever created them, so they stay with the old
+   * source unless they are listed in `keys`. Observers stay registered on
+   * the old source.
+   *
+   * The move happens in a transaction, so observers of the storage see it as
+   * one batch: 'delete' events for the old source and 'set' or 'replace'
+   * events for the new one.
+   *
+   * @param {*} oldSource the source whose associations to move
+   * @param {*} newSource the source to move them to
+   * @param {Object} [options={}] - Configuration options
+   * @param {Object} [options.storage=globalThis] - The AssociationStorage or
+   * carrier the associations are stored in
+   * @param {boolean|Function} [options.merge=false] - Without merging, the
+   * new source ends up with exactly the associations of the old one, its
+   * other public subkeys being removed. With `true`, the associations are
+   * merged and the new source's values win where both have a subkey. A
+   * function resolves such conflicts instead, receiving `(oldValue,
+   * newValue, subkey)` and returning the value to keep.
+   * @param {boolean} [options.copy=false] - Whether to leave the old
+   * source's associations in place rather than moving them
+   * @param {Iterable<AssociationKey>} [options.keys=[]] - Private keys whose
+   * associations are moved as well
+   * @param {Function} [options.clock] - The clock used to check expiration
+   * @returns {boolean} true if the old source had associations to move
+   *
+   * @example
+   * const next = { ...todo, done: true }
+   *
+   * retarget(todo, next)
+   * associated(next, 'element') // the element associated with todo
+   */
+  function retarget(oldSource, newSource, options = {}) {
+    const {
+      storage = globalThis,
+      merge = false,
+      copy = false,
+      keys = [],
+      clock,
+    } = options ?? {}
+    const storageMap = getStorageMap(storage, false)
+    const previous = storageMap?.get(oldSource)
+    const included = new Set(keys)
+
+    previous?.purge(clock)
+
+    const moving = [...(previous?.associations ?? [])]
+      .filter(([subkey]) => !isPrivateKey(subkey) || included.has(subkey))
+
+    if (!moving.length || Object.is(oldSource, newSource))
+      return false
+
+    transaction(() => {
+      let wrapper = storageMap.get(newSource)
+
+      if (!wrapper) {
+        wrapper = new SourceWrapper(newSource)
+        storageMap.set(newSource, wrapper)
+      }
+
+      wrapper.purge(clock)
+
+      if (!merge) {
+        for (const subkey of [...wrapper.associations.keys()]) {
+          if (!isPrivateKey(subkey) && !previous.associations.has(subkey))
+            wrapper.erase(subkey)
+        }
+      }
+
+      for (const [subkey, value] of moving) {
+        const expiration = previous.expirations.get(subkey)
+        const origin = previous.origins?.get(subkey)
+        const conflict = merge && wrapper.associations.has(subkey)
+
+        if (!conflict || typeof merge === 'function') {
+          wrapper.write(subkey, conflict
+            ? merge(value, wrapper.associations.get(subkey), subkey)
+            : value)
+          wrapper.expire(subkey, expiration && { ...expiration })
+
+          if (origin)
+            (wrapper.origins ??= new Map()).set(subkey, origin)
+
+          storageMap.record(newSource, wrapper, subkey, 'write')
+        }
+
+        if (!copy)
+          previous.erase(subkey)
+      }
+
+      if (!copy && !previous.listeners.size && !previous.associations.size)
+        storageMap.delete(oldSource)
+    }, { storage: storageMap })
+
+    return true
+  }
+
+  /**
+   * Opts a storage into carrying associations forward along a lineage of
+   * objects, such as the successive snapshots of an Immer or Redux state
+   * tree. When an object source without associations of its own is used,
+   * the lineage is followed back to the nearest predecessor that has some,
+   * and those are retargeted to the new object, merged with anything
+   * associated with it since. Unchanged objects that are shared between
+   * snapshots keep their associations as they are.
+   *
+   * The lineage is consulted on lookups that would otherwise find nothing,
+   * so it should be cheap; typically a WeakMap lookup. Only the wrapper
+   * lookups of associate(), associated(), disassociate(), observe() and
+   * entriesOf() carry forward, so comparators and queries over the whole
+   * storage still see the associations under their predecessor until then.
+   *
+   * @param {Function} lineage maps an object to the object it replaced, or
+   * to undefined
+   * @param {Object} [options={}] - Configuration options
+   * @param {Object} [options.storage=globalThis] - The AssociationStorage or
+   * carrier to enable carrying forward for
+   * @param {boolean} [options.copy=false] - Whether predecessors keep their
+   * associations, so that older snapshots still find them
+   * @returns {Function} a function that turns carrying forward off again and
+   * returns true if this lineage was still registered
+   * @throws {TypeError} if the lineage is not a function
+   *
+   * @example
+   * const predecessors = new WeakMap()
+   *
+   * carryForward(state => predecessors.get(state))
+   *
+   * const next = produce(state, draft => { draft.title = 'Report' })
+   * predecessors.set(next, state)
+   *
+   * associated(next, 'selection') // the selection associated with state
+   */
+  function carryForward(lineage, options = {}) {
+    if (typeof lineage !== 'function')
+      throw new TypeError(`carryForward() requires a lineage function`)
+
+    const storageMap = getStorageMap(options?.storage ?? globalThis)
+    const entry = { lineage, copy: Boolean(options?.copy) }
+
+    lineages.set(storageMap, entry)
 
-    // Remove all associations
-    return storageMap.delete(withObject)
+    return () => lineages.get(storageMap) === entry && lineages.delete(storageMap)
   }
 
   /**
@@ -484,7 +3271,8 @@ export const Associations = (function () {
    * allowing multiple association tuples for the same object.
    * @param {object|undefined} options an optional options object that will be
    * passed to calls to {@link associate}, {@link associated}, and
-   * {@link disassociate}.
+   * {@link disassociate}. Expiration options such as `ttl` and `sliding`
+   * therefore apply to every value stored through the setter.
    * @returns {[Function, Function, Function]} A tuple containing a
    * `[getter, setter, forget]` set of functions
    *
@@ -539,10 +3327,11 @@ export const Associations = (function () {
       options = {}
     }
 
-    const getter = (defaultValue) => associated(
+    // Without an argument, the getter falls back on the declared default
+    const getter = (...args) => associated(
       withObject,
       subkey,
-      { defaultValue, ...options }
+      args.length ? { defaultValue: args[0], ...options } : options
     );
 
     const setter = (value) => associate(value, withObject, subkey, options)
@@ -551,18 +3340,411 @@ export const Associations = (function () {
     return [getter, setter, forget]
   }
 
+  /**
+   * Observes changes to the associations of a source. The listener is invoked
+   * synchronously, after the change has been applied, with an event object
+   * describing it. This allows other systems to react to metadata changes
+   * rather than polling associated() for them.
+   *
+   * Each event has the following shape:
+   * - `reason`: why the change happened; one of
+   *   - `'set'`: a value was stored under a subkey that had none
+   *   - `'replace'`: a different value replaced the one under a subkey
+   *   - `'bulk'`: a value was written to every subkey using `kAllKeys`
+   *   - `'delete'`: a single subkey was disassociated
+   *   - `'clear'`: the subkey was removed by disassociating `kAllKeys`
+   *   - `'expired'`: the subkey's ttl passed and it was removed
+   *   - `'evicted'`: the subkey was evicted from a bounded storage
+   *   - `'collected'`: the source was garbage collected
+   * - `source`: the source, or undefined once it has been collected
+   * - `subkey`: the affected subkey; `kAllKeys` for `'collected'` events
+   * - `oldValue`: the value before the change, if any
+   * - `newValue`: the value after the change, if any
+   *
+   * Writing the value already stored under a subkey is not a change and is
+   * not reported. Clearing the storage map itself is not reported either.
+   *
+   * Memory considerations:
+   * - Observers are kept until they are removed or the source is collected,
+   *   even when the source has no associations
+   * - A listener that closes over a weakly held source keeps that source
+   *   alive; use the event's `source` property instead
+   * - Observing a primitive source keeps its (possibly empty) entry in the
+   *   storage map until every observer has been removed
+   *
+   * @param {*} source the source whose associations should be observed
+   * @param {*} [subkey=kAllKeys] the subkey to observe; when omitted, or when
+   * `kAllKeys` is supplied, changes to every subkey are reported. This
+   * argument may be skipped entirely by passing the listener in its place.
+   * @param {Function} listener invoked with each change event
+   * @param {Object} [options={}] - Configuration options
+   * @param {Object} [options.storage=globalThis] - Where the associations are
+   * stored. Should match the storage used in associate().
+   * @returns {Function} a function that stops observing; it returns true if
+   * the observer was still registered
+   *
+   * @example
+   * // Re-render whenever a component's metadata changes
+   * const unobserve = observe(element, 'metadata', ({ newValue }) => {
+   *   render(newValue)
+   * })
+   *
+   * associate({ title: 'Draft' }, element, 'metadata') // render() is called
+   * unobserve()
+   *
+   * @example
+   * // Observe every subkey of a source in a scoped storage
+   * observe(document, ({ reason, subkey }) => {
+   *   console.log(`${String(subkey)} changed (${reason})`)
+   * }, { storage: editor })
+   */
+  function observe(source, subkey, listener, options = {}) {
+    if (typeof subkey === 'function' && typeof listener !== 'function') {
+      options = listener ?? {}
+      listener = subkey
+      subkey = kAllKeys
+    }
+
+    if (typeof listener !== 'function')
+      throw new TypeError(`observe() requires a listener function`)
+
+    subkey = subkey ?? kAllKeys
+
+    const storageMap = getStorageMap(options?.storage ?? globalThis)
+    let wrapper = lookupWrapper(storageMap, source)
+
+    if (!wrapper) {
+      wrapper = new SourceWrapper(source)
+      storageMap.set(source, wrapper)
+    }
+
+    const remove = wrapper.observe(subkey, listener)
+
+    // Holding on to unobserve() must not keep a weakly held source alive
+    const ref = canBeHeldWeakly(source)
+      ? new WeakRef(source)
+      : { value: source, deref() { return this.value } }
+
+    return function unobserve() {
+      const removed = remove()
+      const current = ref.deref()
+
+      // Drop wrappers that only existed to carry observers; a collected
+      // source has already been dropped by its storage
+      if (
+        removed &&
+        current !== undefined &&
+        !wrapper.listeners.size &&
+        !wrapper.associations.size &&
+        storageMap.get(current) === wrapper
+      ) {
+        storageMap.delete(current)
+      }
+
+      return removed
+    }
+  }
+
+  /**
+   * Lists the subkeys under which values are associated with a source.
+   *
+   * @param {*} source the source to list the subkeys of
+   * @param {Object} [options={}] - Configuration options
+   * @param {Object} [options.storage=globalThis] - Where the associations are
+   * stored. Should match the storage used in associate().
+   * @returns {Array<*>} the subkeys, in insertion order; empty if the source
+   * has no associations
+   *
+   * @example
+   * associate('John', user, 'name')
+   * associate(42, user, 'age')
+   * subkeysOf(user) // ['name', 'age']
+   */
+  function subkeysOf(source, options = {}) {
+    return entriesOf(source, options).map(([subkey]) => subkey)
+  }
+
+  /**
+   * Lists the `[subkey, value]` pairs associated with a source.
+   *
+   * @param {*} source the source to list the associations of
+   * @param {Object} [options={}] - Configuration options
+   * @param {Object} [options.storage=globalThis] - Where the associations are
+   * stored. Should match the storage used in associate().
+   * @returns {Array<[*, *]>} the associations, in insertion order; empty if
+   * the source has no associations
+   *
+   * @example
+   * associate('John', user, 'name')
+   * Object.fromEntries(entriesOf(user)) // { name: 'John' }
+   */
+  function entriesOf(source, options = {}) {
+    const storageMap = getStorageMap(options?.storage ?? globalThis, false)
+    const wrapper = storageMap && lookupWrapper(storageMap, source)
+
+    wrapper?.purge(options?.clock)
+
+    return wrapper
+      ? [...wrapper.associations.entries()].filter(([key]) => !isPrivateKey(key))
+      : []
+  }
+
+  /**
+   * Lists every live source that has a value associated under the supplied
+   * subkey. Sources that have been garbage collected are skipped.
+   *
+   * @param {*} subkey the subkey to look for
+   * @param {Object} [options={}] - Configuration options
+   * @param {Object} [options.storage=globalThis] - The storage to search
+   * @returns {Array<*>} the matching sources
+   *
+   * @example
+   * // Which objects currently carry validation state?
+   * const invalid = sourcesWith('validation', { storage: form })
+   */
+  function sourcesWith(subkey, options = {}) {
+    return findAll({ ...options, subkey }).map(([source]) => source)
+  }
+
+  /**
+   * Searches a storage for associations, returning every match as a
+   * `[source, subkey, value]` triple. Sources that have been garbage
+   * collected are skipped. This is intended for debugging and tooling; it
+   * visits every association in the storage and is therefore O(n).
+   *
+   * @param {Object} [query={}] - The search criteria
+   * @param {Function} [query.where] - Optional predicate receiving
+   * `(source, subkey, value)`; only triples for which it returns a truthy
+   * value are included
+   * @param {*} [query.subkey=kAllKeys] - Restricts the search to a single
+   * subkey; `kAllKeys`, the default, searches all of them
+   * @param {Object} [query.storage=globalThis] - The storage to search
+   * @param {Function} [query.clock] - Returns the current time in
+   * milliseconds, overriding the clocks expiring associations were created
+   * with; expired associations are removed rather than returned
+   * @returns {Array<[*, *, *]>} the matching triples
+   *
+   * @example
+   * // Every association whose value is an expired session
+   * const expired = findAll({
+   *   where: (source, subkey, value) => value?.expires < Date.now()
+   * })
+   */
+  function findAll({
+    where,
+    subkey = kAllKeys,
+    storage = globalThis,
+    clock
+  } = {}) {
+    const storageMap = getStorageMap(storage, false)
+    const results = []
+
+    if (!storageMap)
+      return results
+
+    for (const [source, wrapper] of storageMap.entries()) {
+      wrapper.purge(clock)
+
+      if (subkey !== kAllKeys) {
+        if (!wrapper.associations.has(subkey))
+          continue
+
+        const value = wrapper.associations.get(subkey)
+
+        if (!where || where(source, subkey, value))
+          results.push([source, subkey, value])
+
+        continue
+      }
+
+      for (const [key, value] of wrapper.associations.entries()) {
+        if (isPrivateKey(key))
+          continue
+
+        if (!where || where(source, key, value))
+          results.push([source, key, value])
+      }
+    }
+
+    return results
+  }
+
+  /**
+   * Removes every expired association from a storage. Expired associations
+   * are treated as absent regardless, and are removed whenever they are
+   * encountered by a read, a write or a query; associations that are never
+   * looked at again, such as cache entries for primitive keys, are only
+   * released by this function. Call it periodically for storages that use
+   * expiring associations with primitive sources.
+   *
+   * Sources left without any associations or observers are removed from the
+   * storage entirely.
+   *
+   * @param {Object} [options={}] - Configuration options
+   * @param {Object} [options.storage=globalThis] - The storage to sweep
+   * @param {Function} [options.clock] - Returns the current time in
+   * milliseconds, overriding the clocks the associations were created with
+   * @returns {number} the number of associations that were removed
+   *
+   * @example
+   * // Sweep a request cache once a minute
+   * setInterval(() => purgeExpired({ storage: requestCache }), 60_000)
+   */
+  function purgeExpired(options = {}) {
+    const storageMap = getStorageMap(options?.storage ?? globalThis, false)
+    let purged = 0
+
+    if (!storageMap)
+      return purged
+
+    for (const [source, wrapper] of [...storageMap.entries()]) {
+      const count = wrapper.purge(options?.clock)
+
+      purged += count
+
+      if (count && !wrapper.associations.size && !wrapper.listeners.size)
+        storageMap.delete(source)
+    }
+
+    return purged
+  }
+
+  /**
+   * Runs a function as a transaction on a storage. Writes made while it runs
+   * take effect immediately, so reads see them, but their change events are
+   * held back. When the function returns, or the promise it returns
+   * resolves, the transaction commits: observers receive the net change of
+   * every modified subkey, and storage observers receive them all as a
+   * single batch. When it throws, or its promise rejects, every
+   * modification is undone without notifying anyone and the error is
+   * rethrown.
+   *
+   * Transactions nest; an inner transaction that fails only rolls back its
+   * own modifications, and changes are delivered when the outermost one
+   * commits. The function receives a controller whose `savepoint()` marks
+   * the current state and whose `rollbackTo(savepoint)` returns to it.
+   *
+   * Each transaction keeps its own journal. Where the engine provides
+   * AsyncLocalStorage, as Node, Deno and Bun do, a write belongs to the
+   * transaction whose function, or a continuation of it after `await`,
+   * made it, so asynchronous transactions may overlap, and writes made by
+   * other code meanwhile are neither held back nor rolled back. Rolling
+   * back also leaves alone any subkey that other code has changed since the
+   * transaction wrote it. Elsewhere, every write to the storage belongs to
+   * the transaction that began last, and an asynchronous transaction that
+   * overlaps another is rejected.
+   *
+   * Rollback covers associate(), disassociate() and everything built on
+   * them, but not storage.clear() or storage.dispose().
+   *
+   * @param {Function} fn receives `{ storage, savepoint, rollbackTo }` and
+   * performs the transaction's reads and writes
+   * @param {Object} [options={}] - Configuration options
+   * @param {Object} [options.storage=globalThis] - The AssociationStorage or
+   * carrier to run the transaction on
+   * @returns {*} the result of `fn`, or a promise for it when `fn` returns one
+   * @throws {*} whatever `fn` throws, after rolling back
+   *
+   * @example
+   * // Move a badge atomically; observers never see both or neither
+   * transaction(() => {
+   *   disassociate(oldOwner, 'badge')
+   *   associate(badge, newOwner, 'badge')
+   * })
+   *
+   * @example
+   * // Keep what succeeded so far when an optional step fails
+   * await transaction(async ({ savepoint, rollbackTo }) => {
+   *   associate(await load(doc), doc, 'content')
+   *
+   *   const point = savepoint()
+   *
+   *   try { associate(await preview(doc), doc, 'preview') }
+   *   catch { rollbackTo(point) }
+   * })
+   */
+  function transaction(fn, options = {}) {
+    const storageMap = getStorageMap(options?.storage ?? globalThis)
+    const context = storageMap.begin()
+    const controller = {
+      storage: storageMap,
+      savepoint: () => storageMap.savepoint(context),
+      rollbackTo: savepoint => storageMap.rollbackTo(savepoint),
+    }
+
+    let result
+
+    try {
+      result = transactionScope
+        ? transactionScope.run(context, fn, controller)
+        : fn(controller)
+    }
+    catch (error) {
+      storageMap.end(context, false)
+      throw error
+    }
+
+    if (typeof result?.then !== 'function') {
+      storageMap.end(context, true)
+      return result
+    }
+
+    try {
+      storageMap.suspend(context)
+    }
+    catch (error) {
+      storageMap.end(context, false)
+      Promise.resolve(result).catch(() => {})
+
+      return Promise.reject(error)
+    }
+
+    return Promise.resolve(result).then(
+      value => {
+        storageMap.end(context, true)
+        return value
+      },
+      error => {
+        storageMap.end(context, false)
+        throw error
+      }
+    )
+  }
+
   return Object.defineProperty({
     // functions
     association,
+    attachStorage,
     associate,
     associated,
+    canBeHeldWeakly,
+    carryForward,
+    createKey,
+    createStorage,
+    defineComputed,
+    defineSubkey,
     disassociate,
+    entriesOf,
+    findAll,
     getStorageMap,
+    getSubkeyDefinition,
+    isPrivateKey,
+    observe,
+    purgeExpired,
+    removeStorageMap,
+    retarget,
+    setStrictSubkeys,
+    sourcesWith,
+    subkeysOf,
+    transaction,
 
     // classes
+    AssociationKey,
+    AssociationStorage,
     SourceWrapper,
 
     // constants
+    kAllKeys,
     kDefaultKey,
     kStorageMapKey,
   }, Symbol.toStringTag, {value: 'Associations', enumerable: false})
@@ -571,13 +3753,33 @@ export const Associations = (function () {
 export const {
   // functions
   association,
+  attachStorage,
   associate,
   associated,
+  canBeHeldWeakly,
+  carryForward,
+  createKey,
+  createStorage,
+  defineComputed,
+  defineSubkey,
   disassociate,
+  entriesOf,
+  findAll,
   getStorageMap,
+  getSubkeyDefinition,
+  isPrivateKey,
+  observe,
+  purgeExpired,
   removeStorageMap,
+  retarget,
+  setStrictSubkeys,
+  sourcesWith,
+  subkeysOf,
+  transaction,
 
   // classes
+  AssociationKey,
+  AssociationStorage,
   SourceWrapper,
 
   // constants
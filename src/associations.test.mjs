@@ -1,4 +1,4 @@
-import { describe, test, expect, beforeEach } from 'vitest'
+import { describe, test, expect, beforeEach, vi } from 'vitest'
 import {
   associate,
   associated,
@@ -6,7 +6,27 @@ import {
   association,
   kDefaultKey,
   kAllKeys,
-  getStorageMap
+  kStorageMapKey,
+  getStorageMap,
+  observe,
+  subkeysOf,
+  entriesOf,
+  sourcesWith,
+  findAll,
+  purgeExpired,
+  createStorage,
+  removeStorageMap,
+  attachStorage,
+  transaction,
+  defineComputed,
+  defineSubkey,
+  getSubkeyDefinition,
+  setStrictSubkeys,
+  createKey,
+  retarget,
+  carryForward,
+  AssociationKey,
+  AssociationStorage
 } from './associations.mjs'
 
 describe('Associations Module', () => {
@@ -190,6 +210,52 @@ describe('Associations Module', () => {
     })
   })
 
+  describe('Queries', () => {
+    test('should list the subkeys and entries of a source', () => {
+      const obj = { id: 1 }
+
+      associate('John', obj, 'name')
+      associate(42, obj, 'age')
+
+      expect(subkeysOf(obj)).toEqual(['name', 'age'])
+      expect(entriesOf(obj)).toEqual([['name', 'John'], ['age', 42]])
+      expect(subkeysOf({ id: 2 })).toEqual([])
+      expect(entriesOf('missing', { storage: {} })).toEqual([])
+    })
+
+    test('should list the sources carrying a subkey', () => {
+      const obj1 = { id: 1 }
+      const obj2 = { id: 2 }
+
+      associate('one', obj1, 'label')
+      associate('two', obj2, 'other')
+      associate('three', 'primitive', 'label')
+
+      expect(sourcesWith('label')).toEqual(
+        expect.arrayContaining([obj1, 'primitive'])
+      )
+      expect(sourcesWith('label')).toHaveLength(2)
+    })
+
+    test('should find matching triples', () => {
+      const storage = {}
+      const obj1 = { id: 1 }
+      const obj2 = { id: 2 }
+
+      associate(10, obj1, 'score', { storage })
+      associate(20, obj2, 'score', { storage })
+      associate('x', obj2, 'name', { storage })
+
+      expect(findAll({ storage })).toHaveLength(3)
+      expect(findAll({ storage, subkey: 'name' })).toEqual([[obj2, 'name', 'x']])
+      expect(findAll({
+        storage,
+        where: (source, subkey, value) => typeof value === 'number' && value > 15
+      })).toEqual([[obj2, 'score', 20]])
+      expect(findAll({ storage: {} })).toEqual([])
+    })
+  })
+
   describe('Edge Cases', () => {
     test('should handle undefined and null values', () => {
       const obj = { id: 1 }
@@ -201,6 +267,17 @@ describe('Associations Module', () => {
       expect(associated(obj, 'null')).toBeNull()
     })
 
+    test('should fall back on the default for undefined and null', () => {
+      const obj = { id: 1 }
+
+      associate(undefined, obj, 'undefined')
+      associate(null, obj, 'null')
+
+      expect(associated(obj, 'undefined', { defaultValue: 'fallback' })).toBe('fallback')
+      expect(associated(obj, 'null', { defaultValue: 'fallback' })).toBe('fallback')
+      expect(associated(obj, 'missing', { defaultValue: 'fallback' })).toBe('fallback')
+    })
+
     test('should handle symbol subkeys', () => {
       const obj = { id: 1 }
       const symbolKey = Symbol('test')
@@ -239,4 +316,1547 @@ describe('Associations Module', () => {
       expect(wrapper.isPrimitive).toBe(true)
     })
   })
-})
\ No newline at end of file
+
+  describe('Garbage Collection', () => {
+    // Allocates objects in a separate frame so nothing in the test body
+    // keeps them reachable once the function returns.
+    function associateTemporary(count, storage = globalThis) {
+      const refs = []
+
+      for (let i = 0; i < count; i++) {
+        const source = { id: i }
+        associate({ owner: source }, source, kDefaultKey, { storage })
+        refs.push(new WeakRef(source))
+      }
+
+      return refs
+    }
+
+    async function collect(until) {
+      for (let i = 0; i < 20; i++) {
+        await new Promise(resolve => setTimeout(resolve, 0))
+        globalThis.gc()
+
+        if (until())
+          return true
+      }
+
+      return false
+    }
+
+    test('should run with an exposed garbage collector', () => {
+      expect(typeof globalThis.gc).toBe('function')
+    })
+
+    test('should not strongly hold object sources', async () => {
+      const storage = {}
+      const refs = associateTemporary(10, storage)
+
+      const collected = await collect(() => refs.every(ref => !ref.deref()))
+
+      expect(collected).toBe(true)
+      expect(getStorageMap(storage).size).toBe(0)
+      expect([...getStorageMap(storage).keys()]).toEqual([])
+      expect(findAll({ storage })).toEqual([])
+      expect(sourcesWith(kDefaultKey, { storage })).toEqual([])
+    })
+
+    test('should keep sources that are still referenced', async () => {
+      const storage = {}
+      const kept = { id: 'kept' }
+      const refs = associateTemporary(5, storage)
+
+      associate('still here', kept, kDefaultKey, { storage })
+
+      await collect(() => refs.every(ref => !ref.deref()))
+
+      expect(associated(kept, kDefaultKey, { storage })).toBe('still here')
+      expect([...getStorageMap(storage).keys()]).toEqual([kept])
+    })
+
+    test('should hold non-registered symbols weakly', async () => {
+      const storage = {}
+      const ref = (() => {
+        const symbol = Symbol('temporary')
+        associate('value', symbol, kDefaultKey, { storage })
+        return new WeakRef(symbol)
+      })()
+
+      expect(await collect(() => !ref.deref())).toBe(true)
+      expect(getStorageMap(storage).size).toBe(0)
+    })
+
+    test('should notify observers when a source is collected', async () => {
+      const storage = {}
+      const events = []
+
+      ;(() => {
+        const source = { id: 'observed' }
+        associate('value', source, 'key', { storage })
+        observe(source, event => events.push(event), { storage })
+      })()
+
+      expect(await collect(() => events.length > 0)).toBe(true)
+      expect(events).toEqual([{
+        reason: 'collected',
+        source: undefined,
+        subkey: kAllKeys,
+        oldValue: undefined,
+        newValue: undefined,
+      }])
+    })
+
+    test('should not keep a source alive through the unobserve function', async () => {
+      const storage = {}
+      const events = []
+
+      const unobserve = (() => {
+        const source = { id: 'observed' }
+        associate('value', source, 'key', { storage })
+        return observe(source, event => events.push(event), { storage })
+      })()
+
+      expect(await collect(() => events.length > 0)).toBe(true)
+      expect(events.map(({ reason }) => reason)).toEqual(['collected'])
+      expect(unobserve()).toBe(true)
+    })
+
+    test('should hold registered symbols and primitives strongly', () => {
+      const storage = {}
+      const registered = Symbol.for('associations.test.registered')
+
+      associate('symbol', registered, kDefaultKey, { storage })
+      associate('number', 42, kDefaultKey, { storage })
+
+      expect(getStorageMap(storage).get(registered).isPrimitive).toBe(true)
+      expect(getStorageMap(storage).size).toBe(2)
+    })
+  })
+
+  describe('Storage Map', () => {
+    test('should iterate primitive and object sources alike', () => {
+      const storage = {}
+      const obj = { id: 1 }
+      const fn = () => {}
+
+      associate('object', obj, kDefaultKey, { storage })
+      associate('function', fn, kDefaultKey, { storage })
+      associate('string', 'key', kDefaultKey, { storage })
+
+      const sources = [...getStorageMap(storage).keys()]
+
+      expect(sources).toHaveLength(3)
+      expect(sources).toEqual(expect.arrayContaining([obj, fn, 'key']))
+      expect(getStorageMap(storage).get(fn).isPrimitive).toBe(false)
+    })
+
+    test('should forget object sources on delete and clear', () => {
+      const storage = {}
+      const obj1 = { id: 1 }
+      const obj2 = { id: 2 }
+
+      associate('one', obj1, kDefaultKey, { storage })
+      associate('two', obj2, kDefaultKey, { storage })
+      associate('three', 3, kDefaultKey, { storage })
+
+      expect(disassociate(obj1, kAllKeys, { storage })).toBe(true)
+      expect(getStorageMap(storage).size).toBe(2)
+
+      getStorageMap(storage).clear()
+
+      expect(getStorageMap(storage).size).toBe(0)
+      expect(associated(obj2, kDefaultKey, { storage })).toBeUndefined()
+    })
+
+    test('should keep exporting the deprecated kStorageMapKey', () => {
+      const storage = {}
+
+      associate('value', 'key', kDefaultKey, { storage })
+
+      expect(kStorageMapKey).toBe(Symbol.for('association.storage.map'))
+      expect(Object.getOwnPropertySymbols(storage)).toEqual([])
+    })
+  })
+
+  describe('Observation', () => {
+    test('should report set, replace and delete events', () => {
+      const obj = { id: 1 }
+      const events = []
+
+      observe(obj, 'key', event => events.push(event))
+
+      associate('first', obj, 'key')
+      associate('second', obj, 'key')
+      disassociate(obj, 'key')
+
+      expect(events).toEqual([
+        { reason: 'set', source: obj, subkey: 'key', oldValue: undefined, newValue: 'first' },
+        { reason: 'replace', source: obj, subkey: 'key', oldValue: 'first', newValue: 'second' },
+        { reason: 'delete', source: obj, subkey: 'key', oldValue: 'second', newValue: undefined },
+      ])
+    })
+
+    test('should only report changes to the observed subkey', () => {
+      const obj = { id: 1 }
+      const listener = vi.fn()
+
+      observe(obj, 'watched', listener)
+
+      associate('ignored', obj, 'other')
+      associate('seen', obj, 'watched')
+
+      expect(listener).toHaveBeenCalledTimes(1)
+      expect(listener.mock.calls[0][0].subkey).toBe('watched')
+    })
+
+    test('should report every subkey when no subkey is given', () => {
+      const obj = { id: 1 }
+      const listener = vi.fn()
+
+      observe(obj, listener)
+
+      associate('a', obj, 'first')
+      associate('b', obj, 'second')
+
+      expect(listener).toHaveBeenCalledTimes(2)
+    })
+
+    test('should report bulk writes and clears per subkey', () => {
+      const obj = { id: 1 }
+      const reasons = []
+
+      associate('a', obj, 'first')
+      associate('b', obj, 'second')
+      observe(obj, ({ reason, subkey }) => reasons.push([reason, subkey]))
+
+      associate('all', obj, kAllKeys)
+      disassociate(obj)
+
+      expect(reasons).toEqual([
+        ['bulk', 'first'],
+        ['bulk', 'second'],
+        ['clear', 'first'],
+        ['clear', 'second'],
+      ])
+    })
+
+    test('should not report writes of an unchanged value', () => {
+      const obj = { id: 1 }
+      const listener = vi.fn()
+
+      associate('same', obj)
+      observe(obj, kDefaultKey, listener)
+      associate('same', obj)
+
+      expect(listener).not.toHaveBeenCalled()
+    })
+
+    test('should keep observing after all associations are removed', () => {
+      const obj = { id: 1 }
+      const listener = vi.fn()
+
+      observe(obj, listener)
+      associate('value', obj)
+      disassociate(obj)
+      associate('again', obj)
+
+      expect(listener).toHaveBeenCalledTimes(3)
+    })
+
+    test('should stop observing once unsubscribed', () => {
+      const listener = vi.fn()
+      const unobserve = observe('primitive', listener)
+
+      expect(unobserve()).toBe(true)
+      expect(unobserve()).toBe(false)
+      expect(getStorageMap(globalThis).has('primitive')).toBe(false)
+
+      associate('value', 'primitive')
+
+      expect(listener).not.toHaveBeenCalled()
+    })
+
+    test('should observe scoped storages independently', () => {
+      const storage = {}
+      const obj = { id: 1 }
+      const listener = vi.fn()
+
+      observe(obj, listener, { storage })
+
+      associate('global', obj)
+      associate('scoped', obj, kDefaultKey, { storage })
+
+      expect(listener).toHaveBeenCalledTimes(1)
+      expect(listener.mock.calls[0][0].newValue).toBe('scoped')
+    })
+
+    test('should require a listener', () => {
+      expect(() => observe({}, 'key')).toThrow(TypeError)
+    })
+  })
+
+  describe('Expiration', () => {
+    // A deterministic clock that only moves when told to
+    function fakeClock(start = 1000) {
+      const clock = () => clock.now
+      clock.now = start
+      clock.advance = ms => { clock.now += ms }
+      return clock
+    }
+
+    test('should treat associations past their ttl as absent', () => {
+      const clock = fakeClock()
+
+      associate('cached', 'request-1', 'response', { ttl: 100, clock })
+
+      clock.advance(99)
+      expect(associated('request-1', 'response')).toBe('cached')
+
+      clock.advance(1)
+      expect(associated('request-1', 'response', { defaultValue: 'miss' }))
+        .toBe('miss')
+      expect(subkeysOf('request-1')).toEqual([])
+    })
+
+    test('should honor absolute expiration times', () => {
+      const clock = fakeClock()
+      const obj = { id: 1 }
+
+      associate('value', obj, kDefaultKey, { expiresAt: 1500, clock })
+
+      clock.advance(499)
+      expect(associated(obj)).toBe('value')
+
+      clock.advance(1)
+      expect(associated(obj)).toBeUndefined()
+    })
+
+    test('should refresh sliding expiration on reads', () => {
+      const clock = fakeClock()
+      const obj = { id: 1 }
+
+      associate('value', obj, kDefaultKey, { ttl: 100, sliding: true, clock })
+
+      for (let i = 0; i < 5; i++) {
+        clock.advance(80)
+        expect(associated(obj)).toBe('value')
+      }
+
+      clock.advance(100)
+      expect(associated(obj)).toBeUndefined()
+    })
+
+    test('should accept a clock when reading', () => {
+      const obj = { id: 1 }
+
+      associate('value', obj, kDefaultKey, { ttl: 100 })
+
+      expect(associated(obj, kDefaultKey, { clock: () => Date.now() + 100 }))
+        .toBeUndefined()
+    })
+
+    test('should no longer expire once overwritten without a ttl', () => {
+      const clock = fakeClock()
+      const obj = { id: 1 }
+
+      associate('temporary', obj, kDefaultKey, { ttl: 10, clock })
+      associate('permanent', obj)
+
+      clock.advance(100)
+      expect(associated(obj, kDefaultKey, { clock })).toBe('permanent')
+    })
+
+    test('should support ttl through association() tuples', () => {
+      const clock = fakeClock()
+      const obj = { id: 1 }
+      const [getValue, setValue, forget] = association(obj, 'key', { ttl: 50, clock })
+
+      setValue('value')
+      expect(getValue()).toBe('value')
+
+      clock.advance(50)
+      expect(getValue('default')).toBe('default')
+      expect(forget()).toBe(false)
+    })
+
+    test('should report expiration to observers', () => {
+      const clock = fakeClock()
+      const obj = { id: 1 }
+      const reasons = []
+
+      observe(obj, ({ reason }) => reasons.push(reason))
+
+      associate('old', obj, kDefaultKey, { ttl: 10, clock })
+      clock.advance(10)
+      associate('new', obj, kDefaultKey, { clock })
+
+      expect(reasons).toEqual(['set', 'expired', 'set'])
+    })
+
+    test('should skip expired associations in queries', () => {
+      const clock = fakeClock()
+      const storage = {}
+
+      associate('short', 'a', 'key', { ttl: 10, clock, storage })
+      associate('long', 'b', 'key', { ttl: 1000, clock, storage })
+
+      clock.advance(10)
+
+      expect(findAll({ storage })).toEqual([['b', 'key', 'long']])
+      expect(sourcesWith('key', { storage })).toEqual(['b'])
+    })
+
+    test('should purge expired associations from a storage', () => {
+      const clock = fakeClock()
+      const storage = {}
+
+      for (let i = 0; i < 5; i++)
+        associate(i, `key-${i}`, 'value', { ttl: i * 10, clock, storage })
+
+      associate('kept', 'permanent', 'value', { storage })
+
+      clock.advance(25)
+
+      expect(purgeExpired({ storage })).toBe(3)
+      expect(getStorageMap(storage).size).toBe(3)
+      expect(purgeExpired({ storage, clock: () => clock.now + 100 })).toBe(2)
+      expect([...getStorageMap(storage).keys()]).toEqual(['permanent'])
+    })
+
+    test('should reject invalid expiration options', () => {
+      expect(() => associate(1, {}, 'k', { ttl: -1 })).toThrow(TypeError)
+      expect(() => associate(1, {}, 'k', { expiresAt: 'soon' })).toThrow(TypeError)
+      expect(() => associate(1, {}, 'k', { expiresAt: 10, sliding: true }))
+        .toThrow(TypeError)
+    })
+  })
+
+  describe('Bounded Storage', () => {
+    test('should evict the least recently used primitive source', () => {
+      const storage = createStorage({ maxEntries: 2 })
+
+      associate('a', 'key-a', kDefaultKey, { storage })
+      associate('b', 'key-b', kDefaultKey, { storage })
+      associated('key-a', kDefaultKey, { storage })
+      associate('c', 'key-c', kDefaultKey, { storage })
+
+      expect(associated('key-a', kDefaultKey, { storage })).toBe('a')
+      expect(associated('key-b', kDefaultKey, { storage })).toBeUndefined()
+      expect(associated('key-c', kDefaultKey, { storage })).toBe('c')
+      expect(getStorageMap(storage).size).toBe(2)
+    })
+
+    test('should evict the first associated source with fifo', () => {
+      const storage = createStorage({ maxEntries: 2, policy: 'fifo' })
+
+      associate('a', 'key-a', kDefaultKey, { storage })
+      associate('b', 'key-b', kDefaultKey, { storage })
+      associated('key-a', kDefaultKey, { storage })
+      associate('c', 'key-c', kDefaultKey, { storage })
+
+      expect(associated('key-a', kDefaultKey, { storage })).toBeUndefined()
+      expect(associated('key-b', kDefaultKey, { storage })).toBe('b')
+    })
+
+    test('should evict the least frequently used source with lfu', () => {
+      const storage = createStorage({ maxEntries: 2, policy: 'lfu' })
+
+      associate('a', 'key-a', kDefaultKey, { storage })
+      associate('b', 'key-b', kDefaultKey, { storage })
+      associated('key-a', kDefaultKey, { storage })
+      associated('key-a', kDefaultKey, { storage })
+      associated('key-b', kDefaultKey, { storage })
+      associate('c', 'key-c', kDefaultKey, { storage })
+
+      expect(associated('key-a', kDefaultKey, { storage })).toBe('a')
+      expect(associated('key-b', kDefaultKey, { storage })).toBeUndefined()
+    })
+
+    test('should not count weakly held sources as entries', () => {
+      const storage = createStorage({ maxEntries: 1 })
+      const obj1 = { id: 1 }
+      const obj2 = { id: 2 }
+
+      associate('one', obj1, kDefaultKey, { storage })
+      associate('two', obj2, kDefaultKey, { storage })
+      associate('primitive', 'key', kDefaultKey, { storage })
+
+      expect(getStorageMap(storage).size).toBe(3)
+    })
+
+    test('should bound the subkeys of a source', () => {
+      const storage = createStorage({ maxSubkeysPerSource: 2 })
+      const obj = { id: 1 }
+
+      associate(1, obj, 'first', { storage })
+      associate(2, obj, 'second', { storage })
+      associated(obj, 'first', { storage })
+      associate(3, obj, 'third', { storage })
+
+      expect(subkeysOf(obj, { storage })).toEqual(['first', 'third'])
+    })
+
+    test('should report evictions as disassociations', () => {
+      const evictions = []
+      const reasons = []
+      const storage = createStorage({
+        maxEntries: 1,
+        onEvict: eviction => evictions.push(eviction)
+      })
+
+      associate('a', 'key-a', 'x', { storage })
+      associate('b', 'key-a', 'y', { storage })
+      observe('key-a', ({ reason }) => reasons.push(reason), { storage })
+      associate('c', 'key-b', 'x', { storage })
+
+      expect(evictions).toEqual([
+        { source: 'key-a', subkey: 'x', value: 'a' },
+        { source: 'key-a', subkey: 'y', value: 'b' },
+      ])
+      expect(reasons).toEqual(['evicted', 'evicted'])
+    })
+
+    test('should stop tracking disassociated sources', () => {
+      const storage = createStorage({ maxEntries: 2 })
+
+      associate('a', 'key-a', kDefaultKey, { storage })
+      associate('b', 'key-b', kDefaultKey, { storage })
+      disassociate('key-a', kAllKeys, { storage })
+      associate('c', 'key-c', kDefaultKey, { storage })
+
+      expect(associated('key-b', kDefaultKey, { storage })).toBe('b')
+      expect(associated('key-c', kDefaultKey, { storage })).toBe('c')
+    })
+
+    test('should work with association() tuples', () => {
+      const storage = createStorage({ maxEntries: 1 })
+      const [getFirst, setFirst] = association('first', kDefaultKey, { storage })
+      const [, setSecond] = association('second', kDefaultKey, { storage })
+
+      setFirst(1)
+      setSecond(2)
+
+      expect(getFirst()).toBeUndefined()
+    })
+
+    test('should reject invalid options', () => {
+      expect(() => createStorage({ maxEntries: 0 })).toThrow(TypeError)
+      expect(() => createStorage({ maxSubkeysPerSource: 1.5 })).toThrow(TypeError)
+      expect(() => createStorage({ policy: 'random' })).toThrow(TypeError)
+      expect(() => createStorage({ onEvict: 'log' })).toThrow(TypeError)
+    })
+  })
+
+  describe('Association Storage', () => {
+    test('should accept storages directly as the storage option', () => {
+      const storage = new AssociationStorage()
+      const obj = { id: 1 }
+
+      associate('value', obj, kDefaultKey, { storage })
+
+      expect(associated(obj, kDefaultKey, { storage })).toBe('value')
+      expect(getStorageMap(storage)).toBe(storage)
+      expect(storage.size).toBe(1)
+      expect(storage.sources()).toEqual([obj])
+    })
+
+    test('should map carriers to storages without modifying them', () => {
+      const carrier = {}
+
+      associate('value', 'key', kDefaultKey, { storage: carrier })
+
+      expect(getStorageMap(carrier)).toBeInstanceOf(AssociationStorage)
+      expect(Reflect.ownKeys(carrier)).toEqual([])
+    })
+
+    test('should allow frozen objects and proxies as carriers', () => {
+      const frozen = Object.freeze({})
+      const proxy = new Proxy({}, {
+        defineProperty() { throw new Error('carrier was modified') }
+      })
+
+      associate('frozen', 'key', kDefaultKey, { storage: frozen })
+      associate('proxy', 'key', kDefaultKey, { storage: proxy })
+
+      expect(associated('key', kDefaultKey, { storage: frozen })).toBe('frozen')
+      expect(associated('key', kDefaultKey, { storage: proxy })).toBe('proxy')
+    })
+
+    test('should reject values that cannot carry storage', () => {
+      expect(() => associate('value', 'key', kDefaultKey, { storage: null }))
+        .toThrow(/storage carrier/)
+      expect(() => associated('key', kDefaultKey, { storage: 'nope' }))
+        .toThrow(/storage carrier/)
+    })
+
+    test('should detach the storage of a carrier', () => {
+      const carrier = {}
+
+      associate('value', 'key', kDefaultKey, { storage: carrier })
+
+      const removed = removeStorageMap(carrier)
+
+      expect(removed.sources()).toEqual(['key'])
+      expect(getStorageMap(carrier, false)).toBeUndefined()
+      expect(associated('key', kDefaultKey, { storage: carrier })).toBeUndefined()
+    })
+
+    test('should clear every association', () => {
+      const storage = createStorage()
+
+      associate('a', 'key', kDefaultKey, { storage })
+      associate('b', {}, kDefaultKey, { storage })
+      storage.clear()
+
+      expect(storage.size).toBe(0)
+      expect(storage.sources()).toEqual([])
+    })
+
+    test('should dispose nested child storages', () => {
+      const parent = createStorage()
+      const child = parent.child()
+      const grandchild = child.child({ maxEntries: 10 })
+
+      associate('value', 'key', kDefaultKey, { storage: grandchild })
+
+      expect(parent.children()).toEqual([child])
+      expect(grandchild.parent).toBe(child)
+
+      parent.dispose()
+
+      expect(parent.disposed).toBe(true)
+      expect(child.disposed).toBe(true)
+      expect(grandchild.disposed).toBe(true)
+      expect(grandchild.size).toBe(0)
+      expect(() => associated('key', kDefaultKey, { storage: grandchild }))
+        .toThrow(/disposed/)
+      expect(() => parent.child()).toThrow(/disposed/)
+    })
+
+    test('should detach disposed children from their parent', () => {
+      const parent = createStorage()
+      const child = parent.child()
+
+      child.dispose()
+
+      expect(parent.disposed).toBe(false)
+      expect(parent.children()).toEqual([])
+    })
+
+    test('should support Symbol.dispose', () => {
+      const storage = createStorage()
+      const dispose = Symbol.dispose ?? Symbol.for('Symbol.dispose')
+
+      storage[dispose]()
+
+      expect(storage.disposed).toBe(true)
+    })
+
+    test('should give carriers of disposed storages a fresh one', () => {
+      const carrier = {}
+
+      associate('value', 'key', kDefaultKey, { storage: carrier })
+      getStorageMap(carrier).dispose()
+
+      expect(associated('key', kDefaultKey, { storage: carrier })).toBeUndefined()
+
+      associate('again', 'key', kDefaultKey, { storage: carrier })
+
+      expect(associated('key', kDefaultKey, { storage: carrier })).toBe('again')
+    })
+
+    test('should create bounded storages only when limits are given', () => {
+      const plain = createStorage()
+      const bounded = createStorage({ maxEntries: 1 })
+
+      for (const storage of [plain, bounded]) {
+        associate('a', 'key-a', kDefaultKey, { storage })
+        associate('b', 'key-b', kDefaultKey, { storage })
+      }
+
+      expect(plain).toBeInstanceOf(AssociationStorage)
+      expect(bounded).toBeInstanceOf(AssociationStorage)
+      expect(plain.size).toBe(2)
+      expect(bounded.size).toBe(1)
+    })
+  })
+
+  describe('Inherited Lookup', () => {
+    test('should walk from child to parent to globalThis', () => {
+      const app = createStorage()
+      const component = app.child()
+      const obj = { id: 1 }
+
+      associate('global', obj, 'theme')
+      associate('app', obj, 'locale', { storage: app })
+
+      expect(associated(obj, 'theme', { storage: component, inherit: true }))
+        .toBe('global')
+      expect(associated(obj, 'locale', { storage: component, inherit: true }))
+        .toBe('app')
+      expect(associated(obj, 'locale', { storage: component })).toBeUndefined()
+      expect(associated(obj, 'missing', {
+        storage: component,
+        inherit: true,
+        defaultValue: 'default'
+      })).toBe('default')
+    })
+
+    test('should let the nearest storage override', () => {
+      const app = createStorage()
+      const component = app.child()
+      const obj = { id: 1 }
+
+      associate('app', obj, 'theme', { storage: app })
+      associate('component', obj, 'theme', { storage: component })
+
+      expect(associated(obj, 'theme', { storage: component, inherit: true }))
+        .toBe('component')
+      expect(associated(obj, 'theme', { storage: app, inherit: true }))
+        .toBe('app')
+    })
+
+    test('should inherit for carriers attached to a child storage', () => {
+      const app = {}
+      const component = {}
+      const obj = { id: 1 }
+
+      associate('app', obj, 'theme', { storage: app })
+      attachStorage(component, getStorageMap(app).child())
+
+      expect(associated(obj, 'theme', { storage: component, inherit: true }))
+        .toBe('app')
+      expect(() => attachStorage(component, {})).toThrow(TypeError)
+      expect(() => attachStorage(null, createStorage())).toThrow(/carrier/)
+    })
+
+    test('should search the chain with comparators', () => {
+      const app = createStorage()
+      const component = app.child()
+
+      associate('found', { id: 7 }, kDefaultKey, { storage: app })
+
+      expect(associated(null, kDefaultKey, {
+        storage: component,
+        inherit: true,
+        comparator: source => source.id === 7
+      })).toBe('found')
+    })
+
+    test('should keep writes and disassociation local by default', () => {
+      const app = createStorage()
+      const component = app.child()
+      const obj = { id: 1 }
+
+      associate('app', obj, 'theme', { storage: app })
+      associate('component', obj, 'theme', { storage: component })
+
+      expect(associated(obj, 'theme', { storage: app })).toBe('app')
+
+      disassociate(obj, 'theme', { storage: component })
+
+      expect(associated(obj, 'theme', { storage: app })).toBe('app')
+      expect(disassociate(obj, 'theme', { storage: component })).toBe(false)
+    })
+
+    test('should target the owning storage when inheriting', () => {
+      const app = createStorage()
+      const component = app.child()
+      const obj = { id: 1 }
+
+      associate('app', obj, 'theme', { storage: app })
+      associate('updated', obj, 'theme', { storage: component, inherit: true })
+
+      expect(associated(obj, 'theme', { storage: app })).toBe('updated')
+      expect(subkeysOf(obj, { storage: component })).toEqual([])
+
+      associate('new', obj, 'fresh', { storage: component, inherit: true })
+
+      expect(associated(obj, 'fresh', { storage: component })).toBe('new')
+
+      expect(disassociate(obj, 'theme', { storage: component, inherit: true }))
+        .toBe(true)
+      expect(associated(obj, 'theme', { storage: app })).toBeUndefined()
+    })
+  })
+
+  describe('Transactions', () => {
+    test('should deliver one coalesced batch on commit', () => {
+      const storage = createStorage()
+      const obj = {}
+      const batches = []
+      const listener = vi.fn()
+
+      storage.observe(batch => batches.push(batch))
+      observe(obj, 'name', listener, { storage })
+
+      const result = transaction(() => {
+        associate('a', obj, 'name', { storage })
+        associate('b', obj, 'name', { storage })
+        associate(1, obj, 'count', { storage })
+
+        expect(associated(obj, 'name', { storage })).toBe('b')
+        expect(listener).not.toHaveBeenCalled()
+
+        return 'done'
+      }, { storage })
+
+      expect(result).toBe('done')
+      expect(listener).toHaveBeenCalledTimes(1)
+      expect(listener.mock.calls[0][0]).toMatchObject({
+        reason: 'set', subkey: 'name', oldValue: undefined, newValue: 'b'
+      })
+      expect(batches).toHaveLength(1)
+      expect(batches[0].map(({ subkey }) => subkey)).toEqual(['name', 'count'])
+    })
+
+    test('should drop changes that cancel out', () => {
+      const storage = createStorage()
+      const obj = {}
+      const batches = []
+
+      associate('kept', obj, 'stable', { storage })
+      storage.observe(batch => batches.push(batch))
+
+      transaction(() => {
+        associate('temporary', obj, 'scratch', { storage })
+        disassociate(obj, 'scratch', { storage })
+        associate('changed', obj, 'stable', { storage })
+        associate('kept', obj, 'stable', { storage })
+      }, { storage })
+
+      expect(batches).toEqual([])
+    })
+
+    test('should roll back and rethrow when the function throws', () => {
+      const storage = createStorage()
+      const obj = {}
+      const other = {}
+      const listener = vi.fn()
+
+      associate('original', obj, 'name', { storage })
+      observe(obj, listener, { storage })
+      storage.observe(listener)
+
+      expect(() => transaction(() => {
+        associate('changed', obj, 'name', { storage })
+        associate('new', obj, 'extra', { storage })
+        associate('new', other, 'name', { storage })
+        disassociate(obj, 'name', { storage })
+        throw new Error('failed')
+      }, { storage })).toThrow('failed')
+
+      expect(associated(obj, 'name', { storage })).toBe('original')
+      expect(subkeysOf(obj, { storage })).toEqual(['name'])
+      expect(storage.has(other)).toBe(false)
+      expect(listener).not.toHaveBeenCalled()
+    })
+
+    test('should restore expiration settings on rollback', () => {
+      let now = 0
+      const clock = () => now
+      const storage = createStorage()
+      const obj = {}
+
+      associate('value', obj, 'token', { storage, ttl: 100, clock })
+
+      expect(() => transaction(() => {
+        associate('other', obj, 'token', { storage, clock })
+        throw new Error('failed')
+      }, { storage })).toThrow()
+
+      now = 150
+
+      expect(associated(obj, 'token', { storage, clock })).toBeUndefined()
+    })
+
+    test('should commit or roll back asynchronous transactions', async () => {
+      const storage = createStorage()
+      const obj = {}
+
+      await expect(transaction(async () => {
+        associate('committed', obj, 'first', { storage })
+        await Promise.resolve()
+        return 'ok'
+      }, { storage })).resolves.toBe('ok')
+
+      await expect(transaction(async () => {
+        associate('rolled back', obj, 'second', { storage })
+        await Promise.resolve()
+        throw new Error('failed')
+      }, { storage })).rejects.toThrow('failed')
+
+      expect(associated(obj, 'first', { storage })).toBe('committed')
+      expect(associated(obj, 'second', { storage })).toBeUndefined()
+    })
+
+    test('should keep overlapping asynchronous transactions apart', async () => {
+      const storage = createStorage()
+      const obj = {}
+      const batches = []
+      let failFirst
+      let finishSecond
+
+      storage.observe(batch => batches.push(batch))
+
+      const first = transaction(async () => {
+        associate('first', obj, 'first', { storage })
+        await new Promise((resolve, reject) => { failFirst = reject })
+      }, { storage })
+
+      const second = transaction(async () => {
+        associate('second', obj, 'second', { storage })
+        await new Promise(resolve => { finishSecond = resolve })
+        associate('later', obj, 'later', { storage })
+      }, { storage })
+
+      // Writes by other code are neither held back nor part of either one
+      associate('other', 'other', 'z', { storage })
+      expect(batches).toHaveLength(1)
+
+      failFirst(new Error('failed'))
+      await expect(first).rejects.toThrow('failed')
+
+      expect(associated(obj, 'first', { storage })).toBeUndefined()
+      expect(associated(obj, 'second', { storage })).toBe('second')
+      expect(associated('other', 'z', { storage })).toBe('other')
+
+      finishSecond()
+      await second
+
+      expect(entriesOf(obj, { storage })).toEqual([['second', 'second'], ['later', 'later']])
+      expect(batches).toHaveLength(2)
+      expect(batches[1].map(({ subkey }) => subkey)).toEqual(['second', 'later'])
+
+      // Nothing is left open, so plain writes are reported right away
+      associate('plain', obj, 'plain', { storage })
+      expect(batches).toHaveLength(3)
+    })
+
+    test('should not roll back subkeys changed outside the transaction', async () => {
+      const storage = createStorage()
+      const obj = {}
+      let fail
+
+      associate('original', obj, 'name', { storage })
+
+      const pending = transaction(async () => {
+        associate('transactional', obj, 'name', { storage })
+        associate('transactional', obj, 'title', { storage })
+        await new Promise((resolve, reject) => { fail = reject })
+      }, { storage })
+
+      associate('outside', obj, 'name', { storage })
+      fail(new Error('failed'))
+
+      await expect(pending).rejects.toThrow('failed')
+      expect(entriesOf(obj, { storage })).toEqual([['name', 'outside']])
+    })
+
+    test('should only roll back a failed nested transaction', () => {
+      const storage = createStorage()
+      const obj = {}
+      const batches = []
+
+      storage.observe(batch => batches.push(batch))
+
+      transaction(() => {
+        associate('outer', obj, 'outer', { storage })
+
+        try {
+          transaction(() => {
+            associate('inner', obj, 'inner', { storage })
+            throw new Error('failed')
+          }, { storage })
+        }
+        catch {}
+
+        transaction(() => associate('nested', obj, 'nested', { storage }), { storage })
+
+        expect(batches).toEqual([])
+      }, { storage })
+
+      expect(subkeysOf(obj, { storage })).toEqual(['outer', 'nested'])
+      expect(batches).toHaveLength(1)
+      expect(batches[0].map(({ subkey }) => subkey)).toEqual(['outer', 'nested'])
+    })
+
+    test('should roll back to savepoints', () => {
+      const storage = createStorage()
+      const obj = {}
+      const listener = vi.fn()
+
+      observe(obj, listener, { storage })
+
+      transaction(({ savepoint, rollbackTo }) => {
+        associate(1, obj, 'kept', { storage })
+
+        const point = savepoint()
+
+        associate(2, obj, 'dropped', { storage })
+        associate(3, obj, 'kept', { storage })
+        rollbackTo(point)
+      }, { storage })
+
+      expect(entriesOf(obj, { storage })).toEqual([['kept', 1]])
+      expect(listener).toHaveBeenCalledTimes(1)
+      expect(listener.mock.calls[0][0].newValue).toBe(1)
+    })
+
+    test('should report changes outside transactions as single batches', () => {
+      const storage = createStorage()
+      const listener = vi.fn()
+      const unobserve = storage.observe(listener)
+
+      associate('a', 'source', 'key', { storage })
+
+      expect(listener).toHaveBeenCalledWith([
+        expect.objectContaining({ reason: 'set', source: 'source', newValue: 'a' })
+      ])
+
+      expect(unobserve()).toBe(true)
+      associate('b', 'source', 'key', { storage })
+      expect(listener).toHaveBeenCalledTimes(1)
+      expect(() => storage.observe()).toThrow(TypeError)
+    })
+  })
+
+  describe('Computed Associations', () => {
+    test('should derive values from other associations', () => {
+      const storage = createStorage()
+      const person = {}
+
+      defineComputed('displayName', (source, get) =>
+        `${get(source, 'firstName')} ${get(source, 'lastName')}`,
+        { storage }
+      )
+
+      associate('Ada', person, 'firstName', { storage })
+      associate('Lovelace', person, 'lastName', { storage })
+
+      expect(associated(person, 'displayName', { storage })).toBe('Ada Lovelace')
+
+      associate('Augusta', person, 'firstName', { storage })
+
+      expect(associated(person, 'displayName', { storage })).toBe('Augusta Lovelace')
+    })
+
+    test('should only recompute when a dependency changes', () => {
+      const storage = createStorage()
+      const compute = vi.fn((source, get) => get(source, 'count') * 2)
+      const [a, b] = [{}, {}]
+
+      defineComputed('double', compute, { storage })
+      associate(1, a, 'count', { storage })
+      associate(5, b, 'count', { storage })
+
+      associated(a, 'double', { storage })
+      associated(a, 'double', { storage })
+      associate(5, b, 'unrelated', { storage })
+
+      expect(associated(a, 'double', { storage })).toBe(2)
+      expect(compute).toHaveBeenCalledTimes(1)
+
+      disassociate(a, 'count', { storage })
+
+      expect(associated(a, 'double', { storage })).toBeNaN()
+      expect(associated(b, 'double', { storage })).toBe(10)
+      expect(compute).toHaveBeenCalledTimes(3)
+    })
+
+    test('should track dependencies on other sources and computed subkeys', () => {
+      const storage = createStorage()
+      const [parent, child] = [{}, {}]
+
+      defineComputed('path', (source, get) => {
+        const up = get(source, 'parent')
+        const name = get(source, 'name')
+
+        return up ? `${get(up, 'path')}/${name}` : name
+      }, { storage })
+
+      associate('root', parent, 'name', { storage })
+      associate('leaf', child, 'name', { storage })
+      associate(parent, child, 'parent', { storage })
+
+      expect(associated(child, 'path', { storage })).toBe('root/leaf')
+
+      associate('home', parent, 'name', { storage })
+
+      expect(associated(child, 'path', { storage })).toBe('home/leaf')
+    })
+
+    test('should report cycles', () => {
+      const storage = createStorage()
+      const obj = {}
+
+      defineComputed('a', (source, get) => get(source, 'b'), { storage })
+      defineComputed('b', (source, get) => get(source, 'a'), { storage })
+
+      expect(() => associated(obj, 'a', { storage }))
+        .toThrow("Circular computed association: 'a' -> 'b' -> 'a'")
+    })
+
+    test('should refuse writes and duplicate definitions', () => {
+      const storage = createStorage()
+      const remove = defineComputed('total', () => 0, { storage })
+
+      expect(() => associate(1, {}, 'total', { storage })).toThrow(TypeError)
+      expect(() => defineComputed('total', () => 1, { storage })).toThrow(/already computed/)
+      expect(() => defineComputed('other', null, { storage })).toThrow(TypeError)
+
+      expect(remove()).toBe(true)
+      expect(associate(1, 'source', 'total', { storage })).toBe(1)
+    })
+
+    test('should not cache results for primitive sources', () => {
+      const storage = createStorage()
+      const compute = vi.fn((source, get) => get(source, 'count') * 2)
+
+      defineComputed('double', compute, { storage })
+      associate(2, 'id:1', 'count', { storage })
+
+      expect(associated('id:1', 'double', { storage })).toBe(4)
+      expect(associated('id:1', 'double', { storage })).toBe(4)
+      expect(compute).toHaveBeenCalledTimes(2)
+    })
+
+    test('should read dependencies from the storage queried when inheriting', () => {
+      const storage = createStorage()
+      const child = storage.child()
+      const person = {}
+
+      defineComputed('greeting', (source, get) => `Hello, ${get(source, 'name')}`, { storage })
+      associate('Ada', person, 'name', { storage })
+
+      expect(associated(person, 'greeting', { storage: child, inherit: true }))
+        .toBe('Hello, Ada')
+
+      associate('Augusta', person, 'name', { storage: child })
+
+      expect(associated(person, 'greeting', { storage: child, inherit: true }))
+        .toBe('Hello, Augusta')
+      expect(associated(person, 'greeting', { storage })).toBe('Hello, Ada')
+    })
+
+    test('should fall back on the default value', () => {
+      const storage = createStorage()
+
+      defineComputed('missing', () => undefined, { storage })
+
+      expect(associated({}, 'missing', { storage, defaultValue: 'none' })).toBe('none')
+    })
+  })
+
+  describe('Subkey Schemas', () => {
+    test('should validate writes with descriptive errors', () => {
+      const storage = createStorage()
+      const person = {}
+
+      defineSubkey('age', {
+        validate: value => Number.isInteger(value) || 'expected an integer',
+        description: 'age in years',
+        storage
+      })
+      defineSubkey('name', { validate: value => typeof value === 'string', storage })
+
+      expect(associate(42, person, 'age', { storage })).toBe(42)
+      expect(() => associate('ten', person, 'age', { storage })).toThrow(
+        "Invalid value for subkey 'age' (age in years): expected an integer"
+      )
+      expect(() => associate(1, person, 'name', { storage }))
+        .toThrow("Invalid value for subkey 'name'")
+      expect(associated(person, 'age', { storage })).toBe(42)
+    })
+
+    test('should validate every subkey of a bulk write before writing', () => {
+      const storage = createStorage()
+      const obj = {}
+
+      defineSubkey('count', { validate: value => typeof value === 'number', storage })
+      associate('text', obj, 'label', { storage })
+      associate(1, obj, 'count', { storage })
+
+      expect(() => associate('all', obj, kAllKeys, { storage })).toThrow(TypeError)
+      expect(entriesOf(obj, { storage })).toEqual([['label', 'text'], ['count', 1]])
+    })
+
+    test('should supply declared defaults', () => {
+      const storage = createStorage()
+      const obj = {}
+
+      defineSubkey('theme', { default: 'light', storage })
+
+      const [getTheme] = association(obj, 'theme', { storage })
+
+      expect(associated(obj, 'theme', { storage })).toBe('light')
+      expect(associated(obj, 'theme', { storage, defaultValue: 'dark' })).toBe('dark')
+      expect(associated(obj, 'theme', { storage, defaultValue: undefined })).toBeUndefined()
+      expect(getTheme()).toBe('light')
+      expect(getTheme('dark')).toBe('dark')
+    })
+
+    test('should forbid overwriting readonly subkeys', () => {
+      const storage = createStorage()
+      const obj = {}
+
+      defineSubkey('id', { readonly: true, storage })
+
+      associate(1, obj, 'id', { storage })
+
+      expect(() => associate(2, obj, 'id', { storage })).toThrow(/readonly/)
+      expect(disassociate(obj, 'id', { storage })).toBe(true)
+      expect(associate(3, obj, 'id', { storage })).toBe(3)
+    })
+
+    test('should refuse undeclared subkeys in strict storages', () => {
+      const storage = createStorage()
+      const obj = {}
+
+      defineSubkey('title', { storage })
+      defineComputed('summary', (source, get) => get(source, 'title'), { storage })
+      setStrictSubkeys(true, { storage })
+
+      associate('Draft', obj, 'title', { storage })
+
+      expect(associated(obj, 'summary', { storage })).toBe('Draft')
+      expect(() => associate('Draft', obj, 'titel', { storage })).toThrow(/not declared/)
+      expect(() => associated(obj, 'titel', { storage })).toThrow(/not declared/)
+
+      setStrictSubkeys(false, { storage })
+
+      expect(associated(obj, 'titel', { storage })).toBeUndefined()
+    })
+
+    test('should expose and remove declarations', () => {
+      const storage = createStorage()
+      const remove = defineSubkey('color', { description: 'a CSS color', storage })
+
+      expect(getSubkeyDefinition('color', { storage })).toMatchObject({
+        name: 'color',
+        readonly: false,
+        description: 'a CSS color'
+      })
+      expect(() => defineSubkey('color', { storage })).toThrow(/already declared/)
+      expect(() => defineSubkey('other', { validate: 'string', storage })).toThrow(TypeError)
+
+      expect(remove()).toBe(true)
+      expect(getSubkeyDefinition('color', { storage })).toBeUndefined()
+    })
+  })
+
+  describe('Private Keys', () => {
+    test('should read and write through the key', () => {
+      const storage = createStorage()
+      const kState = createKey('state')
+      const obj = {}
+
+      expect(kState).toBeInstanceOf(AssociationKey)
+      expect(String(kState)).toBe('AssociationKey(state)')
+      expect(kState.has(obj, { storage })).toBe(false)
+
+      kState.set({ mounted: true }, obj, { storage })
+
+      expect(kState.get(obj, { storage })).toEqual({ mounted: true })
+      expect(associated(obj, kState, { storage })).toEqual({ mounted: true })
+      expect(kState.has(obj, { storage })).toBe(true)
+      expect(kState.delete(obj, { storage })).toBe(true)
+      expect(kState.has(obj, { storage })).toBe(false)
+    })
+
+    test('should hide entries from enumeration', () => {
+      const storage = createStorage()
+      const kState = createKey('state')
+      const obj = {}
+
+      associate('public', obj, 'name', { storage })
+      kState.set('private', obj, { storage })
+
+      expect(subkeysOf(obj, { storage })).toEqual(['name'])
+      expect(entriesOf(obj, { storage })).toEqual([['name', 'public']])
+      expect(findAll({ storage })).toEqual([[obj, 'name', 'public']])
+      expect(sourcesWith(kState, { storage })).toEqual([obj])
+    })
+
+    test('should survive operations on all subkeys', () => {
+      const storage = createStorage()
+      const kState = createKey()
+      const obj = {}
+
+      kState.set('private', obj, { storage })
+      associate('public', obj, 'name', { storage })
+      associate('overwritten', obj, kAllKeys, { storage })
+
+      expect(kState.get(obj, { storage })).toBe('private')
+
+      disassociate(obj, kAllKeys, { storage })
+
+      expect(subkeysOf(obj, { storage })).toEqual([])
+      expect(kState.get(obj, { storage })).toBe('private')
+    })
+
+    test('should only notify observers of the key', () => {
+      const storage = createStorage()
+      const kState = createKey()
+      const obj = {}
+      const all = vi.fn()
+      const own = vi.fn()
+      const batches = vi.fn()
+
+      observe(obj, all, { storage })
+      kState.observe(obj, own, { storage })
+      storage.observe(batches)
+
+      kState.set('private', obj, { storage })
+
+      expect(own).toHaveBeenCalledTimes(1)
+      expect(all).not.toHaveBeenCalled()
+      expect(batches).not.toHaveBeenCalled()
+    })
+
+    test('should not be forgeable', () => {
+      const storage = createStorage()
+      const kState = createKey('state')
+      const forged = Object.create(AssociationKey.prototype)
+
+      kState.set('private', 'source', { storage })
+
+      expect(Object.isFrozen(kState)).toBe(true)
+      expect(associated('source', forged, { storage })).toBeUndefined()
+      expect(createKey('state')).not.toBe(kState)
+    })
+  })
+
+  describe('Keying Strategies', () => {
+    async function collect(until) {
+      for (let i = 0; i < 20; i++) {
+        await new Promise(resolve => setTimeout(resolve, 0))
+        globalThis.gc()
+
+        if (until())
+          return true
+      }
+
+      return false
+    }
+
+    test('should key object sources by a keyBy function', () => {
+      const storage = createStorage({ keyBy: source => source.id })
+      const user = { id: 2, name: 'Ada' }
+
+      associate('admin', user, 'role', { storage })
+
+      expect(associated({ id: 2 }, 'role', { storage })).toBe('admin')
+      expect(associated({ id: 3 }, 'role', { storage })).toBeUndefined()
+      expect(associated(2, 'role', { storage })).toBeUndefined()
+      expect(storage.sources()).toEqual([user])
+
+      expect(disassociate({ id: 2 }, 'role', { storage })).toBe(true)
+      expect(storage.has(user)).toBe(true)
+      expect(disassociate({ id: 2 }, kAllKeys, { storage })).toBe(true)
+      expect(storage.size).toBe(0)
+    })
+
+    test('should key sources by identity when keyBy returns undefined', () => {
+      const storage = createStorage({ keyBy: source => source.id })
+      const anonymous = {}
+
+      associate('value', anonymous, 'key', { storage })
+
+      expect(associated({}, 'key', { storage })).toBeUndefined()
+      expect(associated(anonymous, 'key', { storage })).toBe('value')
+      expect(() => associate(1, { id: {} }, 'key', { storage })).toThrow(TypeError)
+    })
+
+    test('should key arrays by their elements with tuple', () => {
+      const storage = createStorage({ keyBy: 'tuple' })
+      const session = {}
+
+      associate('Ada', ['user', 42], 'name', { storage })
+      associate('admin', ['user', session], 'role', { storage })
+
+      expect(associated(['user', 42], 'name', { storage })).toBe('Ada')
+      expect(associated(['user', '42'], 'name', { storage })).toBeUndefined()
+      expect(associated(['user', -0 + 42], 'name', { storage })).toBe('Ada')
+      expect(associated(['user', session], 'role', { storage })).toBe('admin')
+      expect(associated(['user', {}], 'role', { storage })).toBeUndefined()
+      expect(findAll({ storage }).map(([source]) => source))
+        .toEqual([['user', 42], ['user', session]])
+    })
+
+    test('should key frozen plain data by structure', () => {
+      const storage = createStorage({ keyBy: 'structural' })
+      const point = Object.freeze({ x: 1, y: Object.freeze([2, 3]) })
+
+      associate('found', point, 'label', { storage })
+
+      expect(associated(Object.freeze({ y: Object.freeze([2, 3]), x: 1 }), 'label', { storage }))
+        .toBe('found')
+      expect(associated({ x: 1, y: [2, 3] }, 'label', { storage })).toBeUndefined()
+    })
+
+    test('should bound tuples of primitives like primitives', () => {
+      const storage = createStorage({ keyBy: 'tuple', maxEntries: 2 })
+
+      associate(1, ['a'], 'value', { storage })
+      associate(2, ['b'], 'value', { storage })
+      associated(['a'], 'value', { storage })
+      associate(3, ['c'], 'value', { storage })
+
+      expect(storage.sources()).toEqual([['a'], ['c']])
+    })
+
+    test('should share the strategy with child storages', () => {
+      const storage = createStorage({ keyBy: 'tuple' })
+
+      expect(storage.child().keyBy).toBe('tuple')
+      expect(() => createStorage({ keyBy: 'deep' })).toThrow(TypeError)
+    })
+
+    test('should release entries when the owning source is collected', async () => {
+      const storage = createStorage({ keyBy: source => source.id })
+      const listener = vi.fn()
+
+      ;(() => {
+        associate('value', { id: 1 }, 'key', { storage })
+      })()
+
+      observe({ id: 1 }, listener, { storage })
+
+      expect(await collect(() => listener.mock.calls.length > 0)).toBe(true)
+      expect(listener.mock.calls[0][0].reason).toBe('collected')
+      expect(associated({ id: 1 }, 'key', { storage })).toBeUndefined()
+    })
+
+    test('should not keep objects in tuples alive', async () => {
+      const storage = createStorage({ keyBy: 'tuple' })
+      const kept = { name: 'kept' }
+      const ref = (() => {
+        const dropped = { name: 'dropped' }
+
+        associate('a', ['pair', kept], 'key', { storage })
+        associate('b', ['pair', dropped], 'key', { storage })
+
+        return new WeakRef(dropped)
+      })()
+
+      expect(await collect(() => !ref.deref() && storage.size === 1)).toBe(true)
+
+      // The tuple literals are gone, but an equal one is rebuilt on demand
+      expect(storage.sources()).toEqual([['pair', kept]])
+      expect(associated(['pair', kept], 'key', { storage })).toBe('a')
+    })
+  })
+
+  describe('Retargeting', () => {
+    test('should move every public subkey to the new source', () => {
+      const storage = createStorage()
+      const kSecret = createKey('secret')
+      const todo = { done: false }
+      const next = { done: true }
+      const changes = vi.fn()
+
+      associate('element', todo, 'element', { storage })
+      associate('draft', todo, 'note', { storage, ttl: 1000 })
+      kSecret.set('hidden', todo, { storage })
+      associate('stale', next, 'other', { storage })
+      storage.observe(changes)
+
+      expect(retarget(todo, next, { storage })).toBe(true)
+
+      expect(entriesOf(next, { storage })).toEqual([['element', 'element'], ['note', 'draft']])
+      expect(kSecret.get(next, { storage })).toBeUndefined()
+      expect(kSecret.get(todo, { storage })).toBe('hidden')
+      expect(storage.get(next).expirations.has('note')).toBe(true)
+      expect(entriesOf(todo, { storage })).toEqual([])
+      expect(changes).toHaveBeenCalledTimes(1)
+      expect(retarget(todo, next, { storage })).toBe(false)
+    })
+
+    test('should only move the private keys it is given', () => {
+      const storage = createStorage()
+      const kSecret = createKey('secret')
+      const kOther = createKey('other')
+      const todo = {}
+      const next = {}
+
+      kSecret.set('hidden', todo, { storage })
+      kOther.set('kept', todo, { storage })
+
+      expect(retarget(todo, next, { storage, keys: [kSecret] })).toBe(true)
+
+      expect(kSecret.get(next, { storage })).toBe('hidden')
+      expect(kSecret.get(todo, { storage })).toBeUndefined()
+      expect(kOther.get(next, { storage })).toBeUndefined()
+      expect(kOther.get(todo, { storage })).toBe('kept')
+      expect(retarget(todo, next, { storage })).toBe(false)
+    })
+
+    test('should merge into the new source', () => {
+      const storage = createStorage()
+      const a = {}
+      const b = {}
+      const c = {}
+
+      associate(1, a, 'x', { storage })
+      associate(2, a, 'y', { storage })
+      associate(3, b, 'y', { storage })
+      associate(4, b, 'z', { storage })
+
+      retarget(a, b, { storage, merge: true })
+
+      expect(Object.fromEntries(entriesOf(b, { storage }))).toEqual({ x: 1, y: 3, z: 4 })
+
+      associate(10, c, 'x', { storage })
+      retarget(b, c, { storage, merge: (oldValue, newValue) => oldValue + newValue, copy: true })
+
+      expect(Object.fromEntries(entriesOf(c, { storage }))).toEqual({ x: 11, y: 3, z: 4 })
+      expect(associated(b, 'x', { storage })).toBe(1)
+    })
+
+    test('should carry associations forward along a lineage', () => {
+      const storage = createStorage()
+      const predecessors = new WeakMap()
+      const produce = (state, changes) => {
+        const next = { ...state, ...changes }
+
+        predecessors.set(next, state)
+
+        return next
+      }
+
+      const stop = carryForward(state => predecessors.get(state), { storage })
+      const v1 = { title: 'Draft' }
+
+      associate('selection', v1, 'selection', { storage })
+
+      const v2 = produce(v1, { title: 'Report' })
+      const v3 = produce(v2, { title: 'Final' })
+
+      associate('cursor', v3, 'cursor', { storage })
+
+      expect(associated(v3, 'selection', { storage })).toBe('selection')
+      expect(associated(v3, 'cursor', { storage })).toBe('cursor')
+      expect(associated(v1, 'selection', { storage })).toBeUndefined()
+
+      expect(stop()).toBe(true)
+
+      const v4 = produce(v3, { title: 'Published' })
+
+      expect(associated(v4, 'selection', { storage })).toBeUndefined()
+      expect(() => carryForward(null)).toThrow(TypeError)
+    })
+
+    test('should keep predecessors intact when copying', () => {
+      const storage = createStorage()
+      const previous = {}
+      const next = {}
+
+      carryForward(state => state === next ? previous : undefined, { storage, copy: true })
+      associate('value', previous, 'key', { storage })
+
+      expect(associated(next, 'key', { storage })).toBe('value')
+      expect(associated(previous, 'key', { storage })).toBe('value')
+    })
+  })
+})
@@ -0,0 +1,380 @@
+import {
+  associate,
+  associated,
+  disassociate,
+  getStorageMap,
+  kDefaultKey,
+} from './associations.mjs'
+
+/**
+ * Associations whose values are loaded asynchronously. associateAsync()
+ * associates a loader rather than a value, and associatedAsync() runs it on
+ * first use, so that metadata is fetched only when needed, and only once no
+ * matter how many callers ask for it at the same time.
+ *
+ * Until the loader resolves, the association holds an
+ * {@link AsyncAssociation} describing the load; associated() returns that
+ * entry and asyncStatus() reports its status. Once resolved, the value
+ * replaces the entry like any associate() call would, so synchronous reads,
+ * observers and queries see it from then on.
+ *
+ * @module Async
+ */
+export const Async = (function () {
+  // The load state of each AsyncAssociation, kept out of reach of callers
+  const states = new WeakMap()
+
+  /**
+   * The entry associated while a value is being, or is yet to be, loaded.
+   * Create entries with associateAsync().
+   */
+  class AsyncAssociation {
+    /**
+     * One of 'idle' (not loaded yet), 'pending', 'fulfilled' or 'rejected'.
+     *
+     * @type {string}
+     */
+    get status() {
+      return states.get(this).status
+    }
+
+    /**
+     * The reason of the last failed load, while the status is 'rejected'.
+     *
+     * @type {*}
+     */
+    get error() {
+      return states.get(this).error
+    }
+
+    get [Symbol.toStringTag]() {
+      return 'AsyncAssociation'
+    }
+  }
+
+  /**
+   * Associates a loader with a source. The loader runs the first time the
+   * value is requested through associatedAsync(), and its result then
+   * replaces the entry as the associated value.
+   *
+   * A failed load leaves the entry 'rejected', and the next request runs
+   * the loader again, unless `evictOnError` removes the entry instead. With
+   * `retries`, failed attempts are first retried after `backoff`
+   * milliseconds, doubling with every attempt.
+   *
+   * @param {*} source the source to associate the value with
+   * @param {*} [subkey=kDefaultKey] the subkey to associate the value under
+   * @param {Function} loader receives `{ signal, source, subkey, attempt }`
+   * and returns the value or a promise for it; it should stop when the
+   * signal aborts
+   * @param {Object} [options={}] - Configuration options
+   * @param {Object} [options.storage=globalThis] - The AssociationStorage or
+   * carrier to associate in
+   * @param {AbortSignal} [options.signal] - Cancels the load; the entry is
+   * removed and pending requests reject with the signal's reason
+   * @param {number} [options.retries=0] - How often a failed load is retried
+   * before it counts as failed
+   * @param {number} [options.backoff=100] - Milliseconds before the first
+   * retry; each further retry waits twice as long
+   * @param {boolean} [options.evictOnError=false] - Whether to remove the
+   * entry when the load fails, rather than retrying on the next request
+   * @returns {AsyncAssociation} the entry that was associated
+   * @throws {TypeError} if the loader is not a function or an option is
+   * invalid
+   *
+   * @example
+   * associateAsync(doc, 'metadata', ({ signal }) =>
+   *   fetch(`/docs/${doc.id}/metadata`, { signal }).then(r => r.json()),
+   *   { retries: 2 }
+   * )
+   *
+   * const metadata = await associatedAsync(doc, 'metadata')
+   */
+  function associateAsync(source, subkey, loader, options = {}) {
+    const {
+      storage = globalThis,
+      signal = undefined,
+      retries = 0,
+      backoff = 100,
+      evictOnError = false,
+    } = options
+
+    if (typeof loader !== 'function')
+      throw new TypeError(`associateAsync() requires a loader function`)
+
+    if (!Number.isInteger(retries) || retries < 0)
+      throw new TypeError(`retries must be a non-negative integer, got '${String(retries)}'`)
+
+    if (typeof backoff !== 'number' || backoff < 0)
+      throw new TypeError(`backoff must be a non-negative number, got '${String(backoff)}'`)
+
+    subkey = subkey ?? kDefaultKey
+
+    const storageMap = getStorageMap(storage)
+    const entry = new AsyncAssociation()
+    const state = {
+      loader,
+      retries,
+      backoff,
+      evictOnError,
+      storageMap,
+      status: 'idle',
+      error: undefined,
+      promise: undefined,
+      controller: new AbortController(),
+      detach: () => {},
+    }
+
+    states.set(entry, state)
+    associate(entry, source, subkey, { storage: storageMap })
+
+    if (signal?.aborted) {
+      cancel(entry, source, subkey, signal.reason)
+    }
+
+    else if (signal) {
+      const onAbort = () => cancel(entry, source, subkey, signal.reason)
+
+      signal.addEventListener('abort', onAbort, { once: true })
+      state.detach = () => signal.removeEventListener('abort', onAbort)
+    }
+
+    return entry
+  }
+
+  /**
+   * Reads an association that may still have to be loaded. Values that are
+   * associated already resolve immediately. For an entry made with
+   * associateAsync(), the loader is started unless it is running already,
+   * in which case the pending load is shared.
+   *
+   * @param {*} source the source the value is associated with
+   * @param {*} [subkey=kDefaultKey] the subkey the value is associated under
+   * @param {Object} [options={}] - Configuration options
+   * @param {Object} [options.storage=globalThis] - The AssociationStorage or
+   * carrier the value is associated in
+   * @param {Function} [options.loader] - Associated through associateAsync(),
+   * along with `retries`, `backoff` and `evictOnError`, when nothing is
+   * associated yet
+   * @param {number} [options.retries] - See associateAsync()
+   * @param {number} [options.backoff] - See associateAsync()
+   * @param {boolean} [options.evictOnError] - See associateAsync()
+   * @param {AbortSignal} [options.signal] - Stops waiting; the returned
+   * promise rejects with the signal's reason, but the load itself continues
+   * for other callers
+   * @param {*} [options.defaultValue] - Resolved when nothing, or undefined,
+   * is associated
+   * @returns {Promise<*>} the value
+   *
+   * @example
+   * // Every caller shares one request
+   * const metadata = await associatedAsync(doc, 'metadata', {
+   *   loader: () => fetchMetadata(doc)
+   * })
+   */
+  function associatedAsync(source, subkey, options = {}) {
+    const {
+      storage = globalThis,
+      loader,
+      signal,
+      defaultValue,
+      retries,
+      backoff,
+      evictOnError,
+    } = options
+
+    subkey = subkey ?? kDefaultKey
+
+    let value = associated(source, subkey, { storage })
+
+    if (value === undefined && loader)
+      value = associateAsync(source, subkey, loader, { storage, retries, backoff, evictOnError })
+
+    if (!(value instanceof AsyncAssociation))
+      return Promise.resolve(value === undefined ? defaultValue : value)
+
+    const promise = load(value, source, subkey)
+
+    return signal ? abortable(promise, signal) : promise
+  }
+
+  /**
+   * Reports the load status of an association without waiting for it.
+   *
+   * @param {*} source the source the value is associated with
+   * @param {*} [subkey=kDefaultKey] the subkey the value is associated under
+   * @param {Object} [options={}] - Configuration options
+   * @param {Object} [options.storage=globalThis] - The AssociationStorage or
+   * carrier the value is associated in
+   * @returns {string|undefined} 'idle', 'pending' or 'rejected' for entries
+   * made with associateAsync(), 'fulfilled' once a value is associated, or
+   * undefined if nothing is
+   *
+   * @example
+   * if (asyncStatus(doc, 'metadata') === 'pending')
+   *   showSpinner()
+   */
+  function asyncStatus(source, subkey, options = {}) {
+    const value = associated(source, subkey ?? kDefaultKey, {
+      storage: options?.storage ?? globalThis,
+    })
+
+    if (value instanceof AsyncAssociation)
+      return value.status
+
+    return value === undefined ? undefined : 'fulfilled'
+  }
+
+  /**
+   * Starts loading an entry unless it is loading or loaded already.
+   *
+   * @private
+   * @param {AsyncAssociation} entry the entry to load
+   * @param {*} source the source the entry is associated with
+   * @param {*} subkey the subkey the entry is associated under
+   * @returns {Promise<*>} the shared promise for the value
+   */
+  function load(entry, source, subkey) {
+    const state = states.get(entry)
+
+    if (state.status === 'pending' || state.status === 'fulfilled')
+      return state.promise
+
+    const { signal } = state.controller
+    const storage = state.storageMap
+    const current = () => associated(source, subkey, { storage }) === entry
+
+    const attempts = async () => {
+      for (let attempt = 0; ; attempt++) {
+        try {
+          return await state.loader({ signal, source, subkey, attempt })
+        }
+        catch (error) {
+          if (signal.aborted || attempt >= state.retries)
+            throw error
+
+          await delay(state.backoff * 2 ** attempt, signal)
+        }
+      }
+    }
+
+    state.status = 'pending'
+    state.error = undefined
+    state.promise = abortable(attempts(), signal).then(
+      value => {
+        state.status = 'fulfilled'
+        state.detach()
+
+        if (current())
+          associate(value, source, subkey, { storage })
+
+        return value
+      },
+      error => {
+        state.status = 'rejected'
+        state.error = error
+
+        if (state.evictOnError && current()) {
+          state.detach()
+          disassociate(source, subkey, { storage })
+        }
+
+        throw error
+      }
+    )
+
+    // Failures are reported to whoever awaits the load, not as unhandled
+    state.promise.catch(() => {})
+
+    return state.promise
+  }
+
+  /**
+   * Cancels the load of an entry and removes it.
+   *
+   * @private
+   * @param {AsyncAssociation} entry the entry to cancel
+   * @param {*} source the source the entry is associated with
+   * @param {*} subkey the subkey the entry is associated under
+   * @param {*} reason the reason the load was cancelled
+   */
+  function cancel(entry, source, subkey, reason) {
+    const state = states.get(entry)
+    const storage = state.storageMap
+
+    state.detach()
+    state.controller.abort(reason)
+
+    if (associated(source, subkey, { storage }) === entry)
+      disassociate(source, subkey, { storage })
+  }
+
+  /**
+   * Follows a promise, rejecting early if a signal aborts.
+   *
+   * @private
+   * @param {Promise<*>} promise the promise to follow
+   * @param {AbortSignal} signal the signal
+   * @returns {Promise<*>} the abortable promise
+   */
+  function abortable(promise, signal) {
+    if (signal.aborted) {
+      promise.catch(() => {})
+      return Promise.reject(signal.reason)
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(signal.reason)
+
+      signal.addEventListener('abort', onAbort, { once: true })
+
+      promise.then(resolve, reject).finally(() => {
+        signal.removeEventListener('abort', onAbort)
+      })
+    })
+  }
+
+  /**
+   * Waits for a number of milliseconds, rejecting early if a signal aborts.
+   *
+   * @private
+   * @param {number} ms the milliseconds to wait
+   * @param {AbortSignal} signal the signal
+   * @returns {Promise<void>} resolves after the delay
+   */
+  function delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer)
+        reject(signal.reason)
+      }
+
+      const timer = setTimeout(() => {
+        signal.removeEventListener('abort', onAbort)
+        resolve()
+      }, ms)
+
+      signal.addEventListener('abort', onAbort, { once: true })
+    })
+  }
+
+  return Object.defineProperty({
+    // functions
+    associateAsync,
+    associatedAsync,
+    asyncStatus,
+
+    // classes
+    AsyncAssociation,
+  }, Symbol.toStringTag, {value: 'Async', enumerable: false})
+})()
+
+export const {
+  // functions
+  associateAsync,
+  associatedAsync,
+  asyncStatus,
+
+  // classes
+  AsyncAssociation,
+} = Async
@@ -0,0 +1,200 @@
+import { describe, test, expect, vi } from 'vitest'
+import { associate, associated, createStorage } from './associations.mjs'
+import {
+  associateAsync,
+  associatedAsync,
+  asyncStatus,
+  AsyncAssociation
+} from './async.mjs'
+
+describe('Async Module', () => {
+  describe('Loading', () => {
+    test('should load lazily and only once', async () => {
+      const storage = createStorage()
+      const doc = {}
+      const loader = vi.fn(async () => ({ pages: 3 }))
+
+      const entry = associateAsync(doc, 'metadata', loader, { storage })
+
+      expect(entry).toBeInstanceOf(AsyncAssociation)
+      expect(loader).not.toHaveBeenCalled()
+      expect(asyncStatus(doc, 'metadata', { storage })).toBe('idle')
+
+      const [a, b] = await Promise.all([
+        associatedAsync(doc, 'metadata', { storage }),
+        associatedAsync(doc, 'metadata', { storage })
+      ])
+
+      expect(a).toBe(b)
+      expect(loader).toHaveBeenCalledTimes(1)
+      expect(loader.mock.calls[0][0]).toMatchObject({ source: doc, subkey: 'metadata', attempt: 0 })
+      expect(await associatedAsync(doc, 'metadata', { storage })).toBe(a)
+      expect(loader).toHaveBeenCalledTimes(1)
+    })
+
+    test('should replace the pending entry with the value', async () => {
+      const storage = createStorage()
+      const doc = {}
+      let resolve
+
+      associateAsync(doc, 'title', () => new Promise(r => { resolve = r }), { storage })
+
+      const promise = associatedAsync(doc, 'title', { storage })
+
+      expect(asyncStatus(doc, 'title', { storage })).toBe('pending')
+      expect(associated(doc, 'title', { storage })).toBeInstanceOf(AsyncAssociation)
+
+      resolve('Report')
+      await promise
+
+      expect(associated(doc, 'title', { storage })).toBe('Report')
+      expect(asyncStatus(doc, 'title', { storage })).toBe('fulfilled')
+    })
+
+    test('should not overwrite values associated while loading', async () => {
+      const storage = createStorage()
+      const doc = {}
+
+      associateAsync(doc, 'title', async () => 'loaded', { storage })
+
+      const promise = associatedAsync(doc, 'title', { storage })
+
+      associate('manual', doc, 'title', { storage })
+
+      expect(await promise).toBe('loaded')
+      expect(associated(doc, 'title', { storage })).toBe('manual')
+    })
+
+    test('should register loaders passed to associatedAsync()', async () => {
+      const storage = createStorage()
+      const loader = vi.fn(async () => 42)
+
+      const results = await Promise.all([
+        associatedAsync('answer', 'value', { storage, loader }),
+        associatedAsync('answer', 'value', { storage, loader })
+      ])
+
+      expect(results).toEqual([42, 42])
+      expect(loader).toHaveBeenCalledTimes(1)
+      expect(await associatedAsync('other', 'value', { storage, defaultValue: 0 })).toBe(0)
+      expect(asyncStatus('other', 'value', { storage })).toBeUndefined()
+    })
+
+    test('should pass the load options of associatedAsync() on', async () => {
+      const storage = createStorage()
+      const loader = vi.fn()
+        .mockRejectedValueOnce(new Error('offline'))
+        .mockResolvedValueOnce('online')
+
+      await expect(associatedAsync('status', 'value', {
+        storage,
+        loader,
+        retries: 1,
+        backoff: 0,
+        defaultValue: 'unknown',
+      })).resolves.toBe('online')
+      expect(loader).toHaveBeenCalledTimes(2)
+    })
+  })
+
+  describe('Failures', () => {
+    test('should keep failed loads and retry on the next request', async () => {
+      const storage = createStorage()
+      const loader = vi.fn()
+        .mockRejectedValueOnce(new Error('offline'))
+        .mockResolvedValueOnce('online')
+
+      associateAsync('status', 'value', loader, { storage })
+
+      await expect(associatedAsync('status', 'value', { storage })).rejects.toThrow('offline')
+      expect(asyncStatus('status', 'value', { storage })).toBe('rejected')
+      expect(associated('status', 'value', { storage }).error.message).toBe('offline')
+
+      await expect(associatedAsync('status', 'value', { storage })).resolves.toBe('online')
+    })
+
+    test('should evict failed loads with evictOnError', async () => {
+      const storage = createStorage()
+
+      associateAsync('status', 'value', async () => { throw new Error('failed') }, {
+        storage,
+        evictOnError: true
+      })
+
+      await expect(associatedAsync('status', 'value', { storage })).rejects.toThrow('failed')
+      expect(asyncStatus('status', 'value', { storage })).toBeUndefined()
+    })
+
+    test('should retry with backoff', async () => {
+      vi.useFakeTimers()
+
+      try {
+        const storage = createStorage()
+        const loader = vi.fn()
+          .mockRejectedValueOnce(new Error('first'))
+          .mockRejectedValueOnce(new Error('second'))
+          .mockResolvedValueOnce('third')
+
+        associateAsync('status', 'value', loader, { storage, retries: 2, backoff: 100 })
+
+        const promise = associatedAsync('status', 'value', { storage })
+
+        await vi.advanceTimersByTimeAsync(99)
+        expect(loader).toHaveBeenCalledTimes(1)
+
+        await vi.advanceTimersByTimeAsync(1)
+        expect(loader).toHaveBeenCalledTimes(2)
+
+        await vi.advanceTimersByTimeAsync(200)
+        expect(await promise).toBe('third')
+        expect(loader.mock.calls.map(([{ attempt }]) => attempt)).toEqual([0, 1, 2])
+      }
+      finally {
+        vi.useRealTimers()
+      }
+    })
+
+    test('should reject invalid options', () => {
+      expect(() => associateAsync({}, 'key', 'loader')).toThrow(TypeError)
+      expect(() => associateAsync({}, 'key', () => {}, { retries: -1 })).toThrow(TypeError)
+    })
+  })
+
+  describe('Cancellation', () => {
+    test('should cancel the load when the signal aborts', async () => {
+      const storage = createStorage()
+      const controller = new AbortController()
+      let loaderSignal
+
+      associateAsync('doc', 'content', ({ signal }) => {
+        loaderSignal = signal
+        return new Promise(() => {})
+      }, { storage, signal: controller.signal })
+
+      const promise = associatedAsync('doc', 'content', { storage })
+
+      controller.abort(new Error('cancelled'))
+
+      await expect(promise).rejects.toThrow('cancelled')
+      expect(loaderSignal.aborted).toBe(true)
+      expect(asyncStatus('doc', 'content', { storage })).toBeUndefined()
+    })
+
+    test('should only stop the reader for reader signals', async () => {
+      const storage = createStorage()
+      const controller = new AbortController()
+      let resolve
+
+      associateAsync('doc', 'content', () => new Promise(r => { resolve = r }), { storage })
+
+      const impatient = associatedAsync('doc', 'content', { storage, signal: controller.signal })
+      const patient = associatedAsync('doc', 'content', { storage })
+
+      controller.abort(new Error('gave up'))
+      resolve('loaded')
+
+      await expect(impatient).rejects.toThrow('gave up')
+      await expect(patient).resolves.toBe('loaded')
+    })
+  })
+})
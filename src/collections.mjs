@@ -0,0 +1,473 @@
+import {
+  associate,
+  associated,
+  canBeHeldWeakly,
+  entriesOf,
+  kAllKeys,
+  kDefaultKey,
+} from './associations.mjs'
+
+/**
+ * Collection valued associations. A regular subkey holds exactly one value;
+ * the functions in this module instead store an {@link AssociationCollection}
+ * under a subkey and let values be added to it, removed from it and tested
+ * for membership one at a time.
+ *
+ * Each collection is either a `'set'`, which ignores duplicate members, or a
+ * `'list'`, which keeps every member in insertion order including duplicates.
+ * The kind is chosen when the collection is first created for a subkey and
+ * kept from then on. Collections may also be `weak`, in which case object
+ * members are held through WeakRefs and drop out of the collection once they
+ * are garbage collected.
+ *
+ * Collections are immutable. Every change stores a new collection under the
+ * subkey, so observers registered through observe() see a `'replace'` event,
+ * and disassociate() removes a collection like any other value. Passing
+ * `kAllKeys` as subkey applies an operation to every collection valued subkey
+ * of the source.
+ *
+ * @module Collections
+ */
+export const Collections = (function () {
+  // Prunes collected members from weak collections.
+  const registry = new FinalizationRegistry(held => prune(held))
+
+  /**
+   * An immutable collection of associated values, as stored under a subkey by
+   * the functions of this module.
+   */
+  class AssociationCollection {
+    /**
+     * Creates a new collection. This is normally only done internally.
+     *
+     * @param {Object} [options={}] - The collection's configuration
+     * @param {string} [options.kind='set'] - Either `'set'` or `'list'`
+     * @param {boolean} [options.weak=false] - Whether object members are held
+     * weakly
+     * @param {Array<{ref?: WeakRef, value?: *}>} [entries=[]] the members
+     */
+    constructor({ kind = 'set', weak = false } = {}, entries = []) {
+      if (kind !== 'set' && kind !== 'list') {
+        throw new TypeError(
+          `Unknown collection kind '${String(kind)}'; expected 'set' or 'list'`
+        )
+      }
+
+      this.kind = kind
+      this.weak = Boolean(weak)
+      this.entries = Object.freeze([...entries])
+    }
+
+    /**
+     * The number of live members.
+     *
+     * @type {number}
+     */
+    get size() {
+      return this.values().length
+    }
+
+    /**
+     * Determines whether the value is a member of this collection.
+     *
+     * @param {*} value the value to look for
+     * @returns {boolean} true if it is a member
+     */
+    has(value) {
+      return this.entries.some(entry => matches(entry, value))
+    }
+
+    /**
+     * Lists the live members in insertion order.
+     *
+     * @returns {Array<*>} the members
+     */
+    values() {
+      return [...this]
+    }
+
+    /**
+     * Iterates over the live members in insertion order.
+     *
+     * @yields {*} each member that has not been collected
+     */
+    *[Symbol.iterator]() {
+      for (const entry of this.entries) {
+        if (isCollected(entry))
+          continue
+
+        yield resolve(entry)
+      }
+    }
+  }
+
+  /**
+   * Dereferences a collection entry.
+   *
+   * @private
+   * @param {{ref?: WeakRef, value?: *}} entry the entry to resolve
+   * @returns {*} the member or undefined if it was collected
+   */
+  function resolve(entry) {
+    return entry.ref ? entry.ref.deref() : entry.value
+  }
+
+  /**
+   * Determines whether an entry holds the supplied value, comparing like a
+   * Set does (SameValueZero). Entries of collected members match nothing.
+   *
+   * @private
+   * @param {{ref?: WeakRef, value?: *}} entry the entry to test
+   * @param {*} value the value to compare with
+   * @returns {boolean} true if the entry holds the value
+   */
+  function matches(entry, value) {
+    if (isCollected(entry))
+      return false
+
+    const member = resolve(entry)
+
+    return member === value || (member !== member && value !== value)
+  }
+
+  /**
+   * Determines whether an entry refers to a member that was collected.
+   *
+   * @private
+   * @param {{ref?: WeakRef, value?: *}} entry the entry to test
+   * @returns {boolean} true if the member is gone
+   */
+  function isCollected(entry) {
+    return entry.ref !== undefined && entry.ref.deref() === undefined
+  }
+
+  /**
+   * Normalizes the subkey and options arguments, which may be given in the
+   * same ways as for associate().
+   *
+   * @private
+   */
+  function normalize(subkey, options) {
+    return {
+      subkey: subkey ?? options?.subkey ?? kDefaultKey,
+      storage: options?.storage ?? globalThis,
+      kind: options?.kind,
+      weak: options?.weak,
+    }
+  }
+
+  /**
+   * Lists the subkeys an operation applies to. For `kAllKeys` these are all
+   * collection valued subkeys of the source.
+   *
+   * @private
+   */
+  function subkeysFor(source, subkey, storage) {
+    if (subkey !== kAllKeys)
+      return [subkey]
+
+    return entriesOf(source, { storage })
+      .filter(([, value]) => value instanceof AssociationCollection)
+      .map(([key]) => key)
+  }
+
+  /**
+   * Reads the collection stored under a subkey, creating an empty one with
+   * the requested configuration when there is none.
+   *
+   * @private
+   * @throws {TypeError} if the subkey holds a value that is not a collection
+   */
+  function collectionOf(source, subkey, { storage, kind, weak }) {
+    const current = associated(source, subkey, { storage })
+
+    if (current === undefined)
+      return new AssociationCollection({ kind, weak })
+
+    if (!(current instanceof AssociationCollection)) {
+      throw new TypeError(
+        `Subkey '${String(subkey)}' holds a single value, not a collection`
+      )
+    }
+
+    return current
+  }
+
+  /**
+   * Creates the entry for a new member, registering weakly held members for
+   * pruning once they are collected.
+   *
+   * @private
+   */
+  function entryFor(value, collection, source, subkey, storage) {
+    if (!collection.weak || !canBeHeldWeakly(value))
+      return { value }
+
+    const entry = { ref: new WeakRef(value) }
+
+    registry.register(value, {
+      source: canBeHeldWeakly(source) ? new WeakRef(source) : source,
+      storage: new WeakRef(storage),
+      subkey,
+    }, entry)
+
+    return entry
+  }
+
+  /**
+   * Stores a new collection with the configuration of `collection` and the
+   * supplied entries, dropping entries of collected members.
+   *
+   * @private
+   */
+  function store(collection, entries, source, subkey, storage) {
+    const next = new AssociationCollection(
+      collection,
+      entries.filter(entry => !isCollected(entry))
+    )
+
+    return associate(next, source, subkey, { storage })
+  }
+
+  /**
+   * Finalization callback removing a collected member from its collection.
+   *
+   * @private
+   */
+  function prune({ source, storage, subkey }) {
+    source = source instanceof WeakRef ? source.deref() : source
+    storage = storage.deref()
+
+    if (source === undefined || storage === undefined || storage.disposed)
+      return
+
+    const current = associated(source, subkey, { storage })
+
+    if (
+      current instanceof AssociationCollection &&
+      current.entries.some(isCollected)
+    ) {
+      store(current, current.entries, source, subkey, storage)
+    }
+  }
+
+  /**
+   * Associates a collection of values with a source, replacing whatever the
+   * subkey held before. For sets, duplicate values are only kept once.
+   *
+   * @param {Iterable<*>} values the members of the new collection
+   * @param {*} withSource the source to associate the collection with
+   * @param {*} [subkey=kDefaultKey] the subkey to store the collection under;
+   * `kAllKeys` replaces the members of every collection valued subkey
+   * @param {Object} [options={}] - Configuration options
+   * @param {Object} [options.storage=globalThis] - Where to store the
+   * collection
+   * @param {string} [options.kind] - `'set'` or `'list'`; defaults to the kind
+   * of the collection being replaced, or `'set'`
+   * @param {boolean} [options.weak] - Whether object members are held weakly;
+   * defaults to the setting of the collection being replaced, or false
+   * @returns {AssociationCollection} the stored collection; for `kAllKeys`
+   * the last one stored
+   *
+   * @example
+   * associateMany(['draft', 'urgent'], document, 'labels')
+   * associatedAll(document, 'labels') // ['draft', 'urgent']
+   */
+  function associateMany(values, withSource, subkey, options = {}) {
+    const config = normalize(subkey, options)
+    const members = [...values]
+    let result
+
+    for (const key of subkeysFor(withSource, config.subkey, config.storage)) {
+      const current = associated(withSource, key, config)
+      const previous = current instanceof AssociationCollection ? current : undefined
+      const collection = new AssociationCollection({
+        kind: config.kind ?? previous?.kind,
+        weak: config.weak ?? previous?.weak,
+      })
+
+      const entries = []
+
+      for (const value of members) {
+        if (
+          collection.kind === 'set' &&
+          entries.some(entry => matches(entry, value))
+        ) {
+          continue
+        }
+
+        entries.push(entryFor(value, collection, withSource, key, config.storage))
+      }
+
+      result = store(collection, entries, withSource, key, config.storage)
+    }
+
+    return result
+  }
+
+  /**
+   * Adds a value to the collection associated with a source, creating the
+   * collection if the subkey holds none yet. Adding a value that a set
+   * already contains has no effect.
+   *
+   * @param {*} value the value to add
+   * @param {*} withSource the source whose collection to add to
+   * @param {*} [subkey=kDefaultKey] the subkey of the collection;
+   * `kAllKeys` adds to every collection valued subkey
+   * @param {Object} [options={}] - Configuration options
+   * @param {Object} [options.storage=globalThis] - Where the collection is
+   * stored
+   * @param {string} [options.kind='set'] - `'set'` or `'list'`; only used when
+   * the collection is created
+   * @param {boolean} [options.weak=false] - Whether object members are held
+   * weakly; only used when the collection is created
+   * @returns {*} the added value
+   * @throws {TypeError} if the subkey holds a single value
+   *
+   * @example
+   * // Listeners that should not be kept alive by the target
+   * addAssociated(listener, target, 'listeners', { weak: true })
+   */
+  function addAssociated(value, withSource, subkey, options = {}) {
+    const config = normalize(subkey, options)
+
+    for (const key of subkeysFor(withSource, config.subkey, config.storage)) {
+      const collection = collectionOf(withSource, key, config)
+
+      if (collection.kind === 'set' && collection.has(value))
+        continue
+
+      store(collection, [
+        ...collection.entries,
+        entryFor(value, collection, withSource, key, config.storage)
+      ], withSource, key, config.storage)
+    }
+
+    return value
+  }
+
+  /**
+   * Removes a value from the collection associated with a source. For lists,
+   * only the first occurrence is removed. The collection itself remains, even
+   * when empty; use disassociate() to remove it.
+   *
+   * @param {*} value the value to remove
+   * @param {*} withSource the source whose collection to remove from
+   * @param {*} [subkey=kDefaultKey] the subkey of the collection;
+   * `kAllKeys` removes from every collection valued subkey
+   * @param {Object} [options={}] - Configuration options
+   * @param {Object} [options.storage=globalThis] - Where the collection is
+   * stored
+   * @returns {boolean} true if the value was removed from any collection
+   */
+  function removeAssociated(value, withSource, subkey, options = {}) {
+    const config = normalize(subkey, options)
+    let removed = false
+
+    for (const key of subkeysFor(withSource, config.subkey, config.storage)) {
+      const collection = associated(withSource, key, config)
+
+      if (!(collection instanceof AssociationCollection))
+        continue
+
+      const index = collection.entries.findIndex(entry => matches(entry, value))
+
+      if (index < 0)
+        continue
+
+      const entry = collection.entries[index]
+
+      if (entry.ref)
+        registry.unregister(entry)
+
+      store(
+        collection,
+        collection.entries.filter((_, i) => i !== index),
+        withSource,
+        key,
+        config.storage
+      )
+
+      removed = true
+    }
+
+    return removed
+  }
+
+  /**
+   * Determines whether a value is a member of the collection associated with
+   * a source.
+   *
+   * @param {*} value the value to look for
+   * @param {*} withSource the source whose collection to search
+   * @param {*} [subkey=kDefaultKey] the subkey of the collection;
+   * `kAllKeys` searches every collection valued subkey
+   * @param {Object} [options={}] - Configuration options
+   * @param {Object} [options.storage=globalThis] - Where the collection is
+   * stored
+   * @returns {boolean} true if the value is a member
+   */
+  function hasAssociated(value, withSource, subkey, options = {}) {
+    const config = normalize(subkey, options)
+
+    return subkeysFor(withSource, config.subkey, config.storage).some(key => {
+      const collection = associated(withSource, key, config)
+
+      return collection instanceof AssociationCollection && collection.has(value)
+    })
+  }
+
+  /**
+   * Lists the members of the collection associated with a source. A subkey
+   * holding a single value yields that value as the only member.
+   *
+   * @param {*} withSource the source whose collection to list
+   * @param {*} [subkey=kDefaultKey] the subkey of the collection;
+   * `kAllKeys` lists the members of every collection valued subkey
+   * @param {Object} [options={}] - Configuration options
+   * @param {Object} [options.storage=globalThis] - Where the collection is
+   * stored
+   * @returns {Array<*>} the live members in insertion order; empty if there
+   * are none
+   */
+  function associatedAll(withSource, subkey, options = {}) {
+    const config = normalize(subkey, options)
+    const members = []
+
+    for (const key of subkeysFor(withSource, config.subkey, config.storage)) {
+      const value = associated(withSource, key, config)
+
+      if (value instanceof AssociationCollection)
+        members.push(...value)
+
+      else if (value !== undefined)
+        members.push(value)
+    }
+
+    return members
+  }
+
+  return Object.defineProperty({
+    // functions
+    addAssociated,
+    associateMany,
+    associatedAll,
+    hasAssociated,
+    removeAssociated,
+
+    // classes
+    AssociationCollection,
+  }, Symbol.toStringTag, {value: 'Collections', enumerable: false})
+})()
+
+export const {
+  // functions
+  addAssociated,
+  associateMany,
+  associatedAll,
+  hasAssociated,
+  removeAssociated,
+
+  // classes
+  AssociationCollection,
+} = Collections
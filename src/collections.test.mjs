@@ -0,0 +1,212 @@
+import { describe, test, expect, vi } from 'vitest'
+import {
+  associate,
+  associated,
+  disassociate,
+  observe,
+  kAllKeys
+} from './associations.mjs'
+import {
+  addAssociated,
+  associateMany,
+  associatedAll,
+  hasAssociated,
+  removeAssociated,
+  AssociationCollection
+} from './collections.mjs'
+
+describe('Collections Module', () => {
+  describe('Sets', () => {
+    test('should add, test and remove members', () => {
+      const storage = {}
+      const obj = { id: 1 }
+
+      addAssociated('draft', obj, 'labels', { storage })
+      addAssociated('urgent', obj, 'labels', { storage })
+      addAssociated('draft', obj, 'labels', { storage })
+
+      expect(associatedAll(obj, 'labels', { storage })).toEqual(['draft', 'urgent'])
+      expect(hasAssociated('urgent', obj, 'labels', { storage })).toBe(true)
+
+      expect(removeAssociated('urgent', obj, 'labels', { storage })).toBe(true)
+      expect(removeAssociated('urgent', obj, 'labels', { storage })).toBe(false)
+      expect(hasAssociated('urgent', obj, 'labels', { storage })).toBe(false)
+    })
+
+    test('should compare members like a Set', () => {
+      const storage = {}
+      const obj = {}
+
+      associateMany([NaN, NaN, 0, -0], obj, 'numbers', { storage })
+
+      expect(associatedAll(obj, 'numbers', { storage })).toEqual([NaN, 0])
+      expect(hasAssociated(NaN, obj, 'numbers', { storage })).toBe(true)
+    })
+
+    test('should store an immutable collection under the subkey', () => {
+      const storage = {}
+      const obj = {}
+
+      addAssociated('a', obj, 'tags', { storage })
+
+      const collection = associated(obj, 'tags', { storage })
+
+      expect(collection).toBeInstanceOf(AssociationCollection)
+      expect(collection.kind).toBe('set')
+      expect(Object.isFrozen(collection.entries)).toBe(true)
+
+      addAssociated('b', obj, 'tags', { storage })
+
+      expect(collection.values()).toEqual(['a'])
+      expect(associated(obj, 'tags', { storage }).size).toBe(2)
+    })
+  })
+
+  describe('Lists', () => {
+    test('should keep duplicates in insertion order', () => {
+      const storage = {}
+      const obj = {}
+
+      addAssociated('a', obj, 'history', { kind: 'list', storage })
+      addAssociated('b', obj, 'history', { storage })
+      addAssociated('a', obj, 'history', { storage })
+
+      expect(associatedAll(obj, 'history', { storage })).toEqual(['a', 'b', 'a'])
+
+      removeAssociated('a', obj, 'history', { storage })
+
+      expect(associatedAll(obj, 'history', { storage })).toEqual(['b', 'a'])
+    })
+
+    test('should replace members while keeping the kind', () => {
+      const storage = {}
+      const obj = {}
+
+      associateMany(['x', 'x'], obj, 'items', { kind: 'list', storage })
+      associateMany(['y', 'y', 'z'], obj, 'items', { storage })
+
+      expect(associated(obj, 'items', { storage }).kind).toBe('list')
+      expect(associatedAll(obj, 'items', { storage })).toEqual(['y', 'y', 'z'])
+    })
+
+    test('should not take the kind of a plain value being replaced', () => {
+      const storage = {}
+      const obj = {}
+
+      associate({ kind: 'list', weak: true }, obj, 'items', { storage })
+      associateMany(['y', 'y'], obj, 'items', { storage })
+
+      expect(associated(obj, 'items', { storage })).toMatchObject({ kind: 'set', weak: false })
+      expect(associatedAll(obj, 'items', { storage })).toEqual(['y'])
+    })
+
+    test('should reject unknown kinds', () => {
+      expect(() => addAssociated('a', {}, 'x', { kind: 'bag', storage: {} }))
+        .toThrow(TypeError)
+    })
+  })
+
+  describe('Integration', () => {
+    test('should refuse to add to a single valued subkey', () => {
+      const storage = {}
+      const obj = {}
+
+      associate('single', obj, 'value', { storage })
+
+      expect(() => addAssociated('more', obj, 'value', { storage })).toThrow(TypeError)
+      expect(associatedAll(obj, 'value', { storage })).toEqual(['single'])
+    })
+
+    test('should be removed by disassociate()', () => {
+      const storage = {}
+      const obj = {}
+
+      associateMany([1, 2], obj, 'numbers', { storage })
+      disassociate(obj, 'numbers', { storage })
+
+      expect(associatedAll(obj, 'numbers', { storage })).toEqual([])
+    })
+
+    test('should apply kAllKeys to every collection valued subkey', () => {
+      const storage = {}
+      const obj = {}
+
+      associateMany(['a'], obj, 'first', { storage })
+      associateMany(['b'], obj, 'second', { kind: 'list', storage })
+      associate('single', obj, 'plain', { storage })
+
+      addAssociated('shared', obj, kAllKeys, { storage })
+
+      expect(associatedAll(obj, 'first', { storage })).toEqual(['a', 'shared'])
+      expect(associatedAll(obj, 'second', { storage })).toEqual(['b', 'shared'])
+      expect(associatedAll(obj, kAllKeys, { storage }))
+        .toEqual(['a', 'shared', 'b', 'shared'])
+
+      expect(hasAssociated('b', obj, kAllKeys, { storage })).toBe(true)
+      expect(removeAssociated('shared', obj, kAllKeys, { storage })).toBe(true)
+      expect(hasAssociated('shared', obj, kAllKeys, { storage })).toBe(false)
+      expect(associated(obj, 'plain', { storage })).toBe('single')
+    })
+
+    test('should notify observers of every change', () => {
+      const storage = {}
+      const obj = {}
+      const listener = vi.fn()
+
+      observe(obj, 'tags', listener, { storage })
+
+      addAssociated('a', obj, 'tags', { storage })
+      addAssociated('a', obj, 'tags', { storage })
+      addAssociated('b', obj, 'tags', { storage })
+
+      expect(listener.mock.calls.map(([event]) => event.reason))
+        .toEqual(['set', 'replace'])
+    })
+  })
+
+  describe('Weak Members', () => {
+    async function collect(until) {
+      for (let i = 0; i < 20; i++) {
+        await new Promise(resolve => setTimeout(resolve, 0))
+        globalThis.gc()
+
+        if (until())
+          return true
+      }
+
+      return false
+    }
+
+    test('should hold strong members by default', async () => {
+      const storage = {}
+      const obj = {}
+      const ref = (() => {
+        const member = { name: 'member' }
+        addAssociated(member, obj, 'members', { storage })
+        return new WeakRef(member)
+      })()
+
+      await collect(() => !ref.deref())
+
+      expect(ref.deref()).toBeDefined()
+      expect(associatedAll(obj, 'members', { storage })).toHaveLength(1)
+    })
+
+    test('should drop collected members of weak collections', async () => {
+      const storage = {}
+      const obj = {}
+      const listener = vi.fn()
+
+      ;(() => {
+        addAssociated({ name: 'member' }, obj, 'members', { weak: true, storage })
+        addAssociated('primitive', obj, 'members', { storage })
+      })()
+
+      observe(obj, 'members', listener, { storage })
+
+      expect(await collect(() => listener.mock.calls.length > 0)).toBe(true)
+      expect(associatedAll(obj, 'members', { storage })).toEqual(['primitive'])
+      expect(associated(obj, 'members', { storage }).entries).toHaveLength(1)
+    })
+  })
+})
@@ -0,0 +1,234 @@
+import {
+  AssociationStorage,
+  SourceWrapper,
+  getStorageMap,
+  isPrivateKey,
+} from './associations.mjs'
+
+/**
+ * Diagnostics for storages. stats() summarizes what a storage holds and
+ * inspect() adds its oldest entries, so that leaks, typically primitive
+ * sources that were never disassociated, can be found. Storages created with
+ * `trackOrigins` additionally record where each subkey was associated,
+ * which inspect() reports for those entries.
+ *
+ * Both functions only read the storage: expired subkeys that nothing has
+ * noticed yet are still counted, and nothing is purged. Private keys created
+ * with createKey() are never reported, by these functions or by the
+ * formatters; their associations are only counted.
+ *
+ * Storages and wrappers format themselves for Node's util.inspect() and
+ * console.log(); installDevtoolsFormatter() does the same for the console of
+ * Chromium based browsers.
+ *
+ * @module Debug
+ */
+export const Debug = (function () {
+  /**
+   * Describes how a wrapper holds its source.
+   *
+   * @private
+   * @param {SourceWrapper} wrapper the wrapper
+   * @returns {string} 'strong', 'weak' or 'collected'
+   */
+  function heldAs(wrapper) {
+    if (wrapper.isPrimitive)
+      return 'strong'
+
+    return wrapper.get() === undefined ? 'collected' : 'weak'
+  }
+
+  /**
+   * Summarizes the contents of a storage.
+   *
+   * @param {Object} [storage=globalThis] the AssociationStorage or carrier
+   * to summarize
+   * @returns {Object} the summary:
+   * - `sources`: the number of live sources
+   * - `primitive`: how many of those are held strongly, such as primitives
+   * - `weak`: how many are held weakly
+   * - `collected`: how many weakly held sources were garbage collected
+   * - `associations`: the number of associated subkeys over all sources
+   * - `private`: how many of those are private keys, which are not listed
+   * - `expiring`: how many of those expire
+   * - `observers`: the number of registered observers
+   * - `subkeys`: a Map from each subkey to the number of sources it is
+   *   associated with, most frequent first
+   * - `children`: the number of live child storages
+   *
+   * @example
+   * const { primitive, subkeys } = stats()
+   *
+   * console.table([...subkeys])
+   */
+  function stats(storage = globalThis) {
+    const storageMap = getStorageMap(storage, false)
+    const counts = new Map()
+    const summary = {
+      sources: 0,
+      primitive: 0,
+      weak: 0,
+      collected: storageMap?.collected ?? 0,
+      associations: 0,
+      private: 0,
+      expiring: 0,
+      observers: 0,
+      subkeys: undefined,
+      children: storageMap?.children().length ?? 0,
+    }
+
+    for (const [, wrapper] of storageMap?.entries() ?? []) {
+      summary.sources++
+      summary[wrapper.isPrimitive ? 'primitive' : 'weak']++
+      summary.associations += wrapper.associations.size
+      summary.expiring += wrapper.expirations.size
+      summary.observers += wrapper.listeners.size
+
+      for (const subkey of wrapper.associations.keys()) {
+        if (isPrivateKey(subkey))
+          summary.private++
+
+        else
+          counts.set(subkey, (counts.get(subkey) ?? 0) + 1)
+      }
+    }
+
+    summary.subkeys = new Map([...counts].sort(([, a], [, b]) => b - a))
+
+    return summary
+  }
+
+  /**
+   * Reports the contents of a storage: the summary of stats() along with
+   * its oldest entries, which are the likeliest leaks.
+   *
+   * @param {Object} [storage=globalThis] the AssociationStorage or carrier
+   * to inspect
+   * @param {Object} [options={}] - Configuration options
+   * @param {number} [options.limit=10] - How many of the oldest entries to
+   * report
+   * @param {Function} [options.clock=Date.now] - Used to compute the age of
+   * entries
+   * @returns {Object} the summary of stats(), plus `oldest`: the entries
+   * with the oldest wrappers, oldest first, each as `{ source, held,
+   * createdAt, age, subkeys, origins }` where `held` is 'strong' or 'weak'
+   * and `origins` maps subkeys to the `{ stack, time }` of the associate()
+   * call that last wrote them, when the storage tracks origins
+   *
+   * @example
+   * const storage = createStorage({ trackOrigins: true })
+   *
+   * // ... later, when memory keeps growing
+   * for (const { source, origins } of inspect(storage).oldest)
+   *   console.log(source, origins)
+   */
+  function inspect(storage = globalThis, options = {}) {
+    const { limit = 10, clock = Date.now } = options ?? {}
+    const storageMap = getStorageMap(storage, false)
+    const now = clock()
+
+    const oldest = [...storageMap?.entries() ?? []]
+      .sort(([, a], [, b]) => a.createdAt - b.createdAt)
+      .slice(0, limit)
+      .map(([source, wrapper]) => ({
+        source,
+        held: heldAs(wrapper),
+        createdAt: wrapper.createdAt,
+        age: now - wrapper.createdAt,
+        subkeys: [...wrapper.associations.keys()].filter(subkey => !isPrivateKey(subkey)),
+        origins: wrapper.origins && new Map(
+          [...wrapper.origins].filter(([subkey]) => !isPrivateKey(subkey))
+        ),
+      }))
+
+    return { ...stats(storage), oldest }
+  }
+
+  /**
+   * A custom formatter for the developer tools of Chromium based browsers,
+   * which show storages and wrappers with their associations once custom
+   * formatters are enabled in the devtools settings. Install it with
+   * installDevtoolsFormatter().
+   *
+   * @type {{header: Function, hasBody: Function, body: Function}}
+   */
+  const devtoolsFormatter = {
+    header(object) {
+      if (object instanceof SourceWrapper) {
+        const source = object.get()
+        const label = ['span', {}, `SourceWrapper <${heldAs(object)}> `]
+
+        return source === undefined && !object.isPrimitive
+          ? label
+          : ['span', {}, label, ['object', { object: source }]]
+      }
+
+      if (object instanceof AssociationStorage)
+        return ['span', {}, `${object.constructor.name} <${object.size} sources>`]
+
+      return null
+    },
+
+    hasBody(object) {
+      return object instanceof SourceWrapper || object instanceof AssociationStorage
+    },
+
+    body(object) {
+      const entries = object instanceof SourceWrapper
+        ? [...object.associations].filter(([subkey]) => !isPrivateKey(subkey))
+        : [...object.entries()]
+
+      return ['ol', { style: 'list-style-type: none; margin: 0; padding-left: 12px' },
+        ...entries.map(([key, value]) => ['li', {},
+          ['object', { object: key }],
+          ' → ',
+          ['object', { object: value }],
+        ]),
+      ]
+    },
+  }
+
+  /**
+   * Registers devtoolsFormatter with the developer tools.
+   *
+   * @param {Object} [target=globalThis] the global object of the page
+   * @returns {Function} a function that removes the formatter again
+   *
+   * @example
+   * if (import.meta.env.DEV)
+   *   installDevtoolsFormatter()
+   */
+  function installDevtoolsFormatter(target = globalThis) {
+    const formatters = target.devtoolsFormatters ??= []
+
+    if (!formatters.includes(devtoolsFormatter))
+      formatters.push(devtoolsFormatter)
+
+    return () => {
+      const index = formatters.indexOf(devtoolsFormatter)
+
+      if (index !== -1)
+        formatters.splice(index, 1)
+    }
+  }
+
+  return Object.defineProperty({
+    // functions
+    inspect,
+    installDevtoolsFormatter,
+    stats,
+
+    // constants
+    devtoolsFormatter,
+  }, Symbol.toStringTag, {value: 'Debug', enumerable: false})
+})()
+
+export const {
+  // functions
+  inspect,
+  installDevtoolsFormatter,
+  stats,
+
+  // constants
+  devtoolsFormatter,
+} = Debug
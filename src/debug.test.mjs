@@ -0,0 +1,179 @@
+import { describe, test, expect, vi } from 'vitest'
+import { inspect as format } from 'node:util'
+import {
+  associate,
+  createKey,
+  createStorage,
+  disassociate,
+  observe
+} from './associations.mjs'
+import {
+  devtoolsFormatter,
+  inspect,
+  installDevtoolsFormatter,
+  stats
+} from './debug.mjs'
+
+describe('Debug Module', () => {
+  describe('stats()', () => {
+    test('should count sources, subkeys and observers', () => {
+      const storage = createStorage()
+      const doc = {}
+
+      associate('a', 'user:1', 'name', { storage })
+      associate('b', 'user:2', 'name', { storage })
+      associate('c', 'user:2', 'role', { storage, ttl: 1000 })
+      associate('d', doc, 'name', { storage })
+      observe(doc, 'name', () => {}, { storage })
+      storage.child()
+
+      const summary = stats(storage)
+
+      expect(summary).toMatchObject({
+        sources: 3,
+        primitive: 2,
+        weak: 1,
+        collected: 0,
+        associations: 4,
+        expiring: 1,
+        observers: 1,
+        children: 1
+      })
+      expect([...summary.subkeys]).toEqual([['name', 3], ['role', 1]])
+      expect(stats(createStorage()).sources).toBe(0)
+    })
+
+    test('should count collected sources', async () => {
+      const storage = createStorage()
+
+      associate('kept', 'user:1', 'name', { storage });
+      (() => associate('lost', {}, 'name', { storage }))()
+
+      for (let i = 0; i < 20 && stats(storage).collected === 0; i++) {
+        await new Promise(resolve => setTimeout(resolve, 0))
+        globalThis.gc()
+      }
+
+      expect(stats(storage)).toMatchObject({ sources: 1, collected: 1 })
+    })
+  })
+
+  describe('inspect()', () => {
+    test('should report the oldest entries first', () => {
+      vi.useFakeTimers({ now: 1000 })
+
+      try {
+        const storage = createStorage()
+
+        associate('old', 'user:1', 'name', { storage })
+        vi.setSystemTime(2000)
+        associate('new', 'user:2', 'name', { storage })
+        vi.setSystemTime(5000)
+
+        const { oldest, sources } = inspect(storage, { limit: 1 })
+
+        expect(sources).toBe(2)
+        expect(oldest).toEqual([{
+          source: 'user:1',
+          held: 'strong',
+          createdAt: 1000,
+          age: 4000,
+          subkeys: ['name'],
+          origins: undefined
+        }])
+      }
+      finally {
+        vi.useRealTimers()
+      }
+    })
+
+    test('should trace associations to their origin with trackOrigins', () => {
+      const storage = createStorage({ trackOrigins: true })
+      const child = storage.child()
+
+      function leak() {
+        associate('value', 'user:1', 'name', { storage })
+      }
+
+      leak()
+      associate('other', 'user:1', 'role', { storage: child })
+
+      const [{ origins }] = inspect(storage).oldest
+
+      expect(child.trackOrigins).toBe(true)
+      expect(origins.get('name').stack).toMatch(/^at leak .*debug\.test\.mjs/)
+      expect(origins.get('name').stack).not.toMatch(/associations\.mjs/)
+
+      disassociate('user:1', 'name', { storage })
+
+      expect(inspect(storage).oldest[0].origins.has('name')).toBe(false)
+    })
+  })
+
+  describe('Private Keys', () => {
+    test('should never hand out private keys', () => {
+      const storage = createStorage({ trackOrigins: true })
+      const key = createKey('secret')
+      const doc = {}
+
+      key.set('hidden', doc, { storage })
+      key.set('hidden', 'user:1', { storage })
+      associate('John', 'user:1', 'name', { storage })
+
+      const summary = stats(storage)
+      const { oldest } = inspect(storage)
+      const found = [
+        ...summary.subkeys.keys(),
+        ...oldest.flatMap(({ subkeys, origins }) => [...subkeys, ...origins.keys()]),
+        ...devtoolsFormatter.body(storage.get('user:1')).flat(Infinity),
+        ...devtoolsFormatter.body(storage.get(doc)).flat(Infinity),
+      ]
+
+      expect(found).not.toContain(key)
+      expect(summary).toMatchObject({ associations: 3, private: 2 })
+      expect([...summary.subkeys]).toEqual([['name', 1]])
+      expect(format(storage)).not.toContain('hidden')
+      expect(format(storage.get('user:1'))).toBe(
+        `SourceWrapper <strong> 'user:1' Map(1) { 'name' => 'John' }`
+      )
+    })
+  })
+
+  describe('Formatters', () => {
+    test('should format storages and wrappers for util.inspect()', () => {
+      const storage = createStorage()
+
+      associate('John', 'user:1', 'name', { storage })
+
+      expect(format(storage)).toMatch(/^AssociationStorage <1 sources> Map\(1\) \{/)
+      expect(format(storage)).toContain(`'user:1'`)
+      expect(format(storage.get('user:1'))).toBe(
+        `SourceWrapper <strong> 'user:1' Map(1) { 'name' => 'John' }`
+      )
+    })
+
+    test('should install a devtools formatter', () => {
+      const storage = createStorage()
+      const target = {}
+
+      associate('John', 'user:1', 'name', { storage })
+
+      const uninstall = installDevtoolsFormatter(target)
+
+      installDevtoolsFormatter(target)
+
+      expect(target.devtoolsFormatters).toEqual([devtoolsFormatter])
+      expect(devtoolsFormatter.header({})).toBeNull()
+      expect(devtoolsFormatter.header(storage)).toEqual(
+        ['span', {}, 'AssociationStorage <1 sources>']
+      )
+      expect(devtoolsFormatter.body(storage.get('user:1'))).toContainEqual(
+        ['li', {}, ['object', { object: 'name' }], ' → ', ['object', { object: 'John' }]]
+      )
+
+      uninstall()
+
+      expect(target.devtoolsFormatters).toEqual([])
+    })
+  })
+})
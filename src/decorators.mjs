@@ -0,0 +1,280 @@
+import {
+  association,
+  createKey,
+  getStorageMap,
+} from './associations.mjs'
+
+/**
+ * Decorators that keep the state of class members in associations instead
+ * of on the instance. They follow the TC39 standard decorators proposal, as
+ * implemented by TypeScript 5 and current bundlers, and build on the
+ * getter/setter tuple returned by association().
+ *
+ * The state is associated with each instance, so it is released along with
+ * the instance like any other association, and it can be observed, expired
+ * or queried through the usual functions. Without an explicit subkey, every
+ * decorated member gets a private key from createKey(), so its state cannot
+ * be found or modified from outside the class.
+ *
+ * @module Decorators
+ */
+export const Decorators = (function () {
+  /**
+   * Describes where the state of a decorated member is kept, with functions
+   * reading and writing it for an instance.
+   *
+   * @private
+   * @param {*} subkey the subkey the state is associated under
+   * @param {Object} options - Configuration options
+   * @param {Object} [options.storage=globalThis] - The AssociationStorage or
+   * carrier the state is associated in
+   * @param {boolean} [options.weak=false] - Whether object values are held
+   * through a WeakRef
+   * @param {*} [options.defaultValue] - Read when no value is associated
+   * @returns {Object} the `has`, `get` and `set` functions of the cell
+   */
+  function cell(subkey, { storage = globalThis, weak = false, defaultValue }) {
+    const tuple = instance => association(instance, subkey, { storage })
+    const unwrap = value => weak && value instanceof WeakRef ? value.deref() : value
+
+    return {
+      has(instance) {
+        const wrapper = getStorageMap(storage, false)?.get(instance)
+
+        if (!wrapper?.touch(subkey))
+          return false
+
+        const [getter] = tuple(instance)
+        const value = getter()
+
+        return !(weak && value instanceof WeakRef) || value.deref() !== undefined
+      },
+
+      get(instance) {
+        const [getter] = tuple(instance)
+        const value = unwrap(getter())
+
+        return value === undefined ? defaultValue : value
+      },
+
+      set(instance, value) {
+        const [, setter] = tuple(instance)
+        const isObject = value !== null &&
+          (typeof value === 'object' || typeof value === 'function')
+
+        setter(weak && isObject ? new WeakRef(value) : value)
+      },
+    }
+  }
+
+  /**
+   * Creates the private key used for a member decorated without a subkey.
+   *
+   * @private
+   * @param {Object} context the decorator context
+   * @returns {AssociationKey} the key
+   */
+  function memberKey(context) {
+    return createKey(`${context.static ? 'static ' : ''}${String(context.name)}`)
+  }
+
+  /**
+   * Tests whether a decorator received a decorator context, that is, whether
+   * it was applied without being called first.
+   *
+   * @private
+   * @param {*} context the second argument of the decorator
+   * @returns {boolean} true for a decorator context
+   */
+  function isDecoratorContext(context) {
+    return typeof context?.kind === 'string' && 'name' in context
+  }
+
+  /**
+   * Creates a decorator that keeps the state of a class member in an
+   * association with each instance.
+   *
+   * - `accessor` fields read and write the association. This is the
+   *   recommended form: nothing is stored on the instance at all.
+   * - Public fields are replaced, once initialized, by a non-enumerable
+   *   accessor on the instance that reads and writes the association. This
+   *   relies on initializers added by field decorators running right after
+   *   the field is defined, as the current proposal and esbuild 0.21
+   *   specify; transforms that run them earlier only support `accessor`.
+   *   Private fields cannot be redefined; decorate a private `accessor`
+   *   instead.
+   * - Methods become lazy initializers: the first call associates its
+   *   result, and later calls return the associated value until it is
+   *   disassociated.
+   *
+   * @param {*} [subkey] the subkey to associate the state under; a private
+   * key of the member by default, so that the state is hidden
+   * @param {Object} [options={}] - Configuration options
+   * @param {Object} [options.storage=globalThis] - The AssociationStorage or
+   * carrier to associate the state in
+   * @param {*} [options.default] - Read while no value is associated
+   * @param {boolean} [options.weak=false] - Whether object values are held
+   * through a WeakRef, so that the association does not keep them alive
+   * @returns {Function} the decorator
+   * @throws {TypeError} when the decorator is applied to an unsupported
+   * class element
+   *
+   * @example
+   * class Widget {
+   *   @associated('theme', { default: 'light' })
+   *   accessor theme
+   *
+   *   @associated(undefined, { weak: true })
+   *   accessor parentElement
+   *
+   *   @associated()
+   *   resizeObserver() {
+   *     return new ResizeObserver(() => this.layout())
+   *   }
+   * }
+   *
+   * const widget = new Widget()
+   *
+   * widget.theme = 'dark'
+   * associated(widget, 'theme') // 'dark'
+   * Object.keys(widget)          // []
+   */
+  function associated(subkey, options = {}) {
+    const { storage = globalThis, default: defaultValue, weak = false } = options ?? {}
+
+    return function (value, context) {
+      const state = cell(subkey ?? memberKey(context), { storage, weak, defaultValue })
+
+      switch (context.kind) {
+        case 'accessor':
+          return {
+            get() {
+              return state.get(this)
+            },
+
+            set(newValue) {
+              state.set(this, newValue)
+            },
+
+            init(initialValue) {
+              if (initialValue !== undefined)
+                state.set(this, initialValue)
+
+              return undefined
+            },
+          }
+
+        case 'field':
+          if (context.private) {
+            throw new TypeError(
+              `@associated cannot redefine private field ${context.name}; decorate an accessor instead`
+            )
+          }
+
+          context.addInitializer(function () {
+            Object.defineProperty(this, context.name, {
+              get: () => state.get(this),
+              set: newValue => state.set(this, newValue),
+              configurable: true,
+              enumerable: false,
+            })
+          })
+
+          return function (initialValue) {
+            if (initialValue !== undefined)
+              state.set(this, initialValue)
+
+            return undefined
+          }
+
+        case 'method':
+          return function (...args) {
+            if (state.has(this))
+              return state.get(this)
+
+            const result = value.apply(this, args)
+
+            state.set(this, result)
+
+            return result
+          }
+
+        default:
+          throw new TypeError(`@associated cannot decorate a ${context.kind}`)
+      }
+    }
+  }
+
+  /**
+   * A getter decorator that computes the value once per instance and then
+   * returns the cached result, which is associated with the instance. It can
+   * be applied directly, `@memoizedGetter`, or with options,
+   * `@memoizedGetter({ subkey })`.
+   *
+   * Pass a `subkey` to be able to invalidate the cache with disassociate();
+   * without one, the result is kept under a private key for the lifetime of
+   * the instance.
+   *
+   * @param {Object} [options={}] - Configuration options
+   * @param {*} [options.subkey] - The subkey to cache the result under; a
+   * private key of the getter by default
+   * @param {Object} [options.storage=globalThis] - The AssociationStorage or
+   * carrier to cache the result in
+   * @param {boolean} [options.weak=false] - Whether object results are held
+   * through a WeakRef and recomputed once collected
+   * @returns {Function} the decorator, or the decorated getter when applied
+   * directly
+   * @throws {TypeError} when applied to anything but a getter
+   *
+   * @example
+   * class Document {
+   *   @memoizedGetter
+   *   get outline() {
+   *     return buildOutline(this.body)
+   *   }
+   *
+   *   @memoizedGetter({ subkey: 'wordCount' })
+   *   get wordCount() {
+   *     return this.body.split(/\s+/).length
+   *   }
+   * }
+   *
+   * disassociate(doc, 'wordCount') // recounted on the next read
+   */
+  function memoizedGetter(options = {}, context = undefined) {
+    if (isDecoratorContext(context))
+      return memoizedGetter()(options, context)
+
+    const { subkey, storage = globalThis, weak = false } = options ?? {}
+
+    return function (getter, context) {
+      if (context.kind !== 'getter')
+        throw new TypeError(`@memoizedGetter cannot decorate a ${context.kind}`)
+
+      const state = cell(subkey ?? memberKey(context), { storage, weak })
+
+      return function () {
+        if (state.has(this))
+          return state.get(this)
+
+        const result = getter.call(this)
+
+        state.set(this, result)
+
+        return result
+      }
+    }
+  }
+
+  return Object.defineProperty({
+    // functions
+    associated,
+    memoizedGetter,
+  }, Symbol.toStringTag, {value: 'Decorators', enumerable: false})
+})()
+
+export const {
+  // functions
+  associated,
+  memoizedGetter,
+} = Decorators
@@ -0,0 +1,275 @@
+import { describe, test, expect, vi } from 'vitest'
+import { transform } from 'esbuild'
+import {
+  associated as associatedValue,
+  createStorage,
+  disassociate,
+  subkeysOf
+} from './associations.mjs'
+import { associated, memoizedGetter } from './decorators.mjs'
+
+/**
+ * Applies a decorator to a member of a class the way the TC39 decorators
+ * proposal does, since the test files are not transpiled. The 'Standard
+ * Semantics' tests compile real decorator syntax instead.
+ */
+function decorate(Class, name, kind, decorator) {
+  const initializers = []
+  const context = {
+    kind,
+    name,
+    static: false,
+    private: false,
+    addInitializer: fn => initializers.push(fn)
+  }
+
+  if (kind === 'method' || kind === 'getter') {
+    const descriptor = Object.getOwnPropertyDescriptor(Class.prototype, name)
+    const original = kind === 'method' ? descriptor.value : descriptor.get
+    const replacement = decorator(original, context) ?? original
+
+    Object.defineProperty(Class.prototype, name, kind === 'method'
+      ? { ...descriptor, value: replacement }
+      : { ...descriptor, get: replacement })
+
+    return instance => initializers.forEach(fn => fn.call(instance))
+  }
+
+  if (kind === 'accessor') {
+    const { get, set, init = value => value } = decorator({}, context)
+
+    Object.defineProperty(Class.prototype, name, { get, set, configurable: true })
+
+    return (instance, value) => {
+      init.call(instance, value)
+      initializers.forEach(fn => fn.call(instance))
+    }
+  }
+
+  const init = decorator(undefined, context) ?? (value => value)
+
+  return (instance, value) => {
+    Object.defineProperty(instance, name, {
+      value: init.call(instance, value),
+      writable: true,
+      enumerable: true,
+      configurable: true
+    })
+    initializers.forEach(fn => fn.call(instance))
+  }
+}
+
+/**
+ * Compiles a module using decorator syntax with esbuild and evaluates it.
+ * The module's default export receives `scope` and its result is returned.
+ */
+async function compile(source, scope) {
+  const { code } = await transform(source, { loader: 'js', target: 'es2022', format: 'cjs' })
+  const module = { exports: {} }
+
+  new Function('module', 'exports', code)(module, module.exports)
+
+  return module.exports.default(scope)
+}
+
+describe('Decorators Module', () => {
+  describe('@associated', () => {
+    test('should keep accessor values in the association', () => {
+      const storage = createStorage()
+      class Widget {}
+      const initialize = decorate(Widget, 'theme', 'accessor',
+        associated('theme', { storage, default: 'light' }))
+
+      const widget = new Widget()
+
+      initialize(widget, undefined)
+
+      expect(widget.theme).toBe('light')
+
+      widget.theme = 'dark'
+
+      expect(widget.theme).toBe('dark')
+      expect(associatedValue(widget, 'theme', { storage })).toBe('dark')
+      expect(Object.keys(widget)).toEqual([])
+
+      const other = new Widget()
+
+      initialize(other, 'contrast')
+
+      expect(other.theme).toBe('contrast')
+      expect(widget.theme).toBe('dark')
+    })
+
+    test('should hide state under a private key without a subkey', () => {
+      const storage = createStorage()
+      class Widget {}
+      const initialize = decorate(Widget, 'secret', 'accessor',
+        associated(undefined, { storage }))
+
+      const widget = new Widget()
+
+      initialize(widget, 42)
+
+      expect(widget.secret).toBe(42)
+      expect(subkeysOf(widget, { storage })).toEqual([])
+
+      disassociate(widget, undefined, { storage })
+
+      expect(widget.secret).toBe(42)
+    })
+
+    test('should replace public fields with an accessor', () => {
+      const storage = createStorage()
+      class Widget {}
+      const initialize = decorate(Widget, 'count', 'field',
+        associated('count', { storage }))
+
+      const widget = new Widget()
+
+      initialize(widget, 1)
+
+      expect(Object.keys(widget)).toEqual([])
+      expect(widget.count).toBe(1)
+
+      widget.count++
+
+      expect(associatedValue(widget, 'count', { storage })).toBe(2)
+      expect(() => associated()(undefined, {
+        kind: 'field',
+        name: '#count',
+        private: true,
+        addInitializer() {}
+      })).toThrow(TypeError)
+    })
+
+    test('should turn methods into lazy initializers', () => {
+      const storage = createStorage()
+      const create = vi.fn(() => new Map())
+      class Widget {
+        cache() {
+          return create()
+        }
+      }
+
+      decorate(Widget, 'cache', 'method', associated('cache', { storage }))
+
+      const widget = new Widget()
+
+      expect(widget.cache()).toBe(widget.cache())
+      expect(create).toHaveBeenCalledTimes(1)
+
+      disassociate(widget, 'cache', { storage })
+      widget.cache()
+
+      expect(create).toHaveBeenCalledTimes(2)
+    })
+
+    test('should hold object values weakly with weak', () => {
+      const storage = createStorage()
+      class Widget {}
+      const initialize = decorate(Widget, 'parent', 'accessor',
+        associated('parent', { storage, weak: true }))
+
+      const widget = new Widget()
+      const parent = {}
+
+      initialize(widget, parent)
+
+      expect(widget.parent).toBe(parent)
+      expect(associatedValue(widget, 'parent', { storage })).toBeInstanceOf(WeakRef)
+
+      widget.parent = 'primitive'
+
+      expect(associatedValue(widget, 'parent', { storage })).toBe('primitive')
+    })
+
+    test('should reject unsupported class elements', () => {
+      expect(() => associated()(class {}, { kind: 'class', name: 'Widget' }))
+        .toThrow(TypeError)
+    })
+  })
+
+  describe('@memoizedGetter', () => {
+    test('should compute once per instance', () => {
+      const storage = createStorage()
+      const compute = vi.fn(function () { return this.body.length })
+      class Doc {
+        constructor(body) {
+          this.body = body
+        }
+
+        get length() {
+          return compute.call(this)
+        }
+      }
+
+      decorate(Doc, 'length', 'getter', memoizedGetter({ subkey: 'length', storage }))
+
+      const short = new Doc('abc')
+      const long = new Doc('abcdef')
+
+      expect(short.length).toBe(3)
+      expect(short.length).toBe(3)
+      expect(long.length).toBe(6)
+      expect(compute).toHaveBeenCalledTimes(2)
+
+      short.body = 'abcd'
+      disassociate(short, 'length', { storage })
+
+      expect(short.length).toBe(4)
+    })
+
+    test('should apply without options and cache undefined', () => {
+      const compute = vi.fn(() => undefined)
+      class Doc {
+        get missing() {
+          return compute()
+        }
+      }
+
+      decorate(Doc, 'missing', 'getter', memoizedGetter)
+
+      const doc = new Doc()
+
+      expect(doc.missing).toBeUndefined()
+      expect(doc.missing).toBeUndefined()
+      expect(compute).toHaveBeenCalledTimes(1)
+      expect(subkeysOf(doc)).toEqual([])
+    })
+
+    test('should only decorate getters', () => {
+      expect(() => memoizedGetter(function () {}, { kind: 'method', name: 'run' }))
+        .toThrow(TypeError)
+    })
+  })
+
+  describe('Standard Semantics', () => {
+    test('should redefine fields after a real transform defines them', async () => {
+      const storage = createStorage()
+      const compute = vi.fn(() => 'outline')
+      const Widget = await compile(`
+        export default ({ associated, memoizedGetter, storage, compute }) => class Widget {
+          @associated('theme', { storage }) theme = 'light'
+          @associated('size', { storage }) accessor size = 3
+          @memoizedGetter({ storage }) get outline() { return compute() }
+        }
+      `, { associated, memoizedGetter, storage, compute })
+
+      const widget = new Widget()
+
+      expect(widget.theme).toBe('light')
+      expect(widget.size).toBe(3)
+      expect(Object.keys(widget)).toEqual([])
+
+      widget.theme = 'dark'
+      widget.size = 4
+
+      expect(associatedValue(widget, 'theme', { storage })).toBe('dark')
+      expect(associatedValue(widget, 'size', { storage })).toBe(4)
+
+      expect(widget.outline).toBe('outline')
+      expect(widget.outline).toBe('outline')
+      expect(compute).toHaveBeenCalledTimes(1)
+    })
+  })
+})
@@ -0,0 +1,305 @@
+import {
+  associate,
+  canBeHeldWeakly,
+  disassociate,
+  getStorageMap,
+  transaction,
+} from './associations.mjs'
+
+/**
+ * Undo and redo for the associations of a storage. createHistory() observes
+ * a storage and records every value that is set or removed in it, along
+ * with the value it replaced, so that the changes can be reverted and
+ * reapplied later.
+ *
+ * Each batch of changes reported by the storage becomes one undo step, so a
+ * transaction() is undone as a whole. Consecutive writes to the same subkey
+ * of the same source are merged into a single step, the way typing into a
+ * field is undone in one go; checkpoint() ends such a run. Associations
+ * that expire, are evicted or are garbage collected are not recorded.
+ *
+ * Sources that can be held weakly are referenced through WeakRefs, so the
+ * history does not keep them alive; changes of collected sources are
+ * skipped when undoing or redoing. Recorded values, however, are held
+ * strongly until their step leaves the history.
+ *
+ * @module History
+ */
+export const History = (function () {
+  // Reasons of change events that describe edits worth undoing
+  const kRecordedReasons = ['set', 'replace', 'bulk', 'delete', 'clear']
+
+  // Reasons of change events after which the subkey no longer exists
+  const kRemovalReasons = ['delete', 'clear']
+
+  /**
+   * An undo and redo history of the changes made to one storage. Create
+   * instances with createHistory().
+   */
+  class AssociationHistory {
+    #storage
+    #limit
+    #undo = []
+    #redo = []
+    #label = undefined
+    #sealed = true
+    #applying = false
+    #unobserve
+
+    /**
+     * @param {AssociationStorage} storage the storage to record
+     * @param {number} limit the maximum number of undo steps to keep
+     */
+    constructor(storage, limit) {
+      this.#storage = storage
+      this.#limit = limit
+      this.#unobserve = storage.observe(changes => this.#record(changes))
+    }
+
+    /**
+     * True if there is a step to undo.
+     *
+     * @type {boolean}
+     */
+    get canUndo() {
+      return this.#undo.length > 0
+    }
+
+    /**
+     * True if there is an undone step to redo.
+     *
+     * @type {boolean}
+     */
+    get canRedo() {
+      return this.#redo.length > 0
+    }
+
+    /**
+     * The label of the step undo() would revert, as given to the
+     * checkpoint() that preceded it.
+     *
+     * @type {string|undefined}
+     */
+    get undoLabel() {
+      return this.#undo.at(-1)?.label
+    }
+
+    /**
+     * The label of the step redo() would reapply.
+     *
+     * @type {string|undefined}
+     */
+    get redoLabel() {
+      return this.#redo.at(-1)?.label
+    }
+
+    /**
+     * Ends the current step, so the next change starts a new one even if it
+     * writes the same subkey as the last. The label, if given, is attached to
+     * that next step and is reported by undoLabel and redoLabel.
+     *
+     * @param {string} [label] a description of the upcoming step
+     */
+    checkpoint(label) {
+      this.#sealed = true
+      this.#label = label
+    }
+
+    /**
+     * Reverts the most recent step.
+     *
+     * @returns {boolean} true if a step was undone
+     */
+    undo() {
+      const step = this.#undo.pop()
+
+      if (!step)
+        return false
+
+      this.#apply([...step.changes].reverse(), 'existedBefore', 'oldValue')
+      this.#redo.push(step)
+      this.#sealed = true
+
+      return true
+    }
+
+    /**
+     * Reapplies the most recently undone step.
+     *
+     * @returns {boolean} true if a step was redone
+     */
+    redo() {
+      const step = this.#redo.pop()
+
+      if (!step)
+        return false
+
+      this.#apply(step.changes, 'existsAfter', 'newValue')
+      this.#undo.push(step)
+      this.#sealed = true
+
+      return true
+    }
+
+    /**
+     * Forgets every recorded step.
+     */
+    clear() {
+      this.#undo.length = this.#redo.length = 0
+      this.#sealed = true
+      this.#label = undefined
+    }
+
+    /**
+     * Stops recording and forgets every recorded step.
+     */
+    dispose() {
+      this.#unobserve()
+      this.clear()
+    }
+
+    /**
+     * Records a batch of changes reported by the storage.
+     *
+     * @param {Array<Object>} events the change events of the batch
+     */
+    #record(events) {
+      if (this.#applying)
+        return
+
+      const changes = events
+        .filter(({ reason }) => kRecordedReasons.includes(reason))
+        .map(({ source, subkey, reason, oldValue, newValue }) => ({
+          weak: canBeHeldWeakly(source),
+          source: canBeHeldWeakly(source) ? new WeakRef(source) : { deref: () => source },
+          subkey,
+          existedBefore: reason !== 'set',
+          existsAfter: !kRemovalReasons.includes(reason),
+          oldValue,
+          newValue,
+        }))
+
+      if (!changes.length)
+        return
+
+      this.#redo.length = 0
+
+      const last = this.#undo.at(-1)
+
+      if (!this.#sealed && mergeable(last, changes)) {
+        last.changes[0].newValue = changes[0].newValue
+        return
+      }
+
+      this.#undo.push({ label: this.#label, changes })
+      this.#sealed = false
+      this.#label = undefined
+
+      if (this.#undo.length > this.#limit)
+        this.#undo.shift()
+    }
+
+    /**
+     * Brings every subkey of a step to the state before or after the step,
+     * as a single transaction that is not recorded itself.
+     *
+     * @param {Array<Object>} changes the changes of the step, in order
+     * @param {string} exists the property telling whether the subkey exists
+     * @param {string} value the property holding the value to restore
+     */
+    #apply(changes, exists, value) {
+      const storage = this.#storage
+
+      this.#applying = true
+
+      try {
+        transaction(() => {
+          for (const change of changes) {
+            const source = change.source.deref()
+
+            if (change.weak && source === undefined)
+              continue
+
+            if (change[exists])
+              associate(change[value], source, change.subkey, { storage })
+
+            else
+              disassociate(source, change.subkey, { storage })
+          }
+        }, { storage })
+      }
+      finally {
+        this.#applying = false
+      }
+    }
+  }
+
+  /**
+   * Tests whether a batch can be merged into the previous step: both must
+   * consist of a single write to the same subkey of the same source.
+   *
+   * @private
+   * @param {Object|undefined} step the previous step
+   * @param {Array<Object>} changes the changes of the batch
+   * @returns {boolean} true if the batch can be merged
+   */
+  function mergeable(step, changes) {
+    if (!step || step.changes.length !== 1 || changes.length !== 1)
+      return false
+
+    const [previous] = step.changes
+    const [next] = changes
+
+    return (
+      previous.existsAfter &&
+      next.existsAfter &&
+      Object.is(previous.subkey, next.subkey) &&
+      Object.is(previous.source.deref(), next.source.deref())
+    )
+  }
+
+  /**
+   * Starts recording the changes made to a storage for undo and redo.
+   *
+   * @param {Object} [storage=globalThis] the AssociationStorage or carrier to
+   * record
+   * @param {Object} [options={}] - Configuration options
+   * @param {number} [options.limit=100] - The maximum number of undo steps to
+   * keep; the oldest steps are dropped beyond it
+   * @returns {AssociationHistory} the history
+   * @throws {TypeError} if the limit is not a positive integer
+   *
+   * @example
+   * const history = createHistory(editorStorage, { limit: 50 })
+   *
+   * history.checkpoint('Select all')
+   * associate(allNodes, doc, 'selection', { storage: editorStorage })
+   *
+   * history.undoLabel // 'Select all'
+   * history.undo()    // restores the previous selection
+   */
+  function createHistory(storage = globalThis, options = {}) {
+    const { limit = 100 } = options
+
+    if (!Number.isInteger(limit) || limit < 1)
+      throw new TypeError(`History limit must be a positive integer`)
+
+    return new AssociationHistory(getStorageMap(storage), limit)
+  }
+
+  return Object.defineProperty({
+    // functions
+    createHistory,
+
+    // classes
+    AssociationHistory,
+  }, Symbol.toStringTag, {value: 'History', enumerable: false})
+})()
+
+export const {
+  // functions
+  createHistory,
+
+  // classes
+  AssociationHistory,
+} = History
@@ -0,0 +1,151 @@
+import { describe, test, expect } from 'vitest'
+import {
+  associate,
+  associated,
+  createStorage,
+  disassociate,
+  subkeysOf,
+  transaction
+} from './associations.mjs'
+import { createHistory, AssociationHistory } from './history.mjs'
+
+describe('History Module', () => {
+  describe('Undo and Redo', () => {
+    test('should undo and redo sets and deletes', () => {
+      const storage = createStorage()
+      const history = createHistory(storage)
+      const doc = {}
+
+      expect(history).toBeInstanceOf(AssociationHistory)
+      expect(history.canUndo).toBe(false)
+
+      associate('first', doc, 'title', { storage })
+      associate([1, 2], doc, 'selection', { storage })
+      disassociate(doc, 'title', { storage })
+
+      expect(history.undo()).toBe(true)
+      expect(associated(doc, 'title', { storage })).toBe('first')
+
+      expect(history.undo()).toBe(true)
+      expect(subkeysOf(doc, { storage })).toEqual(['title'])
+
+      expect(history.undo()).toBe(true)
+      expect(subkeysOf(doc, { storage })).toEqual([])
+      expect(history.undo()).toBe(false)
+
+      expect(history.redo()).toBe(true)
+      expect(history.redo()).toBe(true)
+      expect(associated(doc, 'selection', { storage })).toEqual([1, 2])
+      expect(history.canRedo).toBe(true)
+    })
+
+    test('should forget undone steps after a new change', () => {
+      const storage = createStorage()
+      const history = createHistory(storage)
+
+      associate('a', 'source', 'first', { storage })
+      history.undo()
+      associate('b', 'source', 'second', { storage })
+
+      expect(history.canRedo).toBe(false)
+      expect(history.redo()).toBe(false)
+    })
+
+    test('should undo a transaction as one step', () => {
+      const storage = createStorage()
+      const history = createHistory(storage)
+      const doc = {}
+
+      associate('before', doc, 'a', { storage })
+
+      transaction(() => {
+        associate('after', doc, 'a', { storage })
+        associate('added', doc, 'b', { storage })
+      }, { storage })
+
+      history.undo()
+
+      expect(associated(doc, 'a', { storage })).toBe('before')
+      expect(associated(doc, 'b', { storage })).toBeUndefined()
+    })
+
+    test('should not record its own changes', () => {
+      const storage = createStorage()
+      const history = createHistory(storage)
+
+      associate(1, 'counter', 'value', { storage })
+      history.undo()
+      history.redo()
+      history.undo()
+
+      expect(history.canUndo).toBe(false)
+      expect(associated('counter', 'value', { storage })).toBeUndefined()
+    })
+  })
+
+  describe('Steps', () => {
+    test('should merge consecutive writes to the same subkey', () => {
+      const storage = createStorage()
+      const history = createHistory(storage)
+      const field = {}
+
+      associate('h', field, 'text', { storage })
+      associate('he', field, 'text', { storage })
+      associate('hey', field, 'text', { storage })
+
+      history.undo()
+
+      expect(associated(field, 'text', { storage })).toBeUndefined()
+      expect(history.canUndo).toBe(false)
+
+      history.redo()
+
+      expect(associated(field, 'text', { storage })).toBe('hey')
+    })
+
+    test('should start a labelled step at each checkpoint', () => {
+      const storage = createStorage()
+      const history = createHistory(storage)
+      const field = {}
+
+      associate('draft', field, 'text', { storage })
+      history.checkpoint('Rename')
+      associate('final', field, 'text', { storage })
+
+      expect(history.undoLabel).toBe('Rename')
+
+      history.undo()
+
+      expect(associated(field, 'text', { storage })).toBe('draft')
+      expect(history.undoLabel).toBeUndefined()
+      expect(history.redoLabel).toBe('Rename')
+    })
+
+    test('should keep at most limit steps', () => {
+      const storage = createStorage()
+      const history = createHistory(storage, { limit: 2 })
+
+      for (const subkey of ['a', 'b', 'c'])
+        associate(subkey, 'source', subkey, { storage })
+
+      expect(history.undo()).toBe(true)
+      expect(history.undo()).toBe(true)
+      expect(history.undo()).toBe(false)
+      expect(subkeysOf('source', { storage })).toEqual(['a'])
+    })
+
+    test('should reject invalid limits', () => {
+      expect(() => createHistory(createStorage(), { limit: 0 })).toThrow(TypeError)
+    })
+
+    test('should stop recording once disposed', () => {
+      const storage = createStorage()
+      const history = createHistory(storage)
+
+      history.dispose()
+      associate('value', 'source', 'key', { storage })
+
+      expect(history.canUndo).toBe(false)
+    })
+  })
+})
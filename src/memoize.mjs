@@ -0,0 +1,191 @@
+import {
+  associate,
+  associated,
+  createStorage,
+  disassociate,
+} from './associations.mjs'
+
+/**
+ * Memoization built on associations. memoize() caches the results of a
+ * function per tuple of arguments in a tree of storages: the first argument
+ * is a source in a storage associated with the memoized function, the
+ * second a source in a storage associated with the first, and so on, with
+ * the result associated with the last.
+ *
+ * Since object arguments are sources, they are held weakly, and a cached
+ * result disappears once any object it was computed from is garbage
+ * collected. Primitive arguments cannot be collected; each level of the
+ * tree keeps at most `maxEntries` of them, evicting the least recently used.
+ * The whole cache is in turn associated with the memoized function and goes
+ * away with it.
+ *
+ * @module Memoize
+ */
+export const Memoize = (function () {
+  // Subkey of the storage holding the next level of the cache tree
+  const kNext = Symbol('memoize.next')
+
+  // Subkey of the `{ value }` entry holding a cached result
+  const kResult = Symbol('memoize.result')
+
+  // Source under which the result of a call without key arguments is cached
+  const kNoArguments = Symbol('memoize.noArguments')
+
+  /**
+   * Memoizes a function. The returned function calls `fn` only for argument
+   * tuples it has not seen, or whose result has expired, and otherwise
+   * returns the cached result. Arguments are compared like Map keys.
+   *
+   * When `fn` returns a promise, the promise is cached, so concurrent calls
+   * with the same arguments share a single pending call. A promise that
+   * rejects is removed from the cache so that the next call retries.
+   *
+   * @param {Function} fn the function to memoize
+   * @param {Object} [options={}] - Configuration options
+   * @param {Object} [options.storage=globalThis] - The AssociationStorage or
+   * carrier that associates the cache with the memoized function
+   * @param {*} [options.subkey] - The subkey under which the cache is
+   * associated with the memoized function; a unique symbol by default
+   * @param {number|Function} [options.keyArgs] - Either the number of
+   * leading arguments that identify a call, or a function that receives the
+   * arguments and returns the array of values identifying it. All arguments
+   * are used by default.
+   * @param {number} [options.ttl] - Milliseconds after which a cached result
+   * expires
+   * @param {Function} [options.clock=Date.now] - Returns the current time in
+   * milliseconds; used with `ttl`
+   * @param {number} [options.maxEntries=1000] - The maximum number of
+   * primitive arguments cached at each level of the cache tree
+   * @returns {Function} the memoized function; its `clear()` method empties
+   * the cache
+   * @throws {TypeError} if fn is not a function, or keyArgs, ttl, clock or
+   * maxEntries is invalid
+   *
+   * @example
+   * const layout = memoize((node, width) => measure(node, width))
+   *
+   * layout(node, 320) // measured
+   * layout(node, 320) // cached until node is garbage collected
+   *
+   * @example
+   * // Share in-flight requests, retry failed ones
+   * const fetchUser = memoize(id => fetch(`/users/${id}`).then(r => r.json()), {
+   *   ttl: 60_000
+   * })
+   */
+  function memoize(fn, options = {}) {
+    const {
+      storage = globalThis,
+      subkey = Symbol(`memoize(${fn?.name ?? ''})`),
+      keyArgs = undefined,
+      ttl = undefined,
+      clock = undefined,
+      maxEntries = 1000,
+    } = options
+
+    if (typeof fn !== 'function')
+      throw new TypeError(`memoize() requires a function`)
+
+    if (!(maxEntries === Infinity || (Number.isInteger(maxEntries) && maxEntries > 0)))
+      throw new TypeError(`maxEntries must be a positive integer, got '${String(maxEntries)}'`)
+
+    // Checked now rather than by associate(), which only sees them after fn
+    // has been called
+    if (ttl !== undefined && !(typeof ttl === 'number' && ttl >= 0))
+      throw new TypeError(`ttl must be a non-negative number, got '${String(ttl)}'`)
+
+    if (clock !== undefined && typeof clock !== 'function')
+      throw new TypeError(`clock must be a function returning milliseconds`)
+
+    const keyOf = keyFunction(keyArgs)
+    const levelOptions = { maxEntries }
+
+    function memoized(...args) {
+      const key = keyOf(args)
+      let level = associated(memoized, subkey, { storage })
+
+      if (!level) {
+        level = createStorage(levelOptions)
+        associate(level, memoized, subkey, { storage })
+      }
+
+      const last = key.length ? key.length - 1 : 0
+      const sources = key.length ? key : [kNoArguments]
+
+      for (let index = 0; index < last; index++) {
+        let next = associated(sources[index], kNext, { storage: level })
+
+        if (!next) {
+          next = createStorage(levelOptions)
+          associate(next, sources[index], kNext, { storage: level })
+        }
+
+        level = next
+      }
+
+      const source = sources[last]
+      const cached = associated(source, kResult, { storage: level, clock })
+
+      if (cached)
+        return cached.value
+
+      const entry = { value: fn.apply(this, args) }
+
+      associate(entry, source, kResult, { storage: level, ttl, clock })
+
+      if (typeof entry.value?.then === 'function') {
+        Promise.resolve(entry.value).catch(() => {
+          if (associated(source, kResult, { storage: level, clock }) === entry)
+            disassociate(source, kResult, { storage: level })
+        })
+      }
+
+      return entry.value
+    }
+
+    memoized.clear = () => disassociate(memoized, subkey, { storage })
+
+    return memoized
+  }
+
+  /**
+   * Creates the function deriving the key of a call from its arguments.
+   *
+   * @private
+   * @param {number|Function|undefined} keyArgs the keyArgs option
+   * @returns {Function} receives the arguments array, returns the key array
+   * @throws {TypeError} if keyArgs is neither a count nor a function
+   */
+  function keyFunction(keyArgs) {
+    if (keyArgs === undefined)
+      return args => args
+
+    if (Number.isInteger(keyArgs) && keyArgs >= 0)
+      return args => args.slice(0, keyArgs)
+
+    if (typeof keyArgs === 'function') {
+      return args => {
+        const key = keyArgs(...args)
+
+        if (!Array.isArray(key))
+          throw new TypeError(`keyArgs must return an array`)
+
+        return key
+      }
+    }
+
+    throw new TypeError(
+      `keyArgs must be a non-negative integer or a function, got '${String(keyArgs)}'`
+    )
+  }
+
+  return Object.defineProperty({
+    // functions
+    memoize,
+  }, Symbol.toStringTag, {value: 'Memoize', enumerable: false})
+})()
+
+export const {
+  // functions
+  memoize,
+} = Memoize
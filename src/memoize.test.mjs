@@ -0,0 +1,160 @@
+import { describe, test, expect, vi } from 'vitest'
+import { createStorage } from './associations.mjs'
+import { memoize } from './memoize.mjs'
+
+describe('Memoize Module', () => {
+  describe('Caching', () => {
+    test('should cache results per argument tuple', () => {
+      const fn = vi.fn((a, b) => ({ sum: a + b }))
+      const memoized = memoize(fn, { storage: createStorage() })
+
+      const first = memoized(1, 2)
+
+      expect(memoized(1, 2)).toBe(first)
+      expect(memoized(2, 1)).not.toBe(first)
+      expect(memoized(1)).toEqual({ sum: NaN })
+      expect(fn).toHaveBeenCalledTimes(3)
+    })
+
+    test('should cache calls without arguments and undefined results', () => {
+      const fn = vi.fn(() => undefined)
+      const memoized = memoize(fn, { storage: createStorage() })
+
+      memoized()
+      memoized()
+      memoized(undefined)
+      memoized(undefined)
+
+      expect(fn).toHaveBeenCalledTimes(2)
+    })
+
+    test('should key calls by keyArgs', () => {
+      const fn = vi.fn((id, options) => ({ id, options }))
+      const byCount = memoize(fn, { keyArgs: 1, storage: createStorage() })
+      const byFunction = memoize(fn, {
+        keyArgs: (id, options) => [id, options.locale],
+        storage: createStorage()
+      })
+
+      byCount('a', { locale: 'en' })
+      byCount('a', { locale: 'de' })
+      byFunction('a', { locale: 'en' })
+      byFunction('a', { locale: 'en' })
+      byFunction('a', { locale: 'de' })
+
+      expect(fn).toHaveBeenCalledTimes(3)
+      expect(() => memoize(fn, { keyArgs: 'all' })).toThrow(TypeError)
+    })
+
+    test('should expire results after ttl', () => {
+      let now = 0
+      const fn = vi.fn(value => value)
+      const memoized = memoize(fn, {
+        ttl: 100,
+        clock: () => now,
+        storage: createStorage()
+      })
+
+      memoized('value')
+      now = 50
+      memoized('value')
+      now = 100
+      memoized('value')
+
+      expect(fn).toHaveBeenCalledTimes(2)
+    })
+
+    test('should bound primitive arguments at each level', () => {
+      const fn = vi.fn(value => value)
+      const memoized = memoize(fn, { maxEntries: 2, storage: createStorage() })
+
+      memoized(1)
+      memoized(2)
+      memoized(3)
+      memoized(3)
+      memoized(1)
+
+      expect(fn).toHaveBeenCalledTimes(4)
+    })
+
+    test('should empty the cache on clear()', () => {
+      const fn = vi.fn(() => 'result')
+      const memoized = memoize(fn, { storage: createStorage() })
+
+      memoized('a')
+      memoized.clear()
+      memoized('a')
+
+      expect(fn).toHaveBeenCalledTimes(2)
+    })
+
+    test('should reject non functions', () => {
+      expect(() => memoize('fn')).toThrow(TypeError)
+    })
+
+    test('should reject an invalid maxEntries up front', () => {
+      expect(() => memoize(() => {}, { maxEntries: 0 })).toThrow(/maxEntries/)
+      expect(() => memoize(() => {}, { maxEntries: 1.5 })).toThrow(TypeError)
+    })
+
+    test('should reject an invalid ttl or clock before calling fn', () => {
+      const fn = vi.fn(() => 'result')
+
+      expect(() => memoize(fn, { ttl: -1 })).toThrow(/ttl/)
+      expect(() => memoize(fn, { ttl: '1s' })).toThrow(TypeError)
+      expect(() => memoize(fn, { ttl: 10, clock: 0 })).toThrow(/clock/)
+      expect(fn).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('Async Functions', () => {
+    test('should share in-flight promises', async () => {
+      const fn = vi.fn(async id => ({ id }))
+      const memoized = memoize(fn, { storage: createStorage() })
+
+      const [a, b] = await Promise.all([memoized(1), memoized(1)])
+
+      expect(a).toBe(b)
+      expect(fn).toHaveBeenCalledTimes(1)
+    })
+
+    test('should evict rejected promises', async () => {
+      const fn = vi.fn()
+        .mockRejectedValueOnce(new Error('offline'))
+        .mockResolvedValueOnce('online')
+      const memoized = memoize(fn, { storage: createStorage() })
+
+      await expect(memoized('status')).rejects.toThrow('offline')
+      await expect(memoized('status')).resolves.toBe('online')
+      await expect(memoized('status')).resolves.toBe('online')
+      expect(fn).toHaveBeenCalledTimes(2)
+    })
+  })
+
+  describe('Garbage Collection', () => {
+    async function collect(until) {
+      for (let i = 0; i < 20; i++) {
+        await new Promise(resolve => setTimeout(resolve, 0))
+        globalThis.gc()
+
+        if (until())
+          return true
+      }
+
+      return false
+    }
+
+    test('should not keep object arguments alive', async () => {
+      const memoized = memoize(node => ({ size: node.size }), {
+        storage: createStorage()
+      })
+      const ref = (() => {
+        const node = { size: 10 }
+        memoized(node, 'extra')
+        return new WeakRef(node)
+      })()
+
+      expect(await collect(() => !ref.deref())).toBe(true)
+    })
+  })
+})
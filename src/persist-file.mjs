@@ -0,0 +1,114 @@
+import { readFileSync } from 'node:fs'
+import { rename, writeFile } from 'node:fs/promises'
+import { fileURLToPath } from 'node:url'
+
+/**
+ * A persistence adapter for Node that keeps the records of a persistent
+ * storage in a JSON file. Kept apart from the Persist module so that code
+ * running in browsers never imports `node:fs`.
+ *
+ * The file is read once, synchronously, when the adapter is created, so
+ * that reads are synchronous and work with lazy loading. Writes update the
+ * records in memory and save the whole file at the end of the tick, once
+ * for every change made within it, by writing a temporary file and renaming
+ * it over the original so that a crash never leaves a partial file behind.
+ *
+ * @module PersistFile
+ */
+export const PersistFile = (function () {
+  /**
+   * Reads the records of a file, treating a missing file as empty.
+   *
+   * @private
+   * @param {string} path the path of the file
+   * @returns {Object<string, Array<Object>>} the records by key
+   * @throws {SyntaxError} if the file is not valid JSON
+   */
+  function readRecords(path) {
+    try {
+      return JSON.parse(readFileSync(path, 'utf8'))
+    }
+    catch (error) {
+      if (error?.code === 'ENOENT')
+        return {}
+
+      throw error
+    }
+  }
+
+  /**
+   * Creates an adapter storing records in a JSON file. Values have to
+   * survive JSON.stringify(); dates become strings and bigints throw. Like
+   * the memory adapter, it hands out copies of its records, so that they
+   * only change through `set()`.
+   *
+   * @param {string|URL} path the path of the file; it is created on the
+   * first write if it does not exist
+   * @param {Object} [options={}] - Configuration options
+   * @param {number|string} [options.space] - Indentation of the JSON, as
+   * for JSON.stringify()
+   * @returns {Object} the adapter, with an additional `saved` method that
+   * returns a promise for the completion of pending writes
+   *
+   * @example
+   * const storage = createPersistentStorage(
+   *   createJsonFileAdapter(new URL('./associations.json', import.meta.url)),
+   *   { lazy: true }
+   * )
+   */
+  function createJsonFileAdapter(path, options = {}) {
+    const { space } = options ?? {}
+    const records = new Map(Object.entries(readRecords(path)))
+    const temporary = `${path instanceof URL ? fileURLToPath(path) : path}.tmp`
+
+    let scheduled = undefined
+    let writing = Promise.resolve()
+
+    // Saves once per tick, never while a previous save is still running
+    const save = () => scheduled ??= Promise.resolve().then(() => {
+      const json = JSON.stringify(Object.fromEntries(records), null, space)
+
+      scheduled = undefined
+      writing = writing
+        .catch(() => {})
+        .then(() => writeFile(temporary, json))
+        .then(() => rename(temporary, path))
+
+      return writing
+    })
+
+    return {
+      get(key) {
+        return records.has(key) ? structuredClone(records.get(key)) : undefined
+      },
+
+      set(key, record) {
+        records.set(key, JSON.parse(JSON.stringify(record)))
+
+        return save()
+      },
+
+      delete(key) {
+        return records.delete(key) ? save() : undefined
+      },
+
+      keys() {
+        return [...records.keys()]
+      },
+
+      saved() {
+        return scheduled ?? writing
+      },
+    }
+  }
+
+  return Object.defineProperty({
+    // functions
+    createJsonFileAdapter,
+  }, Symbol.toStringTag, {value: 'PersistFile', enumerable: false})
+})()
+
+export const {
+  // functions
+  createJsonFileAdapter,
+} = PersistFile
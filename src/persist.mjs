@@ -0,0 +1,506 @@
+import {
+  AssociationStorage,
+  associate,
+} from './associations.mjs'
+import {
+  decodePrimitive,
+  encodePrimitive,
+} from './snapshot.mjs'
+
+/**
+ * Persistence for the associations of primitive sources. With primitive and
+ * `Symbol.for()` sources, such as entity ids, associations form a key-value
+ * store; createPersistentStorage() creates a storage that writes them
+ * through to a backend adapter, so that they survive restarts. Object
+ * sources have no identity outside the running program and live only in
+ * memory, as in any other storage.
+ *
+ * An adapter is any object with the methods below, each of which may return
+ * its result directly or as a promise, so that synchronous backends, like a
+ * file read at startup, and asynchronous ones, like IndexedDB, both fit:
+ *
+ * - `get(key)` returns the record stored under a string key, or undefined
+ * - `set(key, record)` stores a record
+ * - `delete(key)` removes a record
+ * - `keys()` returns an iterable of every stored key
+ *
+ * Each source is stored as one record, listing its subkeys and values in
+ * the encoding of snapshot(), so values must survive whatever the backend
+ * does to them; JSON for files, structured cloning for IndexedDB.
+ *
+ * Changes are not written immediately. The sources changed within the same
+ * tick, or within `flushDelay` milliseconds, are written once each, as they
+ * are by then. Sources are loaded either all at once through `load()`, or,
+ * with `lazy`, on the first use of each source.
+ *
+ * @module Persist
+ */
+export const Persist = (function () {
+  /**
+   * Tests whether a value is a promise or other thenable.
+   *
+   * @private
+   * @param {*} value the value to test
+   * @returns {boolean} true for thenables
+   */
+  function isThenable(value) {
+    return typeof value?.then === 'function'
+  }
+
+  /**
+   * Passes a result to a function, waiting for it first if it is a promise,
+   * so that synchronous adapters are used synchronously.
+   *
+   * @private
+   * @param {*} result the result, or a promise for it
+   * @param {Function} fn receives the result
+   * @returns {*} what fn returns, or a promise for it
+   */
+  function then(result, fn) {
+    return isThenable(result) ? result.then(fn) : fn(result)
+  }
+
+  /**
+   * Derives the adapter key of a source.
+   *
+   * @private
+   * @param {*} source the source
+   * @returns {string|undefined} the key, or undefined for sources that are
+   * not persisted
+   */
+  function keyOf(source) {
+    const encoded = encodePrimitive(source)
+
+    return encoded && JSON.stringify(encoded)
+  }
+
+  /**
+   * A storage that writes the associations of primitive sources through to
+   * a backend adapter. Create instances with createPersistentStorage().
+   */
+  class PersistentStorage extends AssociationStorage {
+    #adapter
+    #lazy
+    #flushDelay
+    #clock
+    #onError
+    #dirty = new Set()
+    #checked = new Set()
+    #loads = new Map()
+    #timer = undefined
+    #scheduled = false
+    #flushing = Promise.resolve()
+    #restoring = false
+    #failure = undefined
+
+    /**
+     * @param {Object} options see createPersistentStorage()
+     */
+    constructor({
+      adapter,
+      lazy = false,
+      flushDelay = 0,
+      clock = Date.now,
+      onError = undefined,
+      ...options
+    } = {}) {
+      const methods = ['get', 'set', 'delete', 'keys']
+
+      if (!methods.every(method => typeof adapter?.[method] === 'function'))
+        throw new TypeError(`A persistence adapter requires ${methods.join(', ')} methods`)
+
+      if (typeof flushDelay !== 'number' || flushDelay < 0)
+        throw new TypeError(`flushDelay must be a non-negative number, got '${String(flushDelay)}'`)
+
+      super(options)
+
+      this.#adapter = adapter
+      this.#lazy = Boolean(lazy)
+      this.#flushDelay = flushDelay
+      this.#clock = clock
+      this.#onError = onError
+
+      this.observe(changes => this.#changed(changes))
+    }
+
+    /**
+     * The adapter this storage writes through to.
+     *
+     * @type {Object}
+     */
+    get adapter() {
+      return this.#adapter
+    }
+
+    /**
+     * Whether sources are loaded on their first use.
+     *
+     * @type {boolean}
+     */
+    get lazy() {
+      return this.#lazy
+    }
+
+    /**
+     * Whether changes are waiting to be written.
+     *
+     * @type {boolean}
+     */
+    get pending() {
+      return this.#dirty.size > 0
+    }
+
+    /**
+     * Loads associations from the adapter. Values associated since they
+     * were last written win over the loaded ones.
+     *
+     * @param {*} [source] the source to load; every stored source when
+     * omitted
+     * @returns {Promise<PersistentStorage>} resolves with this storage once
+     * loaded; with a synchronous adapter, the associations are available
+     * as soon as load() returns
+     */
+    load(...source) {
+      if (source.length)
+        return Promise.resolve(this.#load(source[0], true)).then(() => this)
+
+      const loaded = then(this.#adapter.keys(), keys => {
+        const results = [...keys].map(key => this.#load(decodePrimitive(JSON.parse(key)), true))
+
+        return results.some(isThenable) ? Promise.all(results) : results
+      })
+
+      return Promise.resolve(loaded).then(() => this)
+    }
+
+    /**
+     * Writes every pending change to the adapter now. Without an `onError`
+     * option, this is also where errors of background loads and writes
+     * surface: the first one since the last flush() rejects it.
+     *
+     * @returns {Promise<void>} resolves once the adapter has stored the
+     * changes, and rejects if it failed to or if background work failed
+     */
+    flush() {
+      const failure = this.#failure
+
+      this.#failure = undefined
+
+      return this.#flush().then(() => {
+        if (failure !== undefined)
+          throw failure
+      })
+    }
+
+    /**
+     * Loads a source on its first use when the storage is lazy. This
+     * overrides the hook of AssociationStorage, which lookupWrapper() calls
+     * whenever it finds no wrapper for a source.
+     *
+     * @param {*} source the source that was not found
+     */
+    miss(source) {
+      if (!this.#lazy || this.#checked.has(source) || keyOf(source) === undefined)
+        return
+
+      const result = this.#load(source, false)
+
+      if (isThenable(result))
+        result.catch(error => this.#report(error))
+    }
+
+    /**
+     * Writes the sources that are dirty now, after any flush still running.
+     * Sources that fail to be written stay pending.
+     *
+     * @returns {Promise<void>} resolves once written
+     */
+    #flush() {
+      clearTimeout(this.#timer)
+      this.#timer = undefined
+      this.#scheduled = false
+
+      const sources = [...this.#dirty]
+
+      this.#dirty.clear()
+
+      // Flushes run one after the other so that older writes cannot land last
+      const run = this.#flushing.then(() => Promise.all(sources.map(source => {
+        const write = () => then(this.#write(source), () => this.#forget(source))
+
+        return Promise.resolve(this.#loads.get(source))
+          .then(write, write)
+          .catch(error => {
+            this.#dirty.add(source)
+            throw error
+          })
+      }))).then(() => {})
+
+      this.#flushing = run.catch(() => {})
+
+      return run
+    }
+
+    /**
+     * Loads one source unless it was loaded already, or is being loaded.
+     *
+     * @param {*} source the source to load
+     * @param {boolean} force whether to load it even if it was loaded before
+     * @returns {*} undefined, or a promise if the adapter is asynchronous
+     */
+    #load(source, force) {
+      if (this.#loads.has(source))
+        return this.#loads.get(source)
+
+      if (!force && this.#checked.has(source))
+        return undefined
+
+      this.#checked.add(source)
+
+      const result = then(this.#adapter.get(keyOf(source)), record => {
+        this.#restore(source, record)
+        this.#forget(source)
+      })
+
+      if (!isThenable(result))
+        return result
+
+      const load = result.finally(() => this.#loads.delete(source))
+
+      this.#loads.set(source, load)
+
+      return load
+    }
+
+    /**
+     * Associates the entries of a stored record that are neither expired nor
+     * associated already, without writing them back.
+     *
+     * @param {*} source the source the record belongs to
+     * @param {Array<Object>} [record] the stored entries of the source
+     */
+    #restore(source, record) {
+      const now = this.#clock()
+      const wrapper = this.get(source)
+
+      // A rolled back transaction removes the values loaded within it, so
+      // the source has to be loaded again
+      this.journal?.push(() => this.#checked.delete(source))
+      this.#restoring = true
+
+      try {
+        for (const entry of record ?? []) {
+          const subkey = decodePrimitive(entry.subkey)
+
+          if (entry.expiresAt !== undefined && entry.expiresAt <= now)
+            continue
+
+          if (wrapper?.associations.has(subkey))
+            continue
+
+          associate(entry.value, source, subkey, {
+            storage: this,
+            clock: this.#clock,
+            expiresAt: entry.expiresAt,
+            ttl: entry.ttl,
+            sliding: entry.sliding,
+          })
+        }
+      }
+      finally {
+        this.#restoring = false
+      }
+    }
+
+    /**
+     * Lets a source be loaded again once nothing is associated with it and
+     * nothing is waiting to be written, so that the sources that were
+     * checked are only remembered while they hold associations. A source
+     * loaded again then finds the record as last written, or none.
+     *
+     * @param {*} source the source
+     */
+    #forget(source) {
+      if (!this.get(source)?.associations.size && !this.#dirty.has(source))
+        this.#checked.delete(source)
+    }
+
+    /**
+     * Writes the current associations of a source, or deletes its record
+     * once it has none.
+     *
+     * @param {*} source the source to write
+     * @returns {*} the result of the adapter
+     */
+    #write(source) {
+      const wrapper = this.get(source)
+      const entries = []
+
+      for (const [subkey, value] of wrapper?.associations ?? []) {
+        const encoded = encodePrimitive(subkey)
+        const expiration = wrapper.expirations.get(subkey)
+
+        if (!encoded || (expiration && expiration.clock() >= expiration.expiresAt))
+          continue
+
+        entries.push(expiration
+          ? {
+            subkey: encoded,
+            value,
+            expiresAt: expiration.expiresAt,
+            ttl: expiration.ttl,
+            sliding: expiration.sliding,
+          }
+          : { subkey: encoded, value })
+      }
+
+      return entries.length
+        ? this.#adapter.set(keyOf(source), entries)
+        : this.#adapter.delete(keyOf(source))
+    }
+
+    /**
+     * Marks the persisted sources among a batch of changes as dirty and
+     * schedules a flush.
+     *
+     * @param {Array<Object>} changes the change events
+     */
+    #changed(changes) {
+      if (this.#restoring)
+        return
+
+      for (const { reason, source } of changes) {
+        if (reason !== 'collected' && keyOf(source) !== undefined)
+          this.#dirty.add(source)
+      }
+
+      if (!this.#dirty.size || this.#scheduled)
+        return
+
+      const run = () => this.#flush().catch(error => this.#report(error))
+
+      this.#scheduled = true
+
+      if (this.#flushDelay > 0)
+        this.#timer = setTimeout(run, this.#flushDelay)
+
+      else
+        queueMicrotask(() => this.#scheduled && run())
+    }
+
+    /**
+     * Reports an error of a background load or flush to `onError`, or keeps
+     * it for the next flush() to reject with.
+     *
+     * @param {*} error the error
+     */
+    #report(error) {
+      if (this.#onError)
+        this.#onError(error)
+
+      else if (this.#failure === undefined)
+        this.#failure = error
+    }
+  }
+
+  /**
+   * Creates a storage whose associations with primitive and `Symbol.for()`
+   * sources are persisted through an adapter. Pass it as `options.storage`,
+   * or attach it to a carrier with attachStorage(), like any other storage.
+   *
+   * Queries that scan the storage, such as findAll() or comparators, only
+   * see loaded sources; call `load()` first when using `lazy`. Clearing or
+   * disposing the storage leaves the backend untouched, so flush() pending
+   * changes before disposing it. Sliding expiration is persisted as of the
+   * last write, since reads are not written back.
+   *
+   * @param {Object} adapter the backend, with `get`, `set`, `delete` and
+   * `keys` methods; see the module description
+   * @param {Object} [options={}] - Configuration options
+   * @param {boolean} [options.lazy=false] - Whether each source is loaded
+   * on its first use instead of by load(). With an asynchronous adapter,
+   * that first use does not see the stored values yet; await
+   * `load(source)` before reading. Sources with nothing stored are looked
+   * up again on each use.
+   * @param {number} [options.flushDelay=0] - Milliseconds to collect changes
+   * for before writing them; by default they are written at the end of the
+   * current tick
+   * @param {Function} [options.clock=Date.now] - The clock of restored
+   * expiring associations
+   * @param {Function} [options.onError] - Receives errors of background
+   * loads and writes; without it, the next flush() rejects with the first
+   * of them
+   * @param {AssociationStorage} [options.parent] - The storage to nest the
+   * new storage in
+   * @param {boolean} [options.trackOrigins] - See createStorage()
+   * @returns {PersistentStorage} the storage
+   * @throws {TypeError} if the adapter or an option is invalid
+   *
+   * @example
+   * const storage = createPersistentStorage(
+   *   createJsonFileAdapter('./associations.json'),
+   *   { lazy: true }
+   * )
+   *
+   * associate('dark', 'user:42', 'theme', { storage }) // written to the file
+   * associated('user:42', 'theme', { storage })        // 'dark' after restarts
+   */
+  function createPersistentStorage(adapter, options = {}) {
+    return new PersistentStorage({ ...options, adapter })
+  }
+
+  /**
+   * Creates an adapter that keeps records in a Map, for tests and for
+   * storages that should only look persistent. Records are copied with
+   * structuredClone(), so that they are as detached from the storage as
+   * with a real backend.
+   *
+   * @param {Iterable<[string, Array<Object>]>} [entries] initial records
+   * @returns {Object} the adapter; its `records` property is the Map
+   *
+   * @example
+   * const adapter = createMemoryAdapter()
+   * const storage = createPersistentStorage(adapter)
+   */
+  function createMemoryAdapter(entries = []) {
+    const records = new Map(entries)
+
+    return {
+      records,
+
+      get(key) {
+        return records.has(key) ? structuredClone(records.get(key)) : undefined
+      },
+
+      set(key, record) {
+        records.set(key, structuredClone(record))
+      },
+
+      delete(key) {
+        records.delete(key)
+      },
+
+      keys() {
+        return [...records.keys()]
+      },
+    }
+  }
+
+  return Object.defineProperty({
+    // functions
+    createMemoryAdapter,
+    createPersistentStorage,
+
+    // classes
+    PersistentStorage,
+  }, Symbol.toStringTag, {value: 'Persist', enumerable: false})
+})()
+
+export const {
+  // functions
+  createMemoryAdapter,
+  createPersistentStorage,
+
+  // classes
+  PersistentStorage,
+} = Persist
@@ -0,0 +1,245 @@
+import { describe, test, expect, vi, afterEach } from 'vitest'
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import {
+  associate,
+  associated,
+  disassociate,
+  entriesOf
+} from './associations.mjs'
+import {
+  createMemoryAdapter,
+  createPersistentStorage,
+  PersistentStorage
+} from './persist.mjs'
+import { createJsonFileAdapter } from './persist-file.mjs'
+
+// An adapter whose every operation is asynchronous, like IndexedDB
+function asyncAdapter(adapter) {
+  return Object.fromEntries(['get', 'set', 'delete', 'keys'].map(method =>
+    [method, vi.fn(async (...args) => adapter[method](...args))]
+  ))
+}
+
+describe('Persist Module', () => {
+  describe('Write-through', () => {
+    test('should persist primitive sources only', async () => {
+      const adapter = createMemoryAdapter()
+      const storage = createPersistentStorage(adapter)
+
+      expect(storage).toBeInstanceOf(PersistentStorage)
+
+      associate('dark', 'user:42', 'theme', { storage })
+      associate('en', 'user:42', Symbol.for('locale'), { storage })
+      associate('memory only', {}, 'theme', { storage })
+
+      expect(storage.pending).toBe(true)
+      await storage.flush()
+
+      expect([...adapter.records.keys()]).toEqual(['{"type":"string","value":"user:42"}'])
+
+      disassociate('user:42', undefined, { storage })
+      await storage.flush()
+
+      expect(adapter.records.size).toBe(0)
+    })
+
+    test('should coalesce writes', async () => {
+      const adapter = asyncAdapter(createMemoryAdapter())
+      const storage = createPersistentStorage(adapter, { flushDelay: 10 })
+
+      for (let i = 0; i < 5; i++)
+        associate(i, 'counter', 'value', { storage })
+
+      associate('x', 'other', 'value', { storage })
+      disassociate('other', 'value', { storage })
+
+      await new Promise(resolve => setTimeout(resolve, 30))
+
+      expect(adapter.set).toHaveBeenCalledTimes(1)
+      expect(adapter.set.mock.calls[0][1]).toEqual([
+        { subkey: { type: 'string', value: 'value' }, value: 4 }
+      ])
+      expect(adapter.delete).toHaveBeenCalledTimes(1)
+    })
+
+    test('should report failed writes to onError', async () => {
+      const onError = vi.fn()
+      const adapter = {
+        ...createMemoryAdapter(),
+        set: () => Promise.reject(new Error('disk full'))
+      }
+      const storage = createPersistentStorage(adapter, { onError })
+
+      associate('value', 'key', 'subkey', { storage })
+      await new Promise(resolve => setTimeout(resolve, 0))
+
+      expect(onError).toHaveBeenCalledWith(new Error('disk full'))
+      expect(() => createPersistentStorage({})).toThrow(TypeError)
+    })
+
+    test('should reject the next flush with failed writes without onError', async () => {
+      const records = createMemoryAdapter()
+      const adapter = {
+        ...records,
+        set: vi.fn(() => Promise.reject(new Error('disk full')))
+      }
+      const storage = createPersistentStorage(adapter)
+
+      associate('value', 'key', 'subkey', { storage })
+      await new Promise(resolve => setTimeout(resolve, 0))
+
+      expect(storage.pending).toBe(true)
+
+      adapter.set.mockImplementation(records.set)
+
+      await expect(storage.flush()).rejects.toThrow('disk full')
+      expect(records.records.size).toBe(1)
+      await expect(storage.flush()).resolves.toBeUndefined()
+    })
+  })
+
+  describe('Loading', () => {
+    test('should load every record with load()', async () => {
+      const adapter = createMemoryAdapter()
+      const first = createPersistentStorage(adapter)
+
+      associate('dark', 'user:42', 'theme', { storage: first })
+      associate('gone', 'user:42', 'session', { storage: first, ttl: 10 })
+      associate(7, 7, 'answer', { storage: first })
+      await first.flush()
+
+      const clock = () => Date.now() + 1000
+      const second = createPersistentStorage(adapter, { clock })
+
+      await second.load()
+
+      expect(entriesOf('user:42', { storage: second })).toEqual([['theme', 'dark']])
+      expect(associated(7, 'answer', { storage: second })).toBe(7)
+      expect(second.pending).toBe(false)
+    })
+
+    test('should load sources on first use when lazy', () => {
+      const adapter = createMemoryAdapter([
+        ['{"type":"string","value":"user:42"}', [
+          { subkey: { type: 'string', value: 'theme' }, value: 'dark' },
+          { subkey: { type: 'string', value: 'font' }, value: 'serif' }
+        ]]
+      ])
+      const get = vi.spyOn(adapter, 'get')
+      const storage = createPersistentStorage(adapter, { lazy: true })
+
+      expect(associated('user:42', 'theme', { storage })).toBe('dark')
+      expect(associated('user:42', 'font', { storage })).toBe('serif')
+      expect(associated('user:7', 'theme', { storage })).toBeUndefined()
+      expect(associated('user:7', 'theme', { storage })).toBeUndefined()
+      expect(get).toHaveBeenCalledTimes(3)
+    })
+
+    test('should only remember loaded sources while they hold associations', async () => {
+      const adapter = createMemoryAdapter([
+        ['{"type":"string","value":"user:42"}', [
+          { subkey: { type: 'string', value: 'theme' }, value: 'dark' }
+        ]]
+      ])
+      const get = vi.spyOn(adapter, 'get')
+      const storage = createPersistentStorage(adapter, { lazy: true })
+
+      for (let i = 0; i < 3; i++)
+        associated(`user:${i}`, 'theme', { storage })
+
+      expect(get).toHaveBeenCalledTimes(3)
+      associated('user:0', 'theme', { storage })
+      expect(get).toHaveBeenCalledTimes(4)
+
+      expect(associated('user:42', 'theme', { storage })).toBe('dark')
+      disassociate('user:42', undefined, { storage })
+      expect(associated('user:42', 'theme', { storage })).toBeUndefined()
+      expect(get).toHaveBeenCalledTimes(5)
+
+      await storage.flush()
+
+      expect(adapter.records.size).toBe(0)
+      expect(associated('user:42', 'theme', { storage })).toBeUndefined()
+      expect(get).toHaveBeenCalledTimes(6)
+    })
+
+    test('should not lose stored subkeys when writing before a lazy load', async () => {
+      const records = createMemoryAdapter([
+        ['{"type":"string","value":"user:42"}', [
+          { subkey: { type: 'string', value: 'theme' }, value: 'dark' }
+        ]]
+      ])
+      const adapter = asyncAdapter(records)
+      const storage = createPersistentStorage(adapter, { lazy: true })
+
+      associate('serif', 'user:42', 'font', { storage })
+      await storage.load('user:42')
+      await storage.flush()
+
+      expect(associated('user:42', 'theme', { storage })).toBe('dark')
+      expect(records.records.get('{"type":"string","value":"user:42"}')).toHaveLength(2)
+    })
+  })
+
+  describe('Adapters', () => {
+    const directories = []
+
+    afterEach(() => {
+      for (const directory of directories.splice(0))
+        rmSync(directory, { recursive: true, force: true })
+    })
+
+    test.each([
+      ['memory', () => createMemoryAdapter()],
+      ['JSON file', () => {
+        const directory = mkdtempSync(join(tmpdir(), 'associations-'))
+
+        directories.push(directory)
+
+        return createJsonFileAdapter(join(directory, 'associations.json'))
+      }],
+    ])('should hand out copies of records (%s)', async (name, create) => {
+      const adapter = create()
+      const record = [{ subkey: { type: 'string', value: 'theme' }, value: { dark: true } }]
+
+      await adapter.set('key', record)
+      record[0].value.dark = false
+      adapter.get('key')[0].value.dark = false
+
+      expect(adapter.get('key')).toEqual([
+        { subkey: { type: 'string', value: 'theme' }, value: { dark: true } }
+      ])
+      expect(adapter.get('missing')).toBeUndefined()
+      await adapter.saved?.()
+    })
+  })
+
+  describe('JSON File Adapter', () => {
+    test('should persist to a file across storages', async () => {
+      const directory = mkdtempSync(join(tmpdir(), 'associations-'))
+      const path = join(directory, 'associations.json')
+
+      try {
+        const adapter = createJsonFileAdapter(path)
+        const storage = createPersistentStorage(adapter)
+
+        associate({ dark: true }, 'user:42', 'theme', { storage })
+        await storage.flush()
+        await adapter.saved()
+
+        expect(JSON.parse(readFileSync(path, 'utf8'))).toHaveProperty(
+          ['{"type":"string","value":"user:42"}']
+        )
+
+        const reopened = createPersistentStorage(createJsonFileAdapter(path), { lazy: true })
+
+        expect(associated('user:42', 'theme', { storage: reopened })).toEqual({ dark: true })
+      }
+      finally {
+        rmSync(directory, { recursive: true, force: true })
+      }
+    })
+  })
+})
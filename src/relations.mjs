@@ -0,0 +1,440 @@
+import {
+  associate,
+  associated,
+  canBeHeldWeakly,
+  disassociate,
+  getStorageMap,
+} from './associations.mjs'
+
+/**
+ * Bidirectional relationships built on top of associations. Where associate()
+ * stores a one-way link from a source to a value, relate() links two
+ * endpoints under a relation name and its inverse, keeping both sides in
+ * sync. For example relating a child to its parent under `'parent'` with the
+ * inverse `'children'` also adds the child to the parent's children.
+ *
+ * Relations never create strong reference cycles. Endpoints that can be held
+ * weakly are stored as WeakRefs, so relating two objects does not keep either
+ * of them alive. When an endpoint is garbage collected, its own side of every
+ * relation disappears with it and it is pruned from the other side as well.
+ *
+ * Each side of a relation is stored as an association under the relation
+ * name, holding a {@link RelationLinks} instance. The links are immutable;
+ * every change stores a new instance so that observers registered through
+ * observe() see a `'replace'` event. Use related() to read the endpoints.
+ *
+ * @module Relations
+ */
+export const Relations = (function () {
+  // Relation definitions, per AssociationStorage. Each storage maps a
+  // relation name to `{ inverse, many }`, where many indicates that the side
+  // holds any number of endpoints rather than at most one.
+  const definitions = new WeakMap()
+
+  // Prunes collected endpoints from the opposite side of their relations.
+  const registry = new FinalizationRegistry(held => prune(held))
+
+  // The supported cardinalities, expressed as [many a, many b] where `a` is
+  // the endpoint holding the relation name and `b` the one holding its
+  // inverse. 'one-to-many' thus lets one `a` relate to many `b`s.
+  const kCardinalities = {
+    'one-to-one': [false, false],
+    'one-to-many': [false, true],
+    'many-to-one': [true, false],
+    'many-to-many': [true, true],
+  }
+
+  /**
+   * An immutable list of related endpoints. Weakly holdable endpoints are kept
+   * as WeakRefs and silently drop out once collected; primitive endpoints are
+   * kept as is.
+   */
+  class RelationLinks {
+    /**
+     * Creates a new set of links. This is normally only done internally.
+     *
+     * @param {Array<{ref?: WeakRef, value?: *}>} [entries=[]] the link entries
+     */
+    constructor(entries = []) {
+      this.entries = Object.freeze([...entries])
+    }
+
+    /**
+     * The number of live endpoints.
+     *
+     * @type {number}
+     */
+    get size() {
+      return [...this].length
+    }
+
+    /**
+     * Determines whether the endpoint is among the links.
+     *
+     * @param {*} endpoint the endpoint to look for
+     * @returns {boolean} true if it is linked
+     */
+    has(endpoint) {
+      return this.entryFor(endpoint) !== undefined
+    }
+
+    /**
+     * Finds the entry holding the supplied endpoint.
+     *
+     * @param {*} endpoint the endpoint to look for
+     * @returns {Object|undefined} the entry or undefined if not linked
+     */
+    entryFor(endpoint) {
+      return this.entries.find(entry => resolve(entry) === endpoint)
+    }
+
+    /**
+     * Iterates over the live endpoints.
+     *
+     * @yields {*} each endpoint that has not been collected
+     */
+    *[Symbol.iterator]() {
+      for (const entry of this.entries) {
+        const endpoint = resolve(entry)
+
+        if (endpoint !== undefined)
+          yield endpoint
+      }
+    }
+  }
+
+  /**
+   * Dereferences a link entry.
+   *
+   * @private
+   * @param {{ref?: WeakRef, value?: *}} entry the entry to resolve
+   * @returns {*} the endpoint or undefined if it was collected
+   */
+  function resolve(entry) {
+    return entry.ref ? entry.ref.deref() : entry.value
+  }
+
+  /**
+   * Looks up, or on first use records, the definition of a relation and its
+   * inverse for a storage.
+   *
+   * @private
+   * @param {Object} storage the AssociationStorage or carrier
+   * @param {*} name the relation name
+   * @param {Object} [spec] the inverse and cardinality requested by relate();
+   * when omitted, the relation must already be defined
+   * @returns {{inverse: *, many: boolean}|undefined} the definition
+   */
+  function definitionOf(storage, name, spec) {
+    const scope = getStorageMap(storage)
+    let relations = definitions.get(scope)
+
+    if (!relations) {
+      relations = new Map()
+      definitions.set(scope, relations)
+    }
+
+    const existing = relations.get(name)
+
+    if (!spec)
+      return existing
+
+    const { inverse, cardinality } = spec
+    const [manyA, manyB] = kCardinalities[cardinality] ?? []
+
+    if (manyA === undefined) {
+      throw new TypeError(
+        `Unknown relation cardinality '${String(cardinality)}'; expected ` +
+        `one of ${Object.keys(kCardinalities).join(', ')}`
+      )
+    }
+
+    if (inverse === name && manyA !== manyB) {
+      throw new TypeError(
+        `Relation '${String(name)}' is its own inverse and must use a ` +
+        `symmetric cardinality`
+      )
+    }
+
+    if (existing) {
+      const inverseDefinition = relations.get(existing.inverse)
+
+      if (
+        existing.inverse !== inverse ||
+        existing.many !== manyB ||
+        inverseDefinition.many !== manyA
+      ) {
+        throw new Error(
+          `Relation '${String(name)}' is already defined with inverse ` +
+          `'${String(existing.inverse)}' and a different cardinality`
+        )
+      }
+
+      return existing
+    }
+
+    if (relations.has(inverse)) {
+      throw new Error(
+        `Relation '${String(inverse)}' is already the inverse of ` +
+        `'${String(relations.get(inverse).inverse)}'`
+      )
+    }
+
+    relations.set(inverse, { inverse: name, many: manyA })
+    relations.set(name, { inverse, many: manyB })
+
+    return relations.get(name)
+  }
+
+  /**
+   * Reads the links stored on one side of a relation.
+   *
+   * @private
+   * @param {*} source the endpoint whose links to read
+   * @param {*} name the relation name on that endpoint
+   * @param {Object} storage the storage carrier
+   * @returns {RelationLinks} the links, empty if none are stored
+   */
+  function linksOf(source, name, storage) {
+    const links = associated(source, name, { storage })
+
+    return links instanceof RelationLinks ? links : new RelationLinks()
+  }
+
+  /**
+   * Replaces the links stored on one side of a relation, disassociating the
+   * relation name entirely once no live endpoints remain.
+   *
+   * @private
+   * @param {*} source the endpoint whose links to replace
+   * @param {*} name the relation name on that endpoint
+   * @param {Array<Object>} entries the link entries to store
+   * @param {Object} storage the storage carrier
+   */
+  function storeLinks(source, name, entries, storage) {
+    const links = new RelationLinks(entries.filter(e => resolve(e) !== undefined))
+
+    if (links.entries.length)
+      associate(links, source, name, { storage })
+
+    else
+      disassociate(source, name, { storage })
+  }
+
+  /**
+   * Adds `target` to the `name` side of `source`.
+   *
+   * @private
+   */
+  function link(source, target, name, storage) {
+    const links = linksOf(source, name, storage)
+
+    if (links.has(target))
+      return
+
+    const entry = canBeHeldWeakly(target)
+      ? { ref: new WeakRef(target) }
+      : { value: target }
+
+    // Once the target is collected, prune it from the source's side. The
+    // entry doubles as unregister token for when the link is removed first.
+    if (entry.ref) {
+      registry.register(target, {
+        source: canBeHeldWeakly(source) ? new WeakRef(source) : source,
+        storage: new WeakRef(storage),
+        name,
+      }, entry)
+    }
+
+    storeLinks(source, name, [...links.entries, entry], storage)
+  }
+
+  /**
+   * Removes `target` from the `name` side of `source`.
+   *
+   * @private
+   * @returns {boolean} true if the target was linked
+   */
+  function unlink(source, target, name, storage) {
+    const links = linksOf(source, name, storage)
+    const entry = links.entryFor(target)
+
+    if (!entry)
+      return false
+
+    registry.unregister(entry)
+    storeLinks(source, name, links.entries.filter(e => e !== entry), storage)
+
+    return true
+  }
+
+  /**
+   * Finalization callback removing collected endpoints from the side of a
+   * relation that referred to them.
+   *
+   * @private
+   * @param {{source: *, storage: WeakRef, name: *}} held the registered info
+   */
+  function prune({ source, storage, name }) {
+    source = source instanceof WeakRef ? source.deref() : source
+    storage = storage.deref()
+
+    if (source === undefined || storage === undefined || storage.disposed)
+      return
+
+    const links = linksOf(source, name, storage)
+
+    if (links.entries.some(entry => resolve(entry) === undefined))
+      storeLinks(source, name, [...links.entries], storage)
+  }
+
+  /**
+   * Relates two endpoints under a relation name and its inverse. Afterwards
+   * `related(a, name)` includes `b` and `related(b, inverse)` includes `a`.
+   *
+   * The cardinality is given from the point of view of `a`: with
+   * `'one-to-many'` one `a` may relate to many `b`s while each `b` relates
+   * to at most one `a`. When relating an endpoint whose side may only hold
+   * one endpoint, its previous relation is removed from both sides first.
+   *
+   * A relation and its inverse are defined on first use within a storage.
+   * Later calls must use the same inverse and cardinality, or an Error is
+   * thrown. When no inverse is given, the relation is its own inverse, as
+   * with `'friends'` or `'spouse'`.
+   *
+   * @param {*} a the endpoint to store the relation name on
+   * @param {*} b the endpoint to store the inverse on
+   * @param {*} name the relation name, used as subkey on `a`
+   * @param {Object} [options={}] - Configuration options
+   * @param {*} [options.inverse=name] - The inverse relation name, used as
+   * subkey on `b`
+   * @param {string} [options.cardinality='many-to-many'] - One of
+   * `'one-to-one'`, `'one-to-many'`, `'many-to-one'` or `'many-to-many'`
+   * @param {Object} [options.storage=globalThis] - Where the relation is
+   * stored
+   * @returns {*} the endpoint `b`
+   *
+   * @example
+   * // Each child has one parent, each parent many children
+   * relate(child, parent, 'parent', {
+   *   inverse: 'children',
+   *   cardinality: 'many-to-one'
+   * })
+   *
+   * related(child, 'parent')    // parent
+   * related(parent, 'children') // [child]
+   */
+  function relate(a, b, name, options = {}) {
+    const {
+      inverse = name,
+      cardinality = 'many-to-many',
+      storage = globalThis,
+    } = options
+
+    if (a === undefined || b === undefined)
+      throw new TypeError(`Cannot relate undefined endpoints`)
+
+    const definition = definitionOf(storage, name, { inverse, cardinality })
+    const inverseDefinition = definitionOf(storage, inverse)
+
+    if (!definition.many) {
+      for (const current of linksOf(a, name, storage)) {
+        if (current !== b)
+          unrelate(a, current, name, { storage })
+      }
+    }
+
+    if (!inverseDefinition.many) {
+      for (const current of linksOf(b, inverse, storage)) {
+        if (current !== a)
+          unrelate(current, b, name, { storage })
+      }
+    }
+
+    link(a, b, name, storage)
+    link(b, a, inverse, storage)
+
+    return b
+  }
+
+  /**
+   * Removes the relation between two endpoints from both sides. When `b` is
+   * omitted, every endpoint related to `a` under the relation name is
+   * unrelated.
+   *
+   * @param {*} a the endpoint holding the relation name
+   * @param {*} [b] the endpoint holding the inverse
+   * @param {*} name the relation name
+   * @param {Object} [options={}] - Configuration options
+   * @param {Object} [options.storage=globalThis] - Where the relation is
+   * stored
+   * @returns {boolean} true if anything was unrelated
+   *
+   * @example
+   * unrelate(child, parent, 'parent')
+   * related(parent, 'children') // []
+   */
+  function unrelate(a, b, name, options = {}) {
+    const { storage = globalThis } = options
+    const definition = definitionOf(storage, name)
+
+    if (!definition)
+      return false
+
+    if (b === undefined) {
+      let removed = false
+
+      for (const current of linksOf(a, name, storage))
+        removed = unrelate(a, current, name, { storage }) || removed
+
+      return removed
+    }
+
+    const removed = unlink(a, b, name, storage)
+
+    return unlink(b, a, definition.inverse, storage) || removed
+  }
+
+  /**
+   * Reads the endpoints related to a source under a relation name. For sides
+   * that hold at most one endpoint, that endpoint (or undefined) is returned;
+   * otherwise an array of all live endpoints.
+   *
+   * @param {*} source the endpoint to read the relation of
+   * @param {*} name the relation name
+   * @param {Object} [options={}] - Configuration options
+   * @param {Object} [options.storage=globalThis] - Where the relation is
+   * stored
+   * @returns {*|Array<*>} the related endpoint or endpoints
+   *
+   * @example
+   * related(parent, 'children').forEach(child => child.render())
+   */
+  function related(source, name, options = {}) {
+    const { storage = globalThis } = options
+    const definition = definitionOf(storage, name)
+    const endpoints = [...linksOf(source, name, storage)]
+
+    return definition && !definition.many ? endpoints[0] : endpoints
+  }
+
+  return Object.defineProperty({
+    // functions
+    related,
+    relate,
+    unrelate,
+
+    // classes
+    RelationLinks,
+  }, Symbol.toStringTag, {value: 'Relations', enumerable: false})
+})()
+
+export const {
+  // functions
+  related,
+  relate,
+  unrelate,
+
+  // classes
+  RelationLinks,
+} = Relations
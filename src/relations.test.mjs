@@ -0,0 +1,209 @@
+import { describe, test, expect, vi } from 'vitest'
+import { associated, observe } from './associations.mjs'
+import { relate, unrelate, related, RelationLinks } from './relations.mjs'
+
+describe('Relations Module', () => {
+  describe('Relating Endpoints', () => {
+    test('should maintain the inverse link automatically', () => {
+      const storage = {}
+      const parent = { name: 'parent' }
+      const child = { name: 'child' }
+
+      relate(child, parent, 'parent', {
+        inverse: 'children',
+        cardinality: 'many-to-one',
+        storage
+      })
+
+      expect(related(child, 'parent', { storage })).toBe(parent)
+      expect(related(parent, 'children', { storage })).toEqual([child])
+      expect(associated(child, 'parent', { storage })).toBeInstanceOf(RelationLinks)
+    })
+
+    test('should treat relations without an inverse as symmetric', () => {
+      const storage = {}
+      const alice = { name: 'alice' }
+      const bob = { name: 'bob' }
+
+      relate(alice, bob, 'friends', { storage })
+
+      expect(related(alice, 'friends', { storage })).toEqual([bob])
+      expect(related(bob, 'friends', { storage })).toEqual([alice])
+    })
+
+    test('should relate primitive endpoints', () => {
+      const storage = {}
+
+      relate('user:1', 'group:admins', 'groups', { inverse: 'members', storage })
+      relate('user:2', 'group:admins', 'groups', { inverse: 'members', storage })
+
+      expect(related('group:admins', 'members', { storage }))
+        .toEqual(['user:1', 'user:2'])
+    })
+
+    test('should return no endpoints for unknown relations', () => {
+      expect(related({}, 'unknown', { storage: {} })).toEqual([])
+    })
+  })
+
+  describe('Cardinality', () => {
+    test('should replace the previous endpoint of one-to-one relations', () => {
+      const storage = {}
+      const options = { inverse: 'owner', cardinality: 'one-to-one', storage }
+      const user = { name: 'user' }
+      const first = { name: 'first' }
+      const second = { name: 'second' }
+
+      relate(user, first, 'profile', options)
+      relate(user, second, 'profile', options)
+
+      expect(related(user, 'profile', { storage })).toBe(second)
+      expect(related(first, 'owner', { storage })).toBeUndefined()
+      expect(related(second, 'owner', { storage })).toBe(user)
+    })
+
+    test('should move the single side of one-to-many relations', () => {
+      const storage = {}
+      const options = { inverse: 'parent', cardinality: 'one-to-many', storage }
+      const oldParent = { name: 'old' }
+      const newParent = { name: 'new' }
+      const child = { name: 'child' }
+
+      relate(oldParent, child, 'children', options)
+      relate(newParent, child, 'children', options)
+
+      expect(related(oldParent, 'children', { storage })).toEqual([])
+      expect(related(newParent, 'children', { storage })).toEqual([child])
+      expect(related(child, 'parent', { storage })).toBe(newParent)
+    })
+
+    test('should keep every endpoint of many-to-many relations', () => {
+      const storage = {}
+      const options = { inverse: 'students', storage }
+      const [s1, s2] = [{ name: 's1' }, { name: 's2' }]
+      const [c1, c2] = [{ name: 'c1' }, { name: 'c2' }]
+
+      relate(s1, c1, 'courses', options)
+      relate(s1, c2, 'courses', options)
+      relate(s2, c1, 'courses', options)
+
+      expect(related(s1, 'courses', { storage })).toEqual([c1, c2])
+      expect(related(c1, 'students', { storage })).toEqual([s1, s2])
+    })
+
+    test('should reject conflicting or unknown definitions', () => {
+      const storage = {}
+      const [a, b] = [{}, {}]
+
+      relate(a, b, 'parent', { inverse: 'children', cardinality: 'many-to-one', storage })
+
+      expect(() => relate(a, b, 'parent', { inverse: 'kids', storage }))
+        .toThrow(/already defined/)
+      expect(() => relate(a, b, 'other', { cardinality: 'some-to-some', storage }))
+        .toThrow(TypeError)
+      expect(() => relate(a, b, 'self', { cardinality: 'one-to-many', storage }))
+        .toThrow(/symmetric/)
+    })
+  })
+
+  describe('Unrelating Endpoints', () => {
+    test('should update both sides', () => {
+      const storage = {}
+      const options = { inverse: 'children', cardinality: 'many-to-one', storage }
+      const parent = {}
+      const [child1, child2] = [{}, {}]
+
+      relate(child1, parent, 'parent', options)
+      relate(child2, parent, 'parent', options)
+
+      expect(unrelate(child1, parent, 'parent', { storage })).toBe(true)
+      expect(unrelate(child1, parent, 'parent', { storage })).toBe(false)
+
+      expect(related(child1, 'parent', { storage })).toBeUndefined()
+      expect(related(parent, 'children', { storage })).toEqual([child2])
+      expect(associated(child1, 'parent', { storage })).toBeUndefined()
+    })
+
+    test('should unrelate every endpoint when none is given', () => {
+      const storage = {}
+      const parent = {}
+      const [child1, child2] = [{}, {}]
+      const options = { inverse: 'parent', cardinality: 'one-to-many', storage }
+
+      relate(parent, child1, 'children', options)
+      relate(parent, child2, 'children', options)
+
+      expect(unrelate(parent, undefined, 'children', { storage })).toBe(true)
+      expect(related(parent, 'children', { storage })).toEqual([])
+      expect(related(child1, 'parent', { storage })).toBeUndefined()
+      expect(related(child2, 'parent', { storage })).toBeUndefined()
+    })
+
+    test('should notify observers of both sides', () => {
+      const storage = {}
+      const [a, b] = [{}, {}]
+      const listener = vi.fn()
+
+      relate(a, b, 'linked', { storage })
+      observe(a, 'linked', listener, { storage })
+      observe(b, 'linked', listener, { storage })
+      unrelate(a, b, 'linked', { storage })
+
+      expect(listener).toHaveBeenCalledTimes(2)
+      expect(listener.mock.calls.map(([event]) => event.reason))
+        .toEqual(['delete', 'delete'])
+    })
+  })
+
+  describe('Garbage Collection', () => {
+    async function collect(until) {
+      for (let i = 0; i < 20; i++) {
+        await new Promise(resolve => setTimeout(resolve, 0))
+        globalThis.gc()
+
+        if (until())
+          return true
+      }
+
+      return false
+    }
+
+    test('should not keep related endpoints alive', async () => {
+      const storage = {}
+      const parent = { name: 'parent' }
+      const ref = (() => {
+        const child = { name: 'child' }
+
+        relate(child, parent, 'parent', {
+          inverse: 'children',
+          cardinality: 'many-to-one',
+          storage
+        })
+
+        return new WeakRef(child)
+      })()
+
+      expect(await collect(() => !ref.deref())).toBe(true)
+      expect(related(parent, 'children', { storage })).toEqual([])
+    })
+
+    test('should prune collected endpoints from the other side', async () => {
+      const storage = {}
+      const parent = { name: 'parent' }
+      const listener = vi.fn()
+
+      ;(() => {
+        relate({ name: 'child' }, parent, 'parent', {
+          inverse: 'children',
+          cardinality: 'many-to-one',
+          storage
+        })
+      })()
+
+      observe(parent, 'children', listener, { storage })
+
+      expect(await collect(() => listener.mock.calls.length > 0)).toBe(true)
+      expect(associated(parent, 'children', { storage })).toBeUndefined()
+    })
+  })
+})
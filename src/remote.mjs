@@ -0,0 +1,616 @@
+import {
+  associate,
+  associated,
+  canBeHeldWeakly,
+  createStorage,
+  disassociate,
+  getStorageMap,
+  kDefaultKey,
+} from './associations.mjs'
+
+/**
+ * Associations shared between threads and realms. Workers, iframes and the
+ * like cannot share a storage, but they can exchange messages.
+ * createRemoteStorage() connects a storage to a `MessagePort`, a Node
+ * `worker_threads` port, a Worker, or anything else with `postMessage()`
+ * and either `addEventListener('message')` or `on('message')`.
+ *
+ * Only associations with primitive sources and subkeys, including symbols
+ * registered with `Symbol.for()`, can be shared, since those are the only
+ * keys that mean the same thing in every realm. Values are copied with the
+ * structured clone algorithm, so they must be cloneable.
+ *
+ * Three roles are supported:
+ *
+ * - `'owner'` holds the authoritative storage and answers the requests of
+ *   clients on the other end of the channel.
+ * - `'client'` forwards associate(), associated() and disassociate() to the
+ *   owner; its methods return promises.
+ * - `'replica'` keeps a full local copy that is read synchronously. Every
+ *   change made to it, through any code path, is sent to the other end,
+ *   and concurrent changes to the same association are resolved by keeping
+ *   the last write, by timestamp and then by replica id.
+ *
+ * @module Remote
+ */
+export const Remote = (function () {
+  // Identifies messages of this protocol among others on the same channel
+  const kProtocol = 'ne-associations'
+  const kProtocolVersion = 1
+
+  // The roles a RemoteStorage can take
+  const kModes = ['owner', 'client', 'replica']
+
+  // Errors an owner reports are rethrown as these types on clients
+  const kErrorTypes = { Error, RangeError, ReferenceError, SyntaxError, TypeError }
+
+  // Reasons of change events after which the subkey no longer exists
+  const kRemovalReasons = ['delete', 'clear', 'expired', 'evicted']
+
+  /**
+   * Encodes a source or subkey for a message.
+   *
+   * @private
+   * @param {*} key the key to encode
+   * @returns {{value: *}|{symbol: string}} the encoded key
+   * @throws {TypeError} if the key has no identity across realms
+   */
+  function encodeKey(key) {
+    if (typeof key === 'symbol' && Symbol.keyFor(key) !== undefined)
+      return { symbol: Symbol.keyFor(key) }
+
+    if (canBeHeldWeakly(key)) {
+      throw new TypeError(
+        `Remote associations require primitive or Symbol.for() keys, got '${String(key)}'`
+      )
+    }
+
+    return { value: key }
+  }
+
+  /**
+   * Decodes a key encoded by encodeKey().
+   *
+   * @private
+   * @param {{value: *}|{symbol: string}} encoded the encoded key
+   * @returns {*} the key
+   */
+  function decodeKey(encoded) {
+    return 'symbol' in encoded ? Symbol.for(encoded.symbol) : encoded.value
+  }
+
+  /**
+   * Starts listening to the messages of a channel.
+   *
+   * @private
+   * @param {Object} port the channel
+   * @param {Function} listener receives the data of each message
+   * @returns {Function} a function that stops listening
+   * @throws {TypeError} if the channel cannot be listened to
+   */
+  function listen(port, listener) {
+    if (typeof port?.postMessage !== 'function')
+      throw new TypeError(`createRemoteStorage() requires a port with postMessage()`)
+
+    if (typeof port.addEventListener === 'function') {
+      const onMessage = event => listener(event.data)
+
+      port.addEventListener('message', onMessage)
+      port.start?.()
+
+      return () => port.removeEventListener('message', onMessage)
+    }
+
+    if (typeof port.on === 'function') {
+      port.on('message', listener)
+
+      return () => (port.off ?? port.removeListener).call(port, 'message', listener)
+    }
+
+    throw new TypeError(`createRemoteStorage() requires a port that emits 'message' events`)
+  }
+
+  /**
+   * Creates a random identifier for a replica.
+   *
+   * @private
+   * @returns {string} the identifier
+   */
+  function randomId() {
+    return globalThis.crypto?.randomUUID?.() ??
+      Math.random().toString(36).slice(2) + Date.now().toString(36)
+  }
+
+  /**
+   * One end of a channel sharing associations. Create instances with
+   * createRemoteStorage().
+   */
+  class RemoteStorage {
+    #port
+    #mode
+    #storage
+    #stop
+    #unobserve = () => {}
+    #pending = new Map()
+    #nextId = 0
+    #stamps = new Map()
+    #replicaId
+    #clock
+    #onError
+    #time = 0
+    #applying = false
+    #closed = false
+
+    /**
+     * @param {Object} port the channel
+     * @param {Object} options see createRemoteStorage()
+     */
+    constructor(port, { mode, storage, clock, replicaId, onError }) {
+      this.#port = port
+      this.#mode = mode
+      this.#storage = mode === 'client' ? undefined : getStorageMap(storage)
+      this.#clock = clock
+      this.#onError = onError
+      this.#replicaId = String(replicaId)
+      this.#stop = listen(port, data => this.#receive(data))
+
+      if (mode === 'replica') {
+        this.#unobserve = this.#storage.observe(changes => this.#publish(changes))
+        this.#post({ type: 'hello' })
+      }
+    }
+
+    /**
+     * The role of this end: 'owner', 'client' or 'replica'.
+     *
+     * @type {string}
+     */
+    get mode() {
+      return this.#mode
+    }
+
+    /**
+     * The local storage of an owner or replica; undefined for clients.
+     *
+     * @type {AssociationStorage|undefined}
+     */
+    get storage() {
+      return this.#storage
+    }
+
+    /**
+     * Associates a value, like associate().
+     *
+     * @param {*} value a structured-cloneable value
+     * @param {*} source a primitive or `Symbol.for()` source
+     * @param {*} [subkey=kDefaultKey] a primitive or `Symbol.for()` subkey
+     * @returns {*|Promise<*>} the value; a promise for clients
+     */
+    associate(value, source, subkey = kDefaultKey) {
+      return this.#run('associate', source, subkey, value)
+    }
+
+    /**
+     * Reads an associated value, like associated().
+     *
+     * @param {*} source a primitive or `Symbol.for()` source
+     * @param {*} [subkey=kDefaultKey] a primitive or `Symbol.for()` subkey
+     * @param {Object} [options={}] - Configuration options
+     * @param {*} [options.defaultValue] - Returned if nothing is associated
+     * @returns {*|Promise<*>} the value; a promise for clients
+     */
+    associated(source, subkey = kDefaultKey, options = {}) {
+      const { defaultValue } = options ?? {}
+      const result = this.#run('associated', source, subkey)
+      const fallback = value => value === undefined ? defaultValue : value
+
+      return this.#mode === 'client' ? result.then(fallback) : fallback(result)
+    }
+
+    /**
+     * Removes an associated value, like disassociate() with a subkey.
+     *
+     * @param {*} source a primitive or `Symbol.for()` source
+     * @param {*} [subkey=kDefaultKey] a primitive or `Symbol.for()` subkey
+     * @returns {boolean|Promise<boolean>} true if a value was removed; a
+     * promise for clients
+     */
+    disassociate(source, subkey = kDefaultKey) {
+      return this.#run('disassociate', source, subkey)
+    }
+
+    /**
+     * Stops listening to the channel. Pending client requests reject. The
+     * port itself is left open.
+     */
+    close() {
+      if (this.#closed)
+        return
+
+      this.#closed = true
+      this.#stop()
+      this.#unobserve()
+
+      for (const { reject } of this.#pending.values())
+        reject(new Error(`The remote storage was closed`))
+
+      this.#pending.clear()
+    }
+
+    /**
+     * Performs an operation locally, or on the owner for clients.
+     *
+     * @param {string} op 'associate', 'associated' or 'disassociate'
+     * @param {*} source the source
+     * @param {*} subkey the subkey
+     * @param {*} [value] the value for 'associate'
+     * @returns {*|Promise<*>} the result; a promise for clients
+     */
+    #run(op, source, subkey, value) {
+      const encoded = { source: encodeKey(source), subkey: encodeKey(subkey) }
+
+      if (this.#closed)
+        throw new Error(`The remote storage was closed`)
+
+      // A value that cannot be cloned could not be replicated, so it is
+      // refused before it is written
+      if (this.#mode === 'replica' && op === 'associate')
+        structuredClone(value)
+
+      if (this.#mode !== 'client')
+        return this.#apply(op, source, subkey, value)
+
+      const id = this.#nextId++
+
+      return new Promise((resolve, reject) => {
+        this.#pending.set(id, { resolve, reject })
+
+        // Values that cannot be cloned make postMessage() throw
+        try {
+          this.#post({ type: 'request', id, op, ...encoded, value })
+        }
+        catch (error) {
+          this.#pending.delete(id)
+          reject(error)
+        }
+      })
+    }
+
+    /**
+     * Performs an operation on the local storage.
+     *
+     * @param {string} op 'associate', 'associated' or 'disassociate'
+     * @param {*} source the source
+     * @param {*} subkey the subkey
+     * @param {*} [value] the value for 'associate'
+     * @returns {*} the result of the operation
+     */
+    #apply(op, source, subkey, value) {
+      const options = { storage: this.#storage }
+
+      switch (op) {
+        case 'associate':
+          return associate(value, source, subkey, options)
+
+        case 'associated':
+          return associated(source, subkey, options)
+
+        case 'disassociate':
+          return disassociate(source, subkey, options)
+
+        default:
+          throw new TypeError(`Unknown remote operation '${String(op)}'`)
+      }
+    }
+
+    /**
+     * Handles a message from the other end of the channel.
+     *
+     * @param {Object} data the message
+     */
+    #receive(data) {
+      if (data?.protocol !== kProtocol || data.version !== kProtocolVersion)
+        return
+
+      switch (`${this.#mode}:${data.type}`) {
+        case 'owner:request':
+          return this.#answer(data)
+
+        case 'client:response':
+          return this.#settle(data)
+
+        case 'replica:update':
+          return this.#merge(data)
+
+        case 'replica:hello':
+          return this.#greet()
+      }
+    }
+
+    /**
+     * Performs a client's request and sends the response. A result that
+     * cannot be cloned is answered with the error posting it raised.
+     *
+     * @param {Object} request the request message
+     */
+    #answer({ id, op, source, subkey, value }) {
+      try {
+        const result = this.#apply(op, decodeKey(source), decodeKey(subkey), value)
+
+        this.#post({ type: 'response', id, ok: true, result })
+      }
+      catch (error) {
+        this.#post({
+          type: 'response',
+          id,
+          ok: false,
+          error: { name: error?.name, message: error?.message ?? String(error) },
+        })
+      }
+    }
+
+    /**
+     * Resolves or rejects the request a response belongs to.
+     *
+     * @param {Object} response the response message
+     */
+    #settle({ id, ok, result, error }) {
+      const request = this.#pending.get(id)
+
+      if (!request)
+        return
+
+      this.#pending.delete(id)
+
+      if (ok)
+        return request.resolve(result)
+
+      const known = Object.hasOwn(kErrorTypes, error.name)
+      const rejection = new (known ? kErrorTypes[error.name] : Error)(error.message)
+
+      if (!known)
+        rejection.name = error.name ?? 'Error'
+
+      request.reject(rejection)
+    }
+
+    /**
+     * Sends the local changes of a replica to the other end. Collected
+     * sources were objects, which are never shared, so their events are
+     * skipped. Changes that cannot be posted, such as values written to the
+     * storage directly that cannot be cloned, stay local and are reported.
+     *
+     * @param {Array<Object>} changes the change events of the storage
+     */
+    #publish(changes) {
+      if (this.#applying)
+        return
+
+      for (const { source, subkey, reason, newValue } of changes) {
+        if (reason === 'collected' || source === undefined)
+          continue
+
+        if (!isShareable(source) || !isShareable(subkey))
+          continue
+
+        const stamp = { time: this.#tick(), replica: this.#replicaId }
+        const deleted = kRemovalReasons.includes(reason)
+
+        this.#stamps.set(stampKey(source, subkey), stamp)
+        this.#update(source, subkey, deleted ? undefined : newValue, deleted, stamp)
+      }
+    }
+
+    /**
+     * Sends every shareable association of a replica to a newly connected
+     * replica, stamped as they were last written.
+     */
+    #greet() {
+      for (const [source, wrapper] of this.#storage.entries()) {
+        if (!isShareable(source))
+          continue
+
+        wrapper.purge()
+
+        for (const [subkey, value] of wrapper.associations) {
+          if (!isShareable(subkey))
+            continue
+
+          this.#update(source, subkey, value, false,
+            this.#stamps.get(stampKey(source, subkey)) ??
+              { time: 0, replica: this.#replicaId })
+        }
+      }
+    }
+
+    /**
+     * Sends a change of one association to the other end of a replica. A
+     * change that cannot be posted is reported to `onError` instead.
+     *
+     * @param {*} source the source
+     * @param {*} subkey the subkey
+     * @param {*} value the new value
+     * @param {boolean} deleted whether the association was removed
+     * @param {{time: number, replica: string}} stamp when it was written
+     */
+    #update(source, subkey, value, deleted, stamp) {
+      try {
+        this.#post({
+          type: 'update',
+          source: encodeKey(source),
+          subkey: encodeKey(subkey),
+          value,
+          deleted,
+          stamp,
+        })
+      }
+      catch (error) {
+        this.#onError?.(error)
+      }
+    }
+
+    /**
+     * Applies a change from another replica unless a later one is known.
+     *
+     * @param {Object} update the update message
+     */
+    #merge({ source, subkey, value, deleted, stamp }) {
+      source = decodeKey(source)
+      subkey = decodeKey(subkey)
+
+      const key = stampKey(source, subkey)
+      const local = this.#stamps.get(key)
+
+      this.#time = Math.max(this.#time, stamp.time)
+
+      if (local && compareStamps(local, stamp) >= 0)
+        return
+
+      this.#stamps.set(key, stamp)
+      this.#applying = true
+
+      try {
+        if (deleted)
+          disassociate(source, subkey, { storage: this.#storage })
+
+        else
+          associate(value, source, subkey, { storage: this.#storage })
+      }
+      finally {
+        this.#applying = false
+      }
+    }
+
+    /**
+     * Returns a timestamp later than every timestamp seen so far.
+     *
+     * @returns {number} the timestamp
+     */
+    #tick() {
+      this.#time = Math.max(this.#clock(), this.#time + 1)
+
+      return this.#time
+    }
+
+    /**
+     * Sends a message of this protocol.
+     *
+     * @param {Object} message the message
+     */
+    #post(message) {
+      this.#port.postMessage({
+        protocol: kProtocol,
+        version: kProtocolVersion,
+        ...message,
+      })
+    }
+  }
+
+  /**
+   * Tests whether a key can be shared across realms.
+   *
+   * @private
+   * @param {*} key the key
+   * @returns {boolean} true for primitives and registered symbols
+   */
+  function isShareable(key) {
+    return !canBeHeldWeakly(key) &&
+      (typeof key !== 'symbol' || Symbol.keyFor(key) !== undefined)
+  }
+
+  /**
+   * Identifies an association in the table of write stamps of a replica.
+   *
+   * @private
+   * @param {*} source the source
+   * @param {*} subkey the subkey
+   * @returns {string} the identifier
+   */
+  function stampKey(source, subkey) {
+    const part = key => typeof key === 'symbol'
+      ? `y${Symbol.keyFor(key)}`
+      : `${typeof key}:${String(key)}`
+
+    return `${part(source)}\u0000${part(subkey)}`
+  }
+
+  /**
+   * Orders two write stamps, by timestamp and then by replica id.
+   *
+   * @private
+   * @param {{time: number, replica: string}} a the first stamp
+   * @param {{time: number, replica: string}} b the second stamp
+   * @returns {number} negative if a is older, positive if newer, else zero
+   */
+  function compareStamps(a, b) {
+    if (a.time !== b.time)
+      return a.time - b.time
+
+    return a.replica < b.replica ? -1 : a.replica > b.replica ? 1 : 0
+  }
+
+  /**
+   * Connects a storage to a message channel so that associations can be
+   * shared with the other end, such as a worker or an iframe.
+   *
+   * @param {Object} port a `MessagePort`, a `worker_threads` port, a Worker,
+   * or any object with `postMessage()` and either `addEventListener()` or
+   * `on()` for 'message' events. For windows, wrap `postMessage()` to supply
+   * the target origin.
+   * @param {Object} [options={}] - Configuration options
+   * @param {string} [options.mode='replica'] - 'owner', 'client' or
+   * 'replica'; see the module description
+   * @param {Object} [options.storage] - The AssociationStorage or carrier an
+   * owner or replica keeps its associations in; a new storage by default
+   * @param {Function} [options.clock=Date.now] - Timestamps replica writes
+   * @param {string} [options.replicaId] - Breaks ties between replica writes
+   * with equal timestamps; random by default
+   * @param {Function} [options.onError] - Receives the errors of replica
+   * changes that could not be sent, such as values that cannot be cloned
+   * written to the storage directly; those changes stay local
+   * @returns {RemoteStorage} this end of the channel
+   * @throws {TypeError} if the mode or port is not supported
+   *
+   * @example
+   * // main thread
+   * const worker = new Worker('./worker.js')
+   * const shared = createRemoteStorage(worker, { mode: 'owner' })
+   *
+   * shared.associate('online', 'user:42', 'presence')
+   *
+   * // worker.js
+   * const shared = createRemoteStorage(self, { mode: 'client' })
+   *
+   * await shared.associated('user:42', 'presence') // 'online'
+   */
+  function createRemoteStorage(port, options = {}) {
+    const {
+      mode = 'replica',
+      storage = createStorage(),
+      clock = Date.now,
+      replicaId = randomId(),
+      onError = undefined,
+    } = options
+
+    if (!kModes.includes(mode))
+      throw new TypeError(`Unknown remote storage mode '${String(mode)}'`)
+
+    return new RemoteStorage(port, { mode, storage, clock, replicaId, onError })
+  }
+
+  return Object.defineProperty({
+    // functions
+    createRemoteStorage,
+
+    // classes
+    RemoteStorage,
+  }, Symbol.toStringTag, {value: 'Remote', enumerable: false})
+})()
+
+export const {
+  // functions
+  createRemoteStorage,
+
+  // classes
+  RemoteStorage,
+} = Remote
@@ -0,0 +1,196 @@
+import { describe, test, expect, afterEach, vi } from 'vitest'
+import { MessageChannel } from 'node:worker_threads'
+import {
+  associate,
+  associated,
+  createStorage,
+  setStrictSubkeys
+} from './associations.mjs'
+import { createRemoteStorage, RemoteStorage } from './remote.mjs'
+
+// Waits until queued messages have been delivered
+const settle = () => new Promise(resolve => setTimeout(resolve, 20))
+
+describe('Remote Module', () => {
+  const channels = []
+
+  const connect = (first, second) => {
+    const channel = new MessageChannel()
+    const ends = [
+      createRemoteStorage(channel.port1, first),
+      createRemoteStorage(channel.port2, second)
+    ]
+
+    channels.push({ channel, ends })
+
+    return ends
+  }
+
+  afterEach(() => {
+    for (const { channel, ends } of channels.splice(0)) {
+      ends.forEach(end => end.close())
+      channel.port1.close()
+    }
+  })
+
+  describe('Owner Mode', () => {
+    test('should forward client operations to the owner', async () => {
+      const storage = createStorage()
+      const [owner, client] = connect({ mode: 'owner', storage }, { mode: 'client' })
+
+      expect(owner).toBeInstanceOf(RemoteStorage)
+      expect(client.storage).toBeUndefined()
+
+      await expect(client.associate({ online: true }, 'user:42', 'presence'))
+        .resolves.toEqual({ online: true })
+      expect(associated('user:42', 'presence', { storage })).toEqual({ online: true })
+
+      owner.associate('admin', 'user:42', Symbol.for('role'))
+
+      await expect(client.associated('user:42', Symbol.for('role'))).resolves.toBe('admin')
+      await expect(client.associated('user:7', 'presence', { defaultValue: null }))
+        .resolves.toBeNull()
+      await expect(client.disassociate('user:42', 'presence')).resolves.toBe(true)
+      expect(associated('user:42', 'presence', { storage })).toBeUndefined()
+    })
+
+    test('should reject requests the owner refuses', async () => {
+      const storage = createStorage()
+      const [, client] = connect({ mode: 'owner', storage }, { mode: 'client' })
+
+      setStrictSubkeys(true, { storage })
+
+      await expect(client.associate(1, 'a', 'undeclared')).rejects.toThrow(TypeError)
+
+      const closing = client.associated('a', 'undeclared')
+
+      client.close()
+
+      await expect(closing).rejects.toThrow('closed')
+    })
+
+    test('should reject requests whose values cannot be cloned', async () => {
+      const storage = createStorage()
+      const [, client] = connect({ mode: 'owner', storage }, { mode: 'client' })
+
+      await expect(client.associate(() => {}, 'a', 'callback'))
+        .rejects.toMatchObject({ name: 'DataCloneError' })
+
+      associate(() => {}, 'a', 'callback', { storage })
+
+      await expect(client.associated('a', 'callback'))
+        .rejects.toMatchObject({ name: 'DataCloneError' })
+      await expect(client.associate(1, 'a', 'count')).resolves.toBe(1)
+    })
+  })
+
+  describe('Replica Mode', () => {
+    test('should replicate changes made through any path', async () => {
+      const [left, right] = connect({ mode: 'replica' }, { mode: 'replica' })
+
+      left.associate('Ada', 'person:1', 'name')
+      associate(36, 'person:1', 'age', { storage: left.storage })
+      await settle()
+
+      expect(right.associated('person:1', 'name')).toBe('Ada')
+      expect(right.associated('person:1', 'age')).toBe(36)
+
+      right.disassociate('person:1', 'age')
+      await settle()
+
+      expect(left.associated('person:1', 'age')).toBeUndefined()
+    })
+
+    test('should keep the last write when writes conflict', async () => {
+      const [left, right] = connect(
+        { mode: 'replica', clock: () => 100, replicaId: 'a' },
+        { mode: 'replica', clock: () => 200, replicaId: 'b' }
+      )
+
+      right.associate('right', 'doc', 'title')
+      left.associate('left', 'doc', 'title')
+      await settle()
+
+      expect(left.associated('doc', 'title')).toBe('right')
+      expect(right.associated('doc', 'title')).toBe('right')
+
+      left.associate('after', 'doc', 'title')
+      await settle()
+
+      expect(right.associated('doc', 'title')).toBe('after')
+    })
+
+    test('should send existing associations to replicas that connect later', async () => {
+      const storage = createStorage()
+
+      associate('kept', 'config', 'theme', { storage })
+
+      const [, late] = connect({ mode: 'replica', storage }, { mode: 'replica' })
+
+      await settle()
+
+      expect(late.associated('config', 'theme')).toBe('kept')
+    })
+
+    test('should not share object keys', async () => {
+      const [left, right] = connect({ mode: 'replica' }, { mode: 'replica' })
+      const source = {}
+
+      expect(() => left.associate(1, source, 'value')).toThrow(TypeError)
+      expect(() => left.associate(1, 'source', Symbol('local'))).toThrow(TypeError)
+
+      associate(1, source, 'value', { storage: left.storage })
+      await settle()
+
+      expect([...right.storage.entries()]).toHaveLength(0)
+    })
+
+    test('should keep values that cannot be cloned local', async () => {
+      const onError = vi.fn()
+      const [left, right] = connect({ mode: 'replica', onError }, { mode: 'replica' })
+
+      expect(() => left.associate(() => 1, 'config', 'handler'))
+        .toThrow(expect.objectContaining({ name: 'DataCloneError' }))
+      expect(left.associated('config', 'handler')).toBeUndefined()
+
+      associate(() => 1, 'config', 'handler', { storage: left.storage })
+      left.associate('dark', 'config', 'theme')
+      await settle()
+
+      expect(onError).toHaveBeenCalledWith(expect.objectContaining({ name: 'DataCloneError' }))
+      expect(right.associated('config', 'handler')).toBeUndefined()
+      expect(right.associated('config', 'theme')).toBe('dark')
+
+      const [, late] = connect({ mode: 'replica', storage: left.storage }, { mode: 'replica' })
+
+      await settle()
+
+      expect(late.associated('config', 'theme')).toBe('dark')
+    })
+
+    test('should not share the collection of object sources', async () => {
+      const [left, right] = connect({ mode: 'replica' }, { mode: 'replica' })
+      const associateTemporary = () => associate(1, {}, 'value', { storage: left.storage })
+      const reasons = []
+
+      left.storage.observe(changes => reasons.push(...changes.map(({ reason }) => reason)))
+      associateTemporary()
+
+      for (let i = 0; i < 20 && !reasons.includes('collected'); i++) {
+        await new Promise(resolve => setTimeout(resolve, 0))
+        globalThis.gc()
+      }
+
+      await settle()
+
+      expect(reasons).toContain('collected')
+      expect(right.storage.sources()).toEqual([])
+    })
+  })
+
+  test('should reject unknown modes and ports', () => {
+    expect(() => createRemoteStorage(new MessageChannel().port1, { mode: 'peer' }))
+      .toThrow(TypeError)
+    expect(() => createRemoteStorage({})).toThrow(TypeError)
+  })
+})
@@ -0,0 +1,387 @@
+import {
+  associate,
+  associated,
+  kDefaultKey,
+  observe,
+} from './associations.mjs'
+
+/**
+ * Signals backed by associations. associationSignal() wraps one subkey of a
+ * source in a signal-like object that UI code can subscribe to, so that it
+ * re-renders whenever the association changes, whether through the signal,
+ * associate(), disassociate(), a transaction, eviction or expiration.
+ *
+ * The objects follow the shape of the TC39 Signals proposal: signals have
+ * `get()` and, when writable, `set(value)`, mirroring `Signal.State` and
+ * `Signal.Computed`. They additionally offer the `value` property, `peek()`
+ * and `subscribe()` familiar from signal libraries. computed() and effect()
+ * derive values from and react to any signal read through `get()` or
+ * `value`, tracking those reads automatically.
+ *
+ * Notifications are synchronous. Expiring associations only notify once
+ * their expiration is noticed by a read or a sweep.
+ *
+ * @module Signals
+ */
+export const Signals = (function () {
+  // The computation tracking the signals read while it runs, if any
+  let consumer = undefined
+
+  /**
+   * A signal reading and writing one association. Create instances with
+   * associationSignal().
+   */
+  class AssociationSignal {
+    #source
+    #subkey
+    #options
+
+    /**
+     * @param {*} source the source of the association
+     * @param {*} subkey the subkey of the association
+     * @param {Object} options the options passed to associate(),
+     * associated() and observe()
+     */
+    constructor(source, subkey, options) {
+      this.#source = source
+      this.#subkey = subkey
+      this.#options = options
+    }
+
+    /**
+     * The associated value; reading it is tracked by computed() and
+     * effect(), and writing it calls associate().
+     *
+     * @type {*}
+     */
+    get value() {
+      return this.get()
+    }
+
+    set value(value) {
+      this.set(value)
+    }
+
+    /**
+     * Reads the associated value, tracked by computed() and effect().
+     *
+     * @returns {*} the associated value
+     */
+    get() {
+      consumer?.track(this)
+
+      return this.peek()
+    }
+
+    /**
+     * Reads the associated value without being tracked.
+     *
+     * @returns {*} the associated value
+     */
+    peek() {
+      return associated(this.#source, this.#subkey, this.#options)
+    }
+
+    /**
+     * Associates a new value through associate().
+     *
+     * @param {*} value the value to associate
+     */
+    set(value) {
+      associate(value, this.#source, this.#subkey, this.#options)
+    }
+
+    /**
+     * Calls a function with the current value, and again whenever the
+     * association changes.
+     *
+     * @param {Function} fn receives the value
+     * @returns {Function} a function that unsubscribes
+     */
+    subscribe(fn) {
+      const unwatch = this.watch(() => fn(this.peek()))
+
+      fn(this.peek())
+
+      return unwatch
+    }
+
+    /**
+     * Calls a function, without arguments, whenever the association changes.
+     *
+     * @param {Function} listener the function to call
+     * @returns {Function} a function that stops watching
+     */
+    watch(listener) {
+      return observe(this.#source, this.#subkey, () => listener(), {
+        storage: this.#options.storage,
+      })
+    }
+  }
+
+  /**
+   * A read-only signal derived from other signals. Create instances with
+   * computed().
+   *
+   * The value is computed lazily. While the signal is watched, directly or
+   * through subscribe(), effects or other watched computed signals, it
+   * caches its value and recomputes only after a signal it read changed;
+   * otherwise every read recomputes it, so that unwatched computed signals
+   * hold no subscriptions.
+   */
+  class ComputedSignal {
+    #compute
+    #value = undefined
+    #dirty = true
+    #running = false
+    #watchers = new Set()
+    #unlinks = []
+
+    /**
+     * @param {Function} compute computes the value from other signals
+     */
+    constructor(compute) {
+      this.#compute = compute
+    }
+
+    /**
+     * The computed value; reading it is tracked.
+     *
+     * @type {*}
+     */
+    get value() {
+      return this.get()
+    }
+
+    /**
+     * Reads the computed value, tracked by computed() and effect().
+     *
+     * @returns {*} the computed value
+     */
+    get() {
+      consumer?.track(this)
+
+      return this.peek()
+    }
+
+    /**
+     * Reads the computed value without being tracked.
+     *
+     * @returns {*} the computed value
+     * @throws {Error} if the computation reads its own value
+     */
+    peek() {
+      if (this.#dirty || !this.#watchers.size)
+        this.#run()
+
+      return this.#value
+    }
+
+    /**
+     * Calls a function with the current value, and again whenever it changes.
+     *
+     * @param {Function} fn receives the value
+     * @returns {Function} a function that unsubscribes
+     */
+    subscribe(fn) {
+      const unwatch = this.watch(() => fn(this.peek()))
+
+      fn(this.peek())
+
+      return unwatch
+    }
+
+    /**
+     * Calls a function, without arguments, whenever a signal the value was
+     * computed from changes.
+     *
+     * @param {Function} listener the function to call
+     * @returns {Function} a function that stops watching
+     */
+    watch(listener) {
+      const entry = { listener }
+
+      this.#watchers.add(entry)
+
+      // Values computed while unwatched are not linked to their signals
+      if (this.#watchers.size === 1)
+        this.#run()
+
+      return () => {
+        const removed = this.#watchers.delete(entry)
+
+        if (removed && !this.#watchers.size) {
+          this.#unlink()
+          this.#dirty = true
+        }
+
+        return removed
+      }
+    }
+
+    /**
+     * Runs the computation, tracking the signals it reads, and watches them
+     * if this signal is watched itself.
+     */
+    #run() {
+      if (this.#running)
+        throw new Error(`Cycle detected: a computed signal reads its own value`)
+
+      const dependencies = new Set()
+      const previous = consumer
+
+      consumer = { track: signal => dependencies.add(signal) }
+      this.#running = true
+
+      try {
+        this.#value = this.#compute()
+      }
+      finally {
+        consumer = previous
+        this.#running = false
+      }
+
+      this.#unlink()
+      this.#dirty = false
+
+      if (this.#watchers.size) {
+        for (const dependency of dependencies)
+          this.#unlinks.push(dependency.watch(() => this.#invalidate()))
+      }
+    }
+
+    /**
+     * Marks the value as outdated and tells the watchers, once per change.
+     */
+    #invalidate() {
+      if (this.#dirty)
+        return
+
+      this.#dirty = true
+
+      for (const { listener } of [...this.#watchers]) {
+        try {
+          listener()
+        }
+        catch (error) {
+          queueMicrotask(() => { throw error })
+        }
+      }
+    }
+
+    /**
+     * Stops watching the signals the value was computed from.
+     */
+    #unlink() {
+      for (const unlink of this.#unlinks.splice(0))
+        unlink()
+    }
+  }
+
+  /**
+   * Creates a signal for the value associated with a source under a subkey.
+   * The signal does not store anything itself; every read goes through
+   * associated() and every write through associate(), with the given
+   * options.
+   *
+   * @param {*} source the source of the association
+   * @param {*} [subkey=kDefaultKey] the subkey of the association
+   * @param {Object} [options={}] - Options passed to associate(),
+   * associated() and, for its `storage`, observe(); for example `storage`,
+   * `defaultValue` or `ttl`
+   * @returns {AssociationSignal} the signal
+   *
+   * @example
+   * const title = associationSignal(doc, 'title', { defaultValue: 'Untitled' })
+   *
+   * const stop = title.subscribe(value => render(value))
+   *
+   * associate('Report', doc, 'title') // renders 'Report'
+   * title.value = 'Final report'      // renders 'Final report'
+   */
+  function associationSignal(source, subkey = kDefaultKey, options = {}) {
+    return new AssociationSignal(source, subkey ?? kDefaultKey, options ?? {})
+  }
+
+  /**
+   * Creates a read-only signal whose value is computed from other signals.
+   *
+   * @param {Function} compute computes the value, reading other signals
+   * through `get()` or `value`
+   * @returns {ComputedSignal} the signal
+   *
+   * @example
+   * const first = associationSignal(person, 'firstName')
+   * const last = associationSignal(person, 'lastName')
+   * const full = computed(() => `${first.value} ${last.value}`)
+   */
+  function computed(compute) {
+    if (typeof compute !== 'function')
+      throw new TypeError(`computed() requires a function`)
+
+    return new ComputedSignal(compute)
+  }
+
+  /**
+   * Runs a function now and again whenever a signal it read changes. If the
+   * function returns a function, that is called before each rerun and when
+   * the effect is disposed.
+   *
+   * @param {Function} fn the function to run
+   * @returns {Function} a function that disposes the effect
+   *
+   * @example
+   * const dispose = effect(() => {
+   *   element.textContent = title.value
+   * })
+   */
+  function effect(fn) {
+    if (typeof fn !== 'function')
+      throw new TypeError(`effect() requires a function`)
+
+    let cleanup = undefined
+
+    const runCleanup = () => {
+      const current = cleanup
+
+      cleanup = undefined
+
+      if (typeof current === 'function')
+        current()
+    }
+
+    const runner = new ComputedSignal(() => {
+      runCleanup()
+      cleanup = fn()
+    })
+
+    const unsubscribe = runner.subscribe(() => {})
+
+    return () => {
+      unsubscribe()
+      runCleanup()
+    }
+  }
+
+  return Object.defineProperty({
+    // functions
+    associationSignal,
+    computed,
+    effect,
+
+    // classes
+    AssociationSignal,
+    ComputedSignal,
+  }, Symbol.toStringTag, {value: 'Signals', enumerable: false})
+})()
+
+export const {
+  // functions
+  associationSignal,
+  computed,
+  effect,
+
+  // classes
+  AssociationSignal,
+  ComputedSignal,
+} = Signals
@@ -0,0 +1,134 @@
+import { describe, test, expect, vi } from 'vitest'
+import {
+  associate,
+  associated,
+  createStorage,
+  disassociate,
+  transaction
+} from './associations.mjs'
+import {
+  associationSignal,
+  computed,
+  effect,
+  AssociationSignal
+} from './signals.mjs'
+
+describe('Signals Module', () => {
+  describe('Association Signals', () => {
+    test('should read and write the association', () => {
+      const storage = createStorage()
+      const doc = {}
+      const title = associationSignal(doc, 'title', { storage, defaultValue: 'Untitled' })
+
+      expect(title).toBeInstanceOf(AssociationSignal)
+      expect(title.value).toBe('Untitled')
+
+      title.value = 'Report'
+
+      expect(associated(doc, 'title', { storage })).toBe('Report')
+      expect(title.get()).toBe('Report')
+
+      title.set('Final')
+
+      expect(title.peek()).toBe('Final')
+    })
+
+    test('should notify subscribers of changes made through any path', () => {
+      const storage = createStorage()
+      const doc = {}
+      const title = associationSignal(doc, 'title', { storage })
+      const fn = vi.fn()
+
+      const unsubscribe = title.subscribe(fn)
+
+      associate('a', doc, 'title', { storage })
+      transaction(() => {
+        associate('b', doc, 'title', { storage })
+        associate('c', doc, 'title', { storage })
+      }, { storage })
+      disassociate(doc, 'title', { storage })
+      associate('other', doc, 'body', { storage })
+
+      expect(fn.mock.calls.map(([value]) => value))
+        .toEqual([undefined, 'a', 'c', undefined])
+
+      unsubscribe()
+      associate('d', doc, 'title', { storage })
+
+      expect(fn).toHaveBeenCalledTimes(4)
+    })
+  })
+
+  describe('Computed Signals', () => {
+    test('should derive values from signals', () => {
+      const storage = createStorage()
+      const person = {}
+      const first = associationSignal(person, 'firstName', { storage })
+      const last = associationSignal(person, 'lastName', { storage })
+      const full = computed(() => `${first.value} ${last.value}`)
+
+      first.value = 'Ada'
+      last.value = 'Lovelace'
+
+      expect(full.get()).toBe('Ada Lovelace')
+    })
+
+    test('should cache while watched and recompute on change', () => {
+      const storage = createStorage()
+      const count = associationSignal('counter', 'count', { storage, defaultValue: 0 })
+      const compute = vi.fn(() => count.value * 2)
+      const double = computed(compute)
+      const fn = vi.fn()
+
+      double.subscribe(fn)
+      double.get()
+      double.get()
+
+      expect(compute).toHaveBeenCalledTimes(1)
+
+      count.value = 2
+
+      expect(fn.mock.calls.map(([value]) => value)).toEqual([0, 4])
+      expect(compute).toHaveBeenCalledTimes(2)
+    })
+
+    test('should detect cycles', () => {
+      const self = computed(() => self.get())
+
+      expect(() => self.get()).toThrow(/Cycle detected/)
+    })
+  })
+
+  describe('Effects', () => {
+    test('should rerun when a signal it read changes', () => {
+      const storage = createStorage()
+      const doc = {}
+      const title = associationSignal(doc, 'title', { storage })
+      const upper = computed(() => title.value?.toUpperCase())
+      const seen = []
+      const cleanup = vi.fn()
+
+      const dispose = effect(() => {
+        seen.push(upper.value)
+        return cleanup
+      })
+
+      associate('draft', doc, 'title', { storage })
+      associate('final', doc, 'title', { storage })
+
+      expect(seen).toEqual([undefined, 'DRAFT', 'FINAL'])
+      expect(cleanup).toHaveBeenCalledTimes(2)
+
+      dispose()
+      associate('ignored', doc, 'title', { storage })
+
+      expect(seen).toHaveLength(3)
+      expect(cleanup).toHaveBeenCalledTimes(3)
+    })
+
+    test('should reject non functions', () => {
+      expect(() => effect(null)).toThrow(TypeError)
+      expect(() => computed(null)).toThrow(TypeError)
+    })
+  })
+})
@@ -0,0 +1,283 @@
+import {
+  associate,
+  canBeHeldWeakly,
+  getStorageMap,
+} from './associations.mjs'
+
+/**
+ * Serialization of storages. snapshot() turns the associations of a storage
+ * into plain data that survives both JSON.stringify() and structuredClone(),
+ * and restore() rebuilds associations from such data, for example to persist
+ * editor metadata or to ship associations computed on a server to a browser.
+ *
+ * Sources and subkeys are encoded as tagged `{ type, value }` objects so that
+ * every primitive round-trips exactly, including `undefined`, `NaN`, bigints
+ * and symbols registered with `Symbol.for()` such as `kDefaultKey`.
+ * Object sources have no portable identity; they are only included when a
+ * `serializeSource` callback maps them to one, and restore() maps that back
+ * through `resolveSource`. Sources that were garbage collected are skipped,
+ * as are non-registered symbols and object subkeys, which cannot be
+ * recreated. Private keys created by createKey() are skipped unless they are
+ * presented through the `keys` option, under a name that stands for them in
+ * the snapshot.
+ *
+ * @module Snapshot
+ */
+export const Snapshot = (function () {
+  // Version of the snapshot format produced by snapshot()
+  const kSnapshotVersion = 1
+
+  /**
+   * Encodes a primitive as a tagged `{ type, value }` object that survives
+   * JSON.stringify() and structuredClone(), as used for the sources and
+   * subkeys of snapshots.
+   *
+   * @param {*} key the primitive to encode
+   * @returns {{type: string, value?: *}|undefined} the encoded key, or
+   * undefined if the key cannot be encoded
+   */
+  function encodePrimitive(key) {
+    switch (typeof key) {
+      case 'string':
+      case 'boolean':
+        return { type: typeof key, value: key }
+
+      case 'number':
+        // JSON has no NaN or Infinity, so those are kept as strings
+        return { type: 'number', value: Number.isFinite(key) ? key : String(key) }
+
+      case 'bigint':
+        return { type: 'bigint', value: String(key) }
+
+      case 'undefined':
+        return { type: 'undefined' }
+
+      case 'symbol': {
+        const description = Symbol.keyFor(key)
+
+        return description === undefined
+          ? undefined
+          : { type: 'symbol', value: description }
+      }
+
+      default:
+        return key === null ? { type: 'null' } : undefined
+    }
+  }
+
+  /**
+   * Decodes a tagged `{ type, value }` object created by encodePrimitive().
+   *
+   * @param {{type: string, value?: *}} encoded the encoded key
+   * @returns {*} the decoded primitive
+   * @throws {TypeError} if the type is unknown
+   */
+  function decodePrimitive({ type, value }) {
+    switch (type) {
+      case 'string':
+      case 'boolean':
+        return value
+
+      case 'number':
+        return typeof value === 'number' ? value : Number(value)
+
+      case 'bigint':
+        return BigInt(value)
+
+      case 'undefined':
+        return undefined
+
+      case 'null':
+        return null
+
+      case 'symbol':
+        return Symbol.for(value)
+
+      default:
+        throw new TypeError(`Unknown snapshot key type '${String(type)}'`)
+    }
+  }
+
+  /**
+   * Captures the associations of a storage as plain data. The result has the
+   * shape `{ version, entries }`, where each entry describes one association
+   * as `{ source, subkey, value }` plus, for expiring associations, the
+   * `expiresAt`, `ttl` and `sliding` settings it was made with. Expired
+   * associations are left out.
+   *
+   * @param {Object} [storage=globalThis] the AssociationStorage or carrier to
+   * capture
+   * @param {Object} [options={}] - Configuration options
+   * @param {Function} [options.serializeSource] - Receives each source that
+   * is not a primitive and returns a structured-clone and JSON friendly
+   * identifier for it, such as a document id. Sources for which it returns
+   * undefined, and all such sources when it is omitted, are left out.
+   * @param {Function} [options.serializeValue] - Receives each value along
+   * with `{ source, subkey }` and returns its serializable form. Values are
+   * included as they are when omitted.
+   * @param {Object<string, AssociationKey>} [options.keys] - Private keys to
+   * include, by the names that identify them in the snapshot
+   * @returns {{version: number, entries: Array<Object>}} the snapshot
+   *
+   * @example
+   * // Persist editor metadata keyed by document id
+   * const data = snapshot(editorStorage, {
+   *   serializeSource: document => document.id
+   * })
+   *
+   * localStorage.setItem('metadata', JSON.stringify(data))
+   */
+  function snapshot(storage = globalThis, options = {}) {
+    const { serializeSource, serializeValue, keys = {} } = options
+    const storageMap = getStorageMap(storage, false)
+    const names = new Map(Object.entries(keys).map(([name, key]) => [key, name]))
+    const entries = []
+
+    for (const [source, wrapper] of storageMap?.entries() ?? []) {
+      wrapper.purge()
+
+      let encodedSource = encodePrimitive(source)
+
+      if (!encodedSource && canBeHeldWeakly(source)) {
+        const id = serializeSource?.(source)
+
+        if (id !== undefined)
+          encodedSource = { type: 'source', value: id }
+      }
+
+      if (!encodedSource)
+        continue
+
+      for (const [subkey, value] of wrapper.associations) {
+        const encodedSubkey = names.has(subkey)
+          ? { type: 'key', value: names.get(subkey) }
+          : encodePrimitive(subkey)
+
+        if (!encodedSubkey)
+          continue
+
+        const entry = {
+          source: encodedSource,
+          subkey: encodedSubkey,
+          value: serializeValue ? serializeValue(value, { source, subkey }) : value,
+        }
+
+        const expiration = wrapper.expirations.get(subkey)
+
+        if (expiration) {
+          entry.expiresAt = expiration.expiresAt
+
+          if (expiration.ttl !== undefined)
+            Object.assign(entry, { ttl: expiration.ttl, sliding: expiration.sliding })
+        }
+
+        entries.push(entry)
+      }
+    }
+
+    return { version: kSnapshotVersion, entries }
+  }
+
+  /**
+   * Rebuilds associations from a snapshot created by snapshot(). Existing
+   * associations in the target storage are kept, unless the snapshot holds
+   * a value for the same source and subkey. Entries whose expiration has
+   * already passed are skipped.
+   *
+   * @param {{version: number, entries: Array<Object>}} data the snapshot
+   * @param {Object} [options={}] - Configuration options
+   * @param {Object} [options.storage=globalThis] - The AssociationStorage or
+   * carrier to restore into
+   * @param {Function} [options.resolveSource] - Receives each identifier
+   * returned by `serializeSource` and returns the source it stands for.
+   * Entries for which it returns undefined, and all such entries when it is
+   * omitted, are skipped.
+   * @param {Function} [options.deserializeValue] - Receives each serialized
+   * value along with `{ source, subkey }` and returns the value to associate
+   * @param {Object<string, AssociationKey>} [options.keys] - The private keys
+   * the snapshot was created with, by name. Entries of other private keys
+   * are skipped.
+   * @param {Function} [options.clock=Date.now] - Returns the current time in
+   * milliseconds; used to skip and to expire restored associations
+   * @returns {AssociationStorage} the storage restored into
+   * @throws {TypeError} if the data is not a supported snapshot
+   *
+   * @example
+   * restore(JSON.parse(localStorage.getItem('metadata')), {
+   *   storage: editorStorage,
+   *   resolveSource: id => documents.get(id)
+   * })
+   */
+  function restore(data, options = {}) {
+    const {
+      storage = globalThis,
+      resolveSource,
+      deserializeValue,
+      clock = Date.now,
+      keys = {},
+    } = options
+
+    if (data?.version !== kSnapshotVersion || !Array.isArray(data.entries)) {
+      throw new TypeError(
+        `Unsupported snapshot; expected version ${kSnapshotVersion}`
+      )
+    }
+
+    const storageMap = getStorageMap(storage)
+    const now = clock()
+
+    for (const entry of data.entries) {
+      const source = entry.source.type === 'source'
+        ? resolveSource?.(entry.source.value)
+        : decodePrimitive(entry.source)
+
+      if (source === undefined && entry.source.type === 'source')
+        continue
+
+      if (entry.expiresAt !== undefined && entry.expiresAt <= now)
+        continue
+
+      if (entry.subkey.type === 'key' && !Object.hasOwn(keys, entry.subkey.value))
+        continue
+
+      const subkey = entry.subkey.type === 'key'
+        ? keys[entry.subkey.value]
+        : decodePrimitive(entry.subkey)
+      const value = deserializeValue
+        ? deserializeValue(entry.value, { source, subkey })
+        : entry.value
+
+      associate(value, source, subkey, {
+        storage: storageMap,
+        clock,
+        expiresAt: entry.expiresAt,
+        ttl: entry.ttl,
+        sliding: entry.sliding,
+      })
+    }
+
+    return storageMap
+  }
+
+  return Object.defineProperty({
+    // functions
+    decodePrimitive,
+    encodePrimitive,
+    restore,
+    snapshot,
+
+    // constants
+    kSnapshotVersion,
+  }, Symbol.toStringTag, {value: 'Snapshot', enumerable: false})
+})()
+
+export const {
+  // functions
+  decodePrimitive,
+  encodePrimitive,
+  restore,
+  snapshot,
+
+  // constants
+  kSnapshotVersion,
+} = Snapshot
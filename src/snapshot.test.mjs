@@ -0,0 +1,192 @@
+import { describe, test, expect } from 'vitest'
+import {
+  associate,
+  associated,
+  createKey,
+  createStorage,
+  kDefaultKey,
+  subkeysOf
+} from './associations.mjs'
+import { restore, snapshot, kSnapshotVersion } from './snapshot.mjs'
+
+describe('Snapshot Module', () => {
+  describe('Primitives', () => {
+    test('should round-trip primitive sources and subkeys through JSON', () => {
+      const storage = createStorage()
+      const sources = ['text', 42, NaN, Infinity, 10n, true, null, undefined]
+
+      sources.forEach((source, index) => {
+        associate({ index }, source, kDefaultKey, { storage })
+      })
+
+      associate('registered', Symbol.for('app.key'), 'by-symbol', { storage })
+
+      const data = JSON.parse(JSON.stringify(snapshot(storage)))
+      const target = restore(data, { storage: createStorage() })
+
+      sources.forEach((source, index) => {
+        expect(associated(source, kDefaultKey, { storage: target }))
+          .toEqual({ index })
+      })
+
+      expect(associated(Symbol.for('app.key'), 'by-symbol', { storage: target }))
+        .toBe('registered')
+    })
+
+    test('should preserve registered symbol subkeys', () => {
+      const storage = createStorage()
+
+      associate('default', 'source', kDefaultKey, { storage })
+
+      const data = snapshot(storage)
+
+      expect(data).toEqual({
+        version: kSnapshotVersion,
+        entries: [{
+          source: { type: 'string', value: 'source' },
+          subkey: { type: 'symbol', value: 'association.key.default' },
+          value: 'default'
+        }]
+      })
+
+      expect(associated('source', kDefaultKey, {
+        storage: restore(data, { storage: createStorage() })
+      })).toBe('default')
+    })
+
+    test('should survive structured cloning', () => {
+      const storage = createStorage()
+
+      associate({ nested: [1, 2] }, 'key', 'value', { storage })
+
+      const target = restore(structuredClone(snapshot(storage)), {
+        storage: createStorage()
+      })
+
+      expect(associated('key', 'value', { storage: target })).toEqual({ nested: [1, 2] })
+    })
+
+    test('should skip subkeys that cannot be recreated', () => {
+      const storage = createStorage()
+
+      associate('unique', 'source', Symbol('unique'), { storage })
+      associate('object', 'source', {}, { storage })
+      associate('kept', 'source', 'name', { storage })
+
+      expect(snapshot(storage).entries).toHaveLength(1)
+    })
+  })
+
+  describe('Object Sources', () => {
+    test('should map object sources through the callbacks', () => {
+      const storage = createStorage()
+      const documents = new Map([['doc-1', { id: 'doc-1' }]])
+
+      associate('draft', documents.get('doc-1'), 'status', { storage })
+      associate('skipped', { id: 'unsaved' }, 'status', { storage })
+
+      const data = snapshot(storage, {
+        serializeSource: document => document.id === 'unsaved' ? undefined : document.id
+      })
+
+      expect(data.entries).toHaveLength(1)
+
+      const target = restore(data, {
+        storage: createStorage(),
+        resolveSource: id => documents.get(id)
+      })
+
+      expect(associated(documents.get('doc-1'), 'status', { storage: target }))
+        .toBe('draft')
+    })
+
+    test('should skip object sources without callbacks', () => {
+      const storage = createStorage()
+
+      associate('value', { id: 1 }, kDefaultKey, { storage })
+
+      expect(snapshot(storage).entries).toEqual([])
+    })
+
+    test('should skip sources that cannot be resolved', () => {
+      const storage = createStorage()
+
+      associate('value', { id: 1 }, kDefaultKey, { storage })
+
+      const data = snapshot(storage, { serializeSource: source => source.id })
+      const target = restore(data, {
+        storage: createStorage(),
+        resolveSource: () => undefined
+      })
+
+      expect(target.size).toBe(0)
+    })
+  })
+
+  describe('Values', () => {
+    test('should transform values through the callbacks', () => {
+      const storage = createStorage()
+
+      associate(new Date(0), 'key', 'created', { storage })
+
+      const data = snapshot(storage, {
+        serializeValue: (value, { subkey }) =>
+          subkey === 'created' ? value.toISOString() : value
+      })
+
+      const target = restore(data, {
+        storage: createStorage(),
+        deserializeValue: (value, { subkey }) =>
+          subkey === 'created' ? new Date(value) : value
+      })
+
+      expect(associated('key', 'created', { storage: target })).toEqual(new Date(0))
+    })
+
+    test('should keep expiration and skip expired entries', () => {
+      let now = 1000
+      const clock = () => now
+      const storage = createStorage()
+
+      associate('short', 'a', 'key', { ttl: 10, clock, storage })
+      associate('long', 'b', 'key', { ttl: 100, sliding: true, clock, storage })
+
+      const data = snapshot(storage)
+
+      expect(data.entries[1]).toMatchObject({ expiresAt: 1100, ttl: 100, sliding: true })
+
+      now = 1050
+
+      const target = restore(data, { storage: createStorage(), clock })
+
+      expect(subkeysOf('a', { storage: target })).toEqual([])
+      expect(associated('b', 'key', { storage: target })).toBe('long')
+
+      now = 1149
+      expect(associated('b', 'key', { storage: target })).toBe('long')
+    })
+  })
+
+  test('should only include private keys that are presented', () => {
+    const storage = createStorage()
+    const kSecret = createKey('secret')
+
+    associate('public', 'source', 'visible', { storage })
+    kSecret.set('hidden', 'source', { storage })
+
+    expect(snapshot(storage).entries).toHaveLength(1)
+
+    const data = JSON.parse(JSON.stringify(snapshot(storage, { keys: { kSecret } })))
+
+    expect(restore(data, { storage: createStorage() }).size).toBe(1)
+
+    const target = restore(data, { storage: createStorage(), keys: { kSecret } })
+
+    expect(kSecret.get('source', { storage: target })).toBe('hidden')
+  })
+
+  test('should reject unsupported snapshots', () => {
+    expect(() => restore({ version: 99, entries: [] })).toThrow(TypeError)
+    expect(() => restore(null)).toThrow(TypeError)
+  })
+})
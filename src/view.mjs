@@ -0,0 +1,156 @@
+import {
+  associate,
+  associated,
+  disassociate,
+  entriesOf,
+  getStorageMap,
+} from './associations.mjs'
+
+/**
+ * Object views of the associations of a source. view() returns a Proxy whose
+ * properties are the subkeys of one source, so that many associations can be
+ * read and written without an associated() call per subkey, and so that
+ * destructuring, spreading, `in` and `Object.keys()` work on them.
+ *
+ * Properties can only name string and symbol subkeys; associations under
+ * other subkeys, and under private keys, are not part of the view. The view
+ * holds no state of its own, so it always reflects the current associations.
+ *
+ * @module View
+ */
+export const View = (function () {
+  /**
+   * Tests whether a subkey can be a property of a view.
+   *
+   * @private
+   * @param {*} subkey the subkey
+   * @returns {boolean} true for strings and symbols
+   */
+  function isPropertyKey(subkey) {
+    return typeof subkey === 'string' || typeof subkey === 'symbol'
+  }
+
+  /**
+   * Creates an object view of the associations of a source. Reading a
+   * property calls associated(), writing one calls associate(), and
+   * deleting one calls disassociate(), all under the property key as
+   * subkey. `in`, `Object.keys()`, spreading and other enumeration list the
+   * subkeys with a value associated.
+   *
+   * The `toJSON` property is reserved for the snapshot method, so that
+   * `JSON.stringify(view)` serializes the associations; a `'toJSON'` subkey
+   * remains reachable through associated().
+   *
+   * @param {*} source the source whose associations to view
+   * @param {Object} [options={}] - Configuration options
+   * @param {Object} [options.storage=globalThis] - The AssociationStorage or
+   * carrier the associations are stored in
+   * @param {boolean} [options.readonly=false] - Whether writes and deletes
+   * are refused; they then fail, throwing a TypeError in strict mode code
+   * @param {Function} [options.clock] - The clock used to check expiration
+   * @returns {Proxy} the view; its `toJSON()` method returns a plain object
+   * snapshot of the associations
+   *
+   * @example
+   * const meta = view(user)
+   *
+   * meta.name = 'John'                 // associate('John', user, 'name')
+   * meta[kDefaultKey] = 'primary'
+   * const { name, ...rest } = meta
+   * 'name' in meta                     // true
+   * delete meta.name                   // disassociate(user, 'name')
+   * JSON.stringify(view(user, { readonly: true }))
+   */
+  function view(source, options = {}) {
+    const { storage = globalThis, readonly = false, clock } = options ?? {}
+    const scope = { storage, clock }
+
+    const has = subkey => Boolean(
+      getStorageMap(storage, false)?.get(source)?.touch(subkey, clock)
+    )
+
+    const keys = () => entriesOf(source, scope)
+      .map(([subkey]) => subkey)
+      .filter(isPropertyKey)
+
+    const toJSON = () => {
+      const snapshot = {}
+
+      for (const [subkey, value] of entriesOf(source, scope)) {
+        if (isPropertyKey(subkey))
+          snapshot[subkey] = value
+      }
+
+      return snapshot
+    }
+
+    return new Proxy(Object.create(null), {
+      get(target, key) {
+        return key === 'toJSON' ? toJSON : associated(source, key, scope)
+      },
+
+      set(target, key, value) {
+        if (readonly)
+          return false
+
+        associate(value, source, key, scope)
+
+        return true
+      },
+
+      deleteProperty(target, key) {
+        if (readonly)
+          return false
+
+        disassociate(source, key, scope)
+
+        return true
+      },
+
+      defineProperty(target, key, descriptor) {
+        if (readonly || descriptor.get || descriptor.set)
+          return false
+
+        associate(descriptor.value, source, key, scope)
+
+        return true
+      },
+
+      // The target must stay extensible, or listing subkeys would break the
+      // invariants of proxies
+      preventExtensions() {
+        return false
+      },
+
+      has(target, key) {
+        return has(key)
+      },
+
+      ownKeys() {
+        return keys()
+      },
+
+      getOwnPropertyDescriptor(target, key) {
+        if (!has(key))
+          return undefined
+
+        return {
+          value: associated(source, key, scope),
+          writable: !readonly,
+          enumerable: true,
+          configurable: true,
+        }
+      },
+    })
+  }
+
+  return Object.defineProperty({
+    // functions
+    view,
+  }, Symbol.toStringTag, {value: 'View', enumerable: false})
+})()
+
+export const {
+  // functions
+  view,
+} = View
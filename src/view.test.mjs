@@ -0,0 +1,96 @@
+import { describe, test, expect } from 'vitest'
+import {
+  associate,
+  associated,
+  createKey,
+  createStorage,
+  kDefaultKey
+} from './associations.mjs'
+import { view } from './view.mjs'
+
+describe('View Module', () => {
+  test('should map property access onto associations', () => {
+    const storage = createStorage()
+    const user = {}
+    const meta = view(user, { storage })
+
+    meta.name = 'John'
+    meta[kDefaultKey] = 'primary'
+    associate(36, user, 'age', { storage })
+
+    expect(associated(user, 'name', { storage })).toBe('John')
+    expect(associated(user, undefined, { storage })).toBe('primary')
+    expect(meta.age).toBe(36)
+    expect('name' in meta).toBe(true)
+    expect('missing' in meta).toBe(false)
+    expect(Object.keys(meta)).toEqual(['name', 'age'])
+    expect(Reflect.ownKeys(meta)).toEqual(['name', kDefaultKey, 'age'])
+
+    delete meta.name
+
+    expect(associated(user, 'name', { storage })).toBeUndefined()
+    expect('name' in meta).toBe(false)
+  })
+
+  test('should support destructuring and spread', () => {
+    const storage = createStorage()
+    const user = {}
+
+    associate('John', user, 'name', { storage })
+    associate(36, user, 'age', { storage })
+    associate('primary', user, kDefaultKey, { storage })
+
+    const { name, ...rest } = view(user, { storage })
+
+    expect(name).toBe('John')
+    expect(rest).toEqual({ age: 36, [kDefaultKey]: 'primary' })
+    expect(Object.assign({}, view(user, { storage }))).toHaveProperty('age', 36)
+  })
+
+  test('should leave out private and non property subkeys', () => {
+    const storage = createStorage()
+    const user = {}
+
+    associate('hidden', user, createKey('secret'), { storage })
+    associate('numeric', user, 1, { storage })
+    associate('visible', user, 'shown', { storage })
+
+    expect(Object.keys(view(user, { storage }))).toEqual(['shown'])
+  })
+
+  test('should refuse writes when read-only', () => {
+    const storage = createStorage()
+    const user = {}
+
+    associate('John', user, 'name', { storage })
+
+    const meta = view(user, { storage, readonly: true })
+
+    expect(meta.name).toBe('John')
+    expect(() => { meta.name = 'Jane' }).toThrow(TypeError)
+    expect(() => { delete meta.name }).toThrow(TypeError)
+    expect(Reflect.set(meta, 'name', 'Jane')).toBe(false)
+    expect(Object.getOwnPropertyDescriptor(meta, 'name')).toMatchObject({
+      value: 'John',
+      writable: false
+    })
+    expect(associated(user, 'name', { storage })).toBe('John')
+  })
+
+  test('should serialize a snapshot with toJSON()', () => {
+    const storage = createStorage()
+    const user = {}
+    const meta = view(user, { storage })
+
+    meta.name = 'John'
+    meta.tags = ['admin']
+    meta[kDefaultKey] = 'primary'
+
+    const snapshot = meta.toJSON()
+
+    meta.name = 'Jane'
+
+    expect(snapshot).toEqual({ name: 'John', tags: ['admin'], [kDefaultKey]: 'primary' })
+    expect(JSON.parse(JSON.stringify(meta))).toEqual({ name: 'Jane', tags: ['admin'] })
+  })
+})
@@ -0,0 +1,13 @@
+import { defineConfig } from 'vitest/config'
+
+export default defineConfig({
+  test: {
+    pool: 'forks',
+    poolOptions: {
+      forks: {
+        // Garbage collection tests need to trigger collection on demand.
+        execArgv: ['--expose-gc'],
+      },
+    },
+  },
+})